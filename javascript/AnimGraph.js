@@ -0,0 +1,254 @@
+/**
+ * @class AnimGraph
+ *
+ * @description Describes an animation graph without animating it: its nodes and edges, when each node starts and ends,
+ * the total duration along the critical path, and any cycles. Deferred nodes are expanded by calling their factories, which must have no side effects.
+ */
+class AnimGraph
+{
+
+	/** @public {Readonly<{DEPENDS_ON: string, CREATES: string}>} The types of edge. */
+	static edgeTypes = Object.freeze ( {
+		DEPENDS_ON : "DEPENDS_ON",
+		CREATES : "CREATES"
+	} );
+
+
+
+	/** @public {CardAnim} The final node of the graph. */
+	root;
+
+	/** @public {CardAnim[]} The nodes, with every node after those it depends on. */
+	nodes = [];
+
+	/** @public {{from: Number, to: Number, type: String}[]} The edges, as indices of nodes, from each node to a node which waits for it. */
+	edges = [];
+
+	/** @public {Number[]} The start time of each node, in ms. */
+	starts = [];
+
+	/** @public {Number[]} The end time of each node, in ms. */
+	ends = [];
+
+	/** @public {Number} The total duration of the graph, in ms. */
+	duration;
+
+	/** @public {Number[]} The nodes along the critical path, as indices of nodes, in order. */
+	criticalPath = [];
+
+	/** @public {Number[][]} Each cycle found, as indices of nodes. Edges which close a cycle are ignored when timing the graph. */
+	cycles = [];
+
+	/** @private {Map<CardAnim, Number>} The index of each node. */
+	_indices = new Map ();
+
+	/** @private {Map<CardAnim, CardAnim>} The deferred node which created each node, for nodes inside deferred animations. */
+	_creators = new Map ();
+
+
+
+	/**
+	 * @param {CardAnim} root The final node of the graph.
+	 */
+	constructor ( root )
+	{
+		this.root = root;
+
+		/* Walk the graph, and find the indices of the nodes in each cycle */
+		this._visit ( root, 0, new Set () );
+		this.cycles = this.cycles.map ( cycle => cycle.map ( node => this._indices.get ( node ) ) );
+		this.duration = this.ends [ this._indices.get ( root ) ];
+
+		/* Trace the critical path back from the root */
+		for ( let i = this._indices.get ( root ); i !== undefined; i = this._waitedFor ( i ) )
+			this.criticalPath.unshift ( i );
+	}
+
+
+
+	/**
+	 * @description Find the nodes which were created but are not part of the graph, and so would never be animated.
+	 * @param {Iterable<CardAnim>} created The nodes which were created, such as those recorded with AnimGraph.record.
+	 * @returns {CardAnim[]}
+	 * @public
+	 */
+	orphans ( created )
+	{
+		return Array.from ( created ).filter ( node => !this._indices.has ( node ) );
+	}
+
+
+
+	/**
+	 * @returns {Object} A description of the graph, which JSON.stringify uses.
+	 * @public
+	 */
+	toJSON ()
+	{
+		return {
+			duration : this.duration,
+			criticalPath : this.criticalPath,
+			cycles : this.cycles,
+			nodes : this.nodes.map ( ( node, i ) => ( {
+				id : i,
+				type : node.constructor.name,
+				elements : node.selection.size (),
+				ease : node.ease === null ? null : String ( node.ease ),
+				duration : node.duration,
+				start : this.starts [ i ],
+				end : this.ends [ i ],
+				startParams : !!node.startParams,
+				endParams : !!node.endParams,
+				callback : !!node.callback
+			} ) ),
+			edges : this.edges
+		};
+	}
+
+
+
+	/**
+	 * @returns {String} The graph in the Graphviz DOT language, with the critical path in bold and cycles in red.
+	 * @public
+	 */
+	toDot ()
+	{
+		/* Find the nodes and edges to highlight */
+		const critical = new Set ( this.criticalPath );
+		const cyclic = new Set ( this.cycles.flat () );
+
+		/* Describe each node */
+		const lines = [ "digraph AnimGraph {", "\trankdir=LR;", "\tnode [shape=box, fontname=monospace];" ];
+		this.nodes.forEach ( ( node, i ) =>
+		{
+			const label = `${node.constructor.name} #${i}\\n${this.starts [ i ]}-${this.ends [ i ]}ms`;
+			const style = [ critical.has ( i ) ? "style=bold" : null, cyclic.has ( i ) ? "color=red" : null ].filter ( s => s );
+			lines.push ( `\tn${i} [label="${label}"${style.map ( s => ", " + s ).join ( "" )}];` );
+		} );
+
+		/* Describe each edge */
+		for ( const edge of this.edges )
+		{
+			const style = [
+				edge.type === AnimGraph.edgeTypes.CREATES ? "style=dashed" : null,
+				critical.has ( edge.from ) && critical.has ( edge.to ) && this.criticalPath.indexOf ( edge.to ) === this.criticalPath.indexOf ( edge.from ) + 1 ? "penwidth=2" : null
+			].filter ( s => s );
+			lines.push ( `\tn${edge.from} -> n${edge.to}${style.length ? " [" + style.join ( ", " ) + "]" : ""};` );
+		}
+		lines.push ( "}" );
+		return lines.join ( "\n" );
+	}
+
+
+
+	/**
+	 * @description Run a function, recording every animation node created while it runs.
+	 *
+	 * @template T
+	 * @param {function():T} f
+	 * @returns {{result: T, created: Set<CardAnim>}}
+	 * @public
+	 */
+	static record ( f )
+	{
+		const previous = CardAnim._recording;
+		const created = CardAnim._recording = new Set ();
+		try
+		{
+			return { result : f (), created : created };
+		}
+		finally
+		{
+			/* Nested recordings also count towards the outer recording */
+			CardAnim._recording = previous;
+			if ( previous ) created.forEach ( node => previous.add ( node ) );
+		}
+	}
+
+
+
+	/**
+	 * @description Add a node and everything it waits for, laid out so that it starts once all of them have ended.
+	 *
+	 * @param {CardAnim} node
+	 * @param {Number} origin The earliest time the node can start.
+	 * @param {Set<CardAnim>} visiting The nodes currently being visited, to detect cycles.
+	 * @param {DeferredAnim|null} [creator = null] The deferred node which created the node, if any.
+	 * @returns {Number|null} The end time of the node, or null if it closes a cycle.
+	 * @private
+	 */
+	_visit ( node, origin, visiting, creator = null )
+	{
+		/* Ignore nodes which are already laid out */
+		if ( this._indices.has ( node ) )
+			return this.ends [ this._indices.get ( node ) ];
+
+		/* Record a cycle if the node is already being visited */
+		if ( visiting.has ( node ) )
+		{
+			const path = Array.from ( visiting );
+			this.cycles.push ( path.slice ( path.indexOf ( node ) ) );
+			return null;
+		}
+
+		/* Start once every dependency has ended */
+		visiting.add ( node );
+		if ( creator )
+			this._creators.set ( node, creator );
+		let start = origin;
+		const deps = [];
+		for ( const dep of node.dependsOn )
+		{
+			const end = this._visit ( dep, origin, visiting, creator );
+			if ( end !== null )
+			{
+				start = Math.max ( start, end );
+				deps.push ( dep );
+			}
+		}
+
+		/* Deferred nodes end once the animation they create has ended */
+		let end = start + node.duration;
+		let created = null;
+		if ( node instanceof DeferredAnim )
+		{
+			created = node.factory ();
+			end = Math.max ( start, this._visit ( created, start, visiting, node ) ?? start );
+		}
+		visiting.delete ( node );
+
+		/* Add the node and its edges */
+		const index = this.nodes.length;
+		this._indices.set ( node, index );
+		this.nodes.push ( node );
+		this.starts.push ( start );
+		this.ends.push ( end );
+		for ( const dep of deps )
+			this.edges.push ( { from : this._indices.get ( dep ), to : index, type : AnimGraph.edgeTypes.DEPENDS_ON } );
+		if ( created && this._indices.has ( created ) )
+			this.edges.push ( { from : this._indices.get ( created ), to : index, type : AnimGraph.edgeTypes.CREATES } );
+		return end;
+	}
+
+
+
+	/**
+	 * @param {Number} index A node.
+	 * @returns {Number|undefined} The node which the given node waited for longest, if any.
+	 * @private
+	 */
+	_waitedFor ( index )
+	{
+		/* Find the latest node to end which has an edge to this node */
+		const latest = edges => edges.reduce ( ( latest, edge ) => latest === undefined || this.ends [ edge.from ] > this.ends [ latest ] ? edge.from : latest, undefined );
+		const waitedFor = latest ( this.edges.filter ( edge => edge.to === index ) );
+		if ( waitedFor !== undefined )
+			return waitedFor;
+
+		/* Nodes inside a deferred animation which wait for nothing else wait for whatever the deferred node waited for */
+		const creator = this._creators.get ( this.nodes [ index ] );
+		return creator
+			? latest ( this.edges.filter ( edge => edge.to === this._indices.get ( creator ) && edge.type === AnimGraph.edgeTypes.DEPENDS_ON ) )
+			: undefined;
+	}
+}
@@ -1,7 +1,7 @@
 /**
  * @class AnimParams
  *
- * @description Start and end parameters for an animation.
+ * @description Start and end parameters for an animation. Any parameter which is null is kept from the element's current parameters.
  */
 class AnimParams
 {
@@ -14,20 +14,130 @@ class AnimParams
 	/** @public {?Number} */
 	rotation;
 
+	/** @public {?Number} A uniform scale about the center. */
+	scale;
+
+	/** @public {?Vec} The rotation about the x and y axes, in degrees. */
+	tilt;
+
+	/** @public {?Number} */
+	opacity;
+
+	/** @public {?Number} The stacking order. */
+	zIndex;
+
 
 
 	/**
 	 * @param {Vec|null} position
 	 * @param {Vec|null} size
 	 * @param {Number|null} rotation
+	 * @param {Number|null} [scale]
+	 * @param {Vec|null} [tilt]
+	 * @param {Number|null} [opacity]
+	 * @param {Number|null} [zIndex]
 	 */
-	constructor ( position= null, size = null, rotation= null )
+	constructor ( position= null, size = null, rotation= null, scale = null, tilt = null, opacity = null, zIndex = null )
 	{
 		this.position = position;
 		this.size = size;
 		this.rotation = rotation;
+		this.scale = scale;
+		this.tilt = tilt;
+		this.opacity = opacity;
+		this.zIndex = zIndex;
+		Object.freeze ( this );
+	}
+
+
+
+	/**
+	 * @param {AnimParams} other
+	 * @returns {AnimParams} These parameters, with any missing parameters taken from the other parameters.
+	 */
+	fillFrom ( other )
+	{
+		return new AnimParams (
+			this.position ?? other.position,
+			this.size ?? other.size,
+			this.rotation ?? other.rotation,
+			this.scale ?? other.scale,
+			this.tilt ?? other.tilt,
+			this.opacity ?? other.opacity,
+			this.zIndex ?? other.zIndex );
+	}
+
+
+
+	/**
+	 * @description Interpolate between complete parameters. A size or stacking order which is missing from either is not interpolated.
+	 *
+	 * @param {AnimParams} from
+	 * @param {AnimParams} to
+	 * @param {Number} t The fraction of the way from one to the other.
+	 * @returns {AnimParams} The parameters part way between the two.
+	 */
+	static interpolate ( from, to, t )
+	{
+		const mix = ( a, b ) => a + ( b - a ) * t;
+		const mixVec = ( a, b ) => a && b ? a.add ( b.sub ( a ).mult ( t ) ) : b ?? a;
+		return new AnimParams (
+			mixVec ( from.position, to.position ),
+			mixVec ( from.size, to.size ),
+			mix ( from.rotation, to.rotation ),
+			mix ( from.scale, to.scale ),
+			mixVec ( from.tilt, to.tilt ),
+			mix ( from.opacity, to.opacity ),
+			from.zIndex !== null && to.zIndex !== null ? Math.round ( mix ( from.zIndex, to.zIndex ) ) : to.zIndex ?? from.zIndex );
+	}
+}
+
+
+
+/**
+ * @class AnimKeyframes
+ *
+ * @description End parameters which pass through several keyframes, each reached with its own ease.
+ */
+class AnimKeyframes
+{
+	/** @public {AnimParams[]} The parameters at each keyframe, the last of which are the end parameters. */
+	frames;
+
+	/** @public {Number[]} The fraction of the duration at which each keyframe is reached. */
+	offsets;
+
+	/** @public {String[]} The ease from the previous keyframe into each keyframe. */
+	eases;
+
+
+
+	/**
+	 * @param {AnimParams[]} frames The parameters at each keyframe, the last of which are the end parameters.
+	 * @param {Number[]|null} [offsets = null] The fraction of the duration at which each keyframe is reached. Defaults to evenly spaced.
+	 * @param {String[]|null} [eases = null] The ease into each keyframe. Defaults to linear, so that the animation's ease applies throughout.
+	 */
+	constructor ( frames, offsets = null, eases = null )
+	{
+		/* Check cardinalities */
+		if ( ( offsets && offsets.length !== frames.length ) || ( eases && eases.length !== frames.length ) )
+			throw new Error ( "AnimKeyframes.constructor: Assertion 'frames.length == offsets.length == eases.length' failed" );
+
+		this.frames = frames.slice ();
+		this.offsets = offsets ? offsets.slice () : frames.map ( ( _, i ) => ( i + 1 ) / frames.length );
+		this.eases = eases ? eases.slice () : new Array ( frames.length ).fill ( "linear" );
 		Object.freeze ( this );
 	}
+
+
+
+	/**
+	 * @returns {AnimParams} The end parameters.
+	 */
+	get last ()
+	{
+		return this.frames [ this.frames.length - 1 ];
+	}
 }
 
 
@@ -40,9 +150,34 @@ class AnimParams
 class CardAnim
 {
 
-	/** @public {Number} A short amount of delay to allow an animation to finish (especially on firefox) */;
+	/** @public {Number} A short amount of delay to allow a CSS transition to finish (especially on firefox) */;
 	static durationEpsilon = 50;
 
+	/** @public {Boolean} Whether to animate with the Web Animations API, which reports when animations really finish. Otherwise CSS transitions are used. */
+	static webAnimations = typeof Element !== "undefined" && typeof Element.prototype.animate === "function";
+
+	/** @public {String} The perspective for tilted elements. */
+	static perspective = "80vh";
+
+	/** @private {WeakMap<Element, {animation: ?Animation, timers: ?Number[], path: Object, handle: AnimHandle, node: CardAnim}>}
+	 * The animation currently running on each element, or the timers for its keyframes when CSS transitions are used,
+	 * the path from _path which it follows, and the graph and node which it belongs to */
+	static _running = new WeakMap ();
+
+	/** @private {WeakMap<Element, AnimParams>} The parameters last applied to each element */
+	static _params = new WeakMap ();
+
+	/** @private {Set<CardAnim>|null} Where to record every node created, while AnimGraph.record is running */
+	static _recording = null;
+
+	/** @private {Map<String, Number[]>} The control points of the CSS easing keywords, as in cubic-bezier() */
+	static _keywordEases = new Map ( [
+		[ "ease", [ 0.25, 0.1, 0.25, 1 ] ],
+		[ "ease-in", [ 0.42, 0, 1, 1 ] ],
+		[ "ease-out", [ 0, 0, 0.58, 1 ] ],
+		[ "ease-in-out", [ 0.42, 0, 0.58, 1 ] ]
+	] );
+
 
 
 	/** @public {Object} */
@@ -51,7 +186,7 @@ class CardAnim
 	/** @public {AnimParams[]|null} */
 	startParams;
 
-	/** @public {AnimParams[]|null} */
+	/** @public {Array<AnimParams|AnimKeyframes>|null} */
 	endParams;
 
 	/** @public {String} */
@@ -71,7 +206,7 @@ class CardAnim
 	/**
 	 * @param {Object} selection The D3 selection which the animation should act on.
 	 * @param {AnimParams|AnimParams[]|null} startParams
-	 * @param {AnimParams|AnimParams[]|null} endParams
+	 * @param {AnimParams|AnimKeyframes|Array<AnimParams|AnimKeyframes>|null} endParams
 	 * @param {String} ease The ease of the animation
 	 * @param {Number} duration
 	 * @param {CardAnim[]} [dependsOn = []] Any animations which the start of this animation depends on.
@@ -112,6 +247,7 @@ class CardAnim
 		this.duration = duration;
 		this.dependsOn = dependsOn.slice ();
 		this.callback = callback;
+		CardAnim._recording?.add ( this );
 	}
 
 
@@ -119,27 +255,25 @@ class CardAnim
 	/**
 	 * @description Animate the entire dependency tree.
 	 *
-	 * @param {Map<CardAnim, Promise<void>>} [promises = new Map ()] A map with SingleAnimation objects as keys, storing promises for their respective animations.
-	 * @returns {Map<CardAnim, Promise<void>>} The updated promises map.
+	 * @returns {AnimHandle} A handle to cancel, finish or retarget the running animation.
 	 * @public
 	 */
-	animate ( promises= new Map () )
+	animate ()
 	{
-		/* Ignore if we are already animating */
-		if ( promises.has ( this ) )
-			return promises;
+		return new AnimHandle ( this );
+	}
+
 
-		/* Create an array of animation promises that this node depends on */
-		const depPromises = []
-		for ( const dep of this.dependsOn )
-		{
-			dep.animate ( promises );
-			depPromises.push ( promises.get ( dep ) );
-		}
 
-		/* Add the promise for this animation */
-		promises.set ( this, Promise.all ( depPromises ).then ( () => this._animate () ) );
-		return promises;
+	/**
+	 * @description Animate the entire dependency tree, for when the animation will not need to be controlled.
+	 *
+	 * @returns {Promise<Boolean>} Resolves once every node has completed, with whether the animation ran to its end without being cancelled.
+	 * @public
+	 */
+	play ()
+	{
+		return this.animate ().finished;
 	}
 
 
@@ -224,10 +358,311 @@ class CardAnim
 
 	/**
 	 * @description Actually perform the animation for this node.
+	 * The promise resolves once every element has finished animating, or after the duration if there are no end parameters.
+	 * When motion is reduced, elements cross-fade to their end parameters instead of moving.
+	 *
+	 * @param {AnimHandle} handle The handle of the running graph.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	_animate ( handle )
+	{
+		/* Fall back to CSS transitions where the Web Animations API is not supported */
+		if ( !CardAnim.webAnimations )
+			return this._animateTransitions ( handle );
+
+		/* Jump to the start parameters */
+		if ( this.startParams )
+			this.selection.data ( this.startParams ).join ().each ( function ( d )
+			{
+				CardAnim._stop ( this );
+				CardAnim._apply ( this, d );
+			} );
+
+		/* Animate each element to its end parameters.
+		 * The end parameters are applied straight away, so that they hold once the animation is finished.
+		 */
+		const finished = [];
+		const node = this;
+		if ( this.endParams )
+		{
+			/* Cross-fade quickly instead of moving when motion is reduced */
+			const reduced = MotionPolicy.shared.reduced;
+			const options = { duration : handle.finishing ? 0 : MotionPolicy.shared.duration ( this.duration ), easing : reduced ? "linear" : this.ease };
+			this.selection.data ( this.endParams ).join ().each ( function ( d )
+			{
+				/* Start from wherever the element currently is, even if it is part way through another animation */
+				CardAnim._stop ( this );
+				let path = CardAnim._path ( CardAnim._currentParams ( this ), d );
+				if ( reduced )
+					path = CardAnim._crossFadePath ( path );
+				CardAnim._apply ( this, path.frames [ path.frames.length - 1 ] );
+
+				/* Animate, and forget the animation once it is done.
+				 * A cancelled animation counts as done, and if another animation took over the element, _stop has interrupted this node.
+				 */
+				const animation = this.animate ( CardAnim._keyframes ( path ), options );
+				CardAnim._running.set ( this, { animation : animation, path : path, handle : handle, node : node } );
+				finished.push ( handle.track ( this, animation.finished
+					.catch ( () => {} )
+					.then ( () => { if ( CardAnim._running.get ( this )?.animation === animation ) CardAnim._running.delete ( this ); } ) ) );
+			} );
+		}
+
+		/* Wait for the animations to finish, or for the duration if nothing is animating */
+		const done = finished.length ? Promise.all ( finished ) : handle.wait ( this.duration );
+
+		/* Add the callback and return */
+		return done.then ( () => { if ( this.callback && !handle.interrupted ( this ) ) this.callback (); } );
+	}
+
+
+
+	/**
+	 * @description Perform the animation for this node using CSS transitions, guessing when they finish.
+	 * Keyframes are transitioned between one after another, so the animation's ease only applies when there are no keyframes.
+	 * Cancelled transitions run on to the keyframe they are heading for, since the elements' current parameters cannot be known,
+	 * but no later keyframes are applied.
+	 *
+	 * @param {AnimHandle} handle The handle of the running graph.
+	 * @returns {Promise<void>}
 	 * @private
 	 */
-	_animate ()
+	_animateTransitions ( handle )
 	{
+		/* Jump to the start parameters */
+		if ( this.startParams )
+			this.selection.data ( this.startParams ).join ().each ( function ( d )
+			{
+				CardAnim._stop ( this );
+				CardAnim._apply ( this, d );
+			} );
+
+		/* Transition through each keyframe in turn */
+		const duration = MotionPolicy.shared.duration ( this.duration );
+		const done = handle.wait ( ( this.endParams ? duration : this.duration ) + CardAnim.durationEpsilon );
+		if ( this.endParams )
+		{
+			const transitionDuration = handle.finishing ? 0 : duration;
+			const ease = this.ease;
+			const reduced = MotionPolicy.shared.reduced;
+			const node = this;
+			this.selection.data ( this.endParams ).join ().each ( function ( d )
+			{
+				/* Stop moving on to the keyframes of any other animation */
+				CardAnim._stop ( this );
+				let path = CardAnim._path ( CardAnim._currentParams ( this ), d );
+				if ( reduced )
+					path = CardAnim._crossFadePath ( path );
+				const timers = [];
+				for ( let i = 1; i < path.frames.length; ++i )
+					timers.push ( setTimeout ( () =>
+					{
+						d3.select ( this )
+							.style ( "transition-property", "transform, width, height, opacity" )
+							.style ( "transition-duration", ( path.offsets [ i ] - path.offsets [ i - 1 ] ) * transitionDuration + "ms" )
+							.style ( "transition-timing-function", path.eases [ i ] ?? ease );
+						CardAnim._apply ( this, path.frames [ i ], false );
+					}, path.offsets [ i - 1 ] * transitionDuration ) );
+
+				/* Remember the timers until the node is done, so that they can be cleared if the animation is stopped */
+				CardAnim._running.set ( this, { timers : timers, path : path, handle : handle, node : node } );
+				handle.track ( this, done.then ( () => { if ( CardAnim._running.get ( this )?.timers === timers ) CardAnim._running.delete ( this ); } ) );
+			} );
+		}
+
+		/* Add the callback and return */
+		return done.then ( () => { if ( this.callback && !handle.interrupted ( this ) ) this.callback (); } );
+	}
+
+
+
+	/**
+	 * @description Find the complete parameters at each keyframe from the current parameters to some end parameters.
+	 *
+	 * @param {AnimParams} from The current parameters, which must be complete.
+	 * @param {AnimParams|AnimKeyframes} to
+	 * @returns {{frames: AnimParams[], offsets: Number[], eases: Array<String|null>}} The keyframes, starting with the current parameters.
+	 *   Each ease is into its keyframe, and a null ease means the animation's ease.
+	 * @private
+	 */
+	static _path ( from, to )
+	{
+		/* Plain end parameters form a single step */
+		if ( !( to instanceof AnimKeyframes ) )
+			return { frames : [ from, to.fillFrom ( from ) ], offsets : [ 0, 1 ], eases : [ null, null ] };
+
+		/* Fill in each keyframe from the one before */
+		const frames = [ from ];
+		for ( const frame of to.frames )
+			frames.push ( frame.fillFrom ( frames [ frames.length - 1 ] ) );
+		return { frames : frames, offsets : [ 0, ...to.offsets ], eases : [ null, ...to.eases ] };
+	}
+
+
+
+	/**
+	 * @description Replace a path with a cross-fade to its end, for when motion is reduced.
+	 * Elements which move fade out, jump to the end, and fade back in. Any other changes happen linearly.
+	 *
+	 * @param {{frames: AnimParams[]}} path A path from _path.
+	 * @returns {{frames: AnimParams[], offsets: Number[], eases: Array<String|null>, crossFade: Boolean}}
+	 * @private
+	 */
+	static _crossFadePath ( path )
+	{
+		/* Find whether the element moves */
+		const from = path.frames [ 0 ], end = path.frames [ path.frames.length - 1 ];
+		const fromStyle = CardAnim._paramsToStyle ( from ), endStyle = CardAnim._paramsToStyle ( end );
+		if ( [ "transform", "width", "height" ].every ( property => fromStyle [ property ] === endStyle [ property ] ) )
+			return { frames : [ from, end ], offsets : [ 0, 1 ], eases : [ null, "linear" ], crossFade : true };
+
+		/* Fade out and back in */
+		const hidden = params => new AnimParams ( null, null, null, null, null, 0 ).fillFrom ( params );
+		return { frames : [ from, hidden ( from ), hidden ( end ), end ], offsets : [ 0, 0.5, 0.5, 1 ], eases : [ null, "linear", "linear", "linear" ], crossFade : true };
+	}
+
+
+
+	/**
+	 * @description Turn a path into keyframes for the Web Animations API.
+	 * A keyframe's easing applies to the segment after it, so each keyframe takes the ease into the next one, and the last is linear.
+	 *
+	 * @param {{frames: AnimParams[], offsets: Number[], eases: Array<String|null>}} path A path from _path.
+	 * @returns {Object[]}
+	 * @private
+	 */
+	static _keyframes ( path )
+	{
+		return path.frames.map ( ( frame, i ) => ( {
+			...CardAnim._paramsToStyle ( frame ),
+			offset : path.offsets [ i ],
+			easing : path.eases [ i + 1 ] ?? "linear"
+		} ) );
+	}
+
+
+
+	/**
+	 * @param {{frames: AnimParams[], offsets: Number[], eases: Array<String|null>}} path A path from _path.
+	 * @param {Number} progress How far along the path, after the animation's ease but before the ease into each keyframe.
+	 * @returns {AnimParams} The parameters at that point along the path.
+	 * @private
+	 */
+	static _pointOnPath ( path, progress )
+	{
+		/* Find the keyframes either side */
+		let i = 1;
+		while ( i < path.frames.length - 1 && path.offsets [ i ] < progress )
+			++i;
+
+		/* Interpolate between them, with the ease into the later one */
+		const span = path.offsets [ i ] - path.offsets [ i - 1 ];
+		const t = span > 0 ? ( progress - path.offsets [ i - 1 ] ) / span : 1;
+		return AnimParams.interpolate ( path.frames [ i - 1 ], path.frames [ i ], CardAnim._easeAt ( path.eases [ i ] ?? "linear", t ) );
+	}
+
+
+
+	/**
+	 * @description Evaluate a CSS easing. Keywords, cubic-bezier() and linear() are understood, and anything else is treated as linear.
+	 *
+	 * @param {String|Spring} ease
+	 * @param {Number} t The fraction of the way through the ease's duration.
+	 * @returns {Number} The fraction of the way from the start to the end.
+	 * @private
+	 */
+	static _easeAt ( ease, t )
+	{
+		/* Find the x of a cubic bezier curve which reaches t by bisection, and give its y there */
+		const css = String ( ease ).trim ();
+		const bezier = CardAnim._keywordEases.get ( css ) ?? css.match ( /^cubic-bezier\((.*)\)$/ )?.[ 1 ].split ( "," ).map ( parseFloat );
+		if ( bezier )
+		{
+			const [ x1, y1, x2, y2 ] = bezier;
+			const curve = ( a, b, s ) => 3 * a * s * ( 1 - s ) ** 2 + 3 * b * s * s * ( 1 - s ) + s ** 3;
+			let lo = 0, hi = 1;
+			for ( let i = 0; i < 30; ++i )
+			{
+				const mid = ( lo + hi ) / 2;
+				if ( curve ( x1, x2, mid ) < t ) lo = mid;
+				else hi = mid;
+			}
+			return curve ( y1, y2, ( lo + hi ) / 2 );
+		}
+
+		/* Read the points of a linear() easing. Each value may have up to two positions, as percentages. */
+		const linear = css.match ( /^linear\((.*)\)$/ );
+		if ( !linear )
+			return t;
+		const points = linear [ 1 ].split ( "," ).flatMap ( entry =>
+		{
+			const [ value, ...positions ] = entry.trim ().split ( /\s+/ ).map ( parseFloat );
+			return positions.length ? positions.map ( p => ( { value : value, position : p / 100 } ) ) : [ { value : value, position : null } ];
+		} );
+
+		/* Fill in the missing positions, which are spread evenly between the positions either side */
+		points [ 0 ].position ??= 0;
+		points [ points.length - 1 ].position ??= 1;
+		for ( let i = 1, known = 0; i < points.length; ++i )
+			if ( points [ i ].position !== null )
+			{
+				points [ i ].position = Math.max ( points [ i ].position, points [ known ].position );
+				for ( let j = known + 1; j < i; ++j )
+					points [ j ].position = points [ known ].position + ( points [ i ].position - points [ known ].position ) * ( j - known ) / ( i - known );
+				known = i;
+			}
+
+		/* Interpolate between the points either side of t */
+		const next = points.findIndex ( point => point.position > t );
+		if ( next <= 0 )
+			return next === 0 ? points [ 0 ].value : points [ points.length - 1 ].value;
+		const [ a, b ] = [ points [ next - 1 ], points [ next ] ];
+		return a.value + ( b.value - a.value ) * ( t - a.position ) / ( b.position - a.position );
+	}
+
+
+
+	/**
+	 * @param {AnimParams} params Complete parameters.
+	 * @returns {Object<String, String>} The styles for an element with the parameters.
+	 * @private
+	 */
+	static _paramsToStyle ( params )
+	{
+		/* Transform about the center of the element */
+		const style = {
+			transform : `translate3d(${params.position.x}px,${params.position.y}px, 0) translate(50%, 50%) perspective(${CardAnim.perspective}) ` +
+				`rotate(${params.rotation}deg) rotateX(${params.tilt.x}deg) rotateY(${params.tilt.y}deg) scale(${params.scale}) translate(-50%, -50%)`,
+			opacity : String ( params.opacity )
+		};
+
+		/* Only set the size and stacking order if they are controlled */
+		if ( params.size )
+		{
+			style.width = params.size.x + "px";
+			style.height = params.size.y + "px";
+		}
+		if ( params.zIndex !== null )
+			style.zIndex = String ( params.zIndex );
+		return style;
+	}
+
+
+
+	/**
+	 * @param {Element} element
+	 * @returns {AnimParams} The parameters last applied to the element, or otherwise parsed from its styles.
+	 *   The size and stacking order are null unless they are set on the element.
+	 * @private
+	 */
+	static _currentParams ( element )
+	{
+		/* Use the last parameters applied */
+		const known = CardAnim._params.get ( element );
+		if ( known )
+			return known;
+
 		/** @see{@link https://stackoverflow.com/questions/60813162/extract-the-different-css-transformations-from-a-transform-string} */
 		const parseTransform = transform =>
 			Array.from ( transform.matchAll ( /(\w+)\((.+?)\)/gm ) )
@@ -236,38 +671,103 @@ class CardAnim
 						[fn]: val
 					} ), {} );
 
-		/* Set the attributes of a selection */
-		const applyAnimParams = selection => selection.style ( "transform", function ( d )
-			{
-				/* Parse the transform */
-				const transform = parseTransform ( this.style.transform );
+		/* Parse the transform */
+		const transform = parseTransform ( element.style.transform );
 
-				/* Get the position */
-				const translation = d.position ?? ( transform [ "translate3d" ] ? Vec.parse.apply ( null, transform [ "translate3d" ].split ( "," ).slice ( 0, 2 ) ) : new Vec ( 0 ) );
+		/* Get the parameters */
+		return new AnimParams (
+			transform [ "translate3d" ] ? Vec.parse.apply ( null, transform [ "translate3d" ].split ( "," ).slice ( 0, 2 ) ) : new Vec ( 0 ),
+			element.style.width && element.style.height ? new Vec ( parseFloat ( element.style.width ), parseFloat ( element.style.height ) ) : null,
+			transform.rotate ? parseFloat ( transform.rotate ) : 0,
+			transform.scale ? parseFloat ( transform.scale ) : 1,
+			new Vec ( transform.rotateX ? parseFloat ( transform.rotateX ) : 0, transform.rotateY ? parseFloat ( transform.rotateY ) : 0 ),
+			element.style.opacity ? parseFloat ( element.style.opacity ) : 1,
+			element.style.zIndex ? parseInt ( element.style.zIndex ) : null );
+	}
 
-				/* Get the rotation */
-				const rotation = d.rotation ?? ( transform.rotate ? parseFloat ( transform.rotate ) : 0 );
 
-				/* Apply the transformation */
-				return `translate3d(${translation.x}px,${translation.y}px, 0) translate(50%, 50%) rotate(${rotation}deg) translate(-50%, -50%)`;
-			} )
-			.style ( "width", function ( d ) { return d.size ? d.size.x + "px" : this.style.width; } )
-			.style ( "height", function ( d ) { return d.size ? d.size.y + "px" : this.style.height; } );
 
-		/* Animate */
-		if ( this.startParams )
-			applyAnimParams ( this.selection.data ( this.startParams ).join ()
-				.style ( "transition-duration", "0s" ) );
-		if ( this.endParams )
-			setTimeout ( () => applyAnimParams (
-				this.selection.data ( this.endParams ).join ()
-					.style ( "transition-property", "transform, width, height" )
-					.style ( "transition-duration", this.duration + "ms" )
-					.style ( "transition-timing-function", this.ease ) ) );
+	/**
+	 * @description Apply parameters to an element. Missing parameters are kept from the element's current parameters.
+	 *
+	 * @param {Element} element
+	 * @param {AnimParams} params
+	 * @param {Boolean} [instant = true] Whether to disable any CSS transitions.
+	 * @returns {AnimParams} The complete parameters which were applied.
+	 * @private
+	 */
+	static _apply ( element, params, instant = true )
+	{
+		/* Fill in the missing parameters */
+		const applied = params.fillFrom ( CardAnim._currentParams ( element ) );
+		CardAnim._params.set ( element, applied );
 
-		/* Add the callback and return */
-		return  new Promise ( res => setTimeout ( res, this.duration + CardAnim.durationEpsilon ) )
-			.then ( () => { if ( this.callback ) this.callback (); } );
+		/* Set the styles */
+		if ( instant )
+			element.style.transitionDuration = "0s";
+		Object.assign ( element.style, CardAnim._paramsToStyle ( applied ) );
+		return applied;
+	}
+
+
+
+	/**
+	 * @description Stop any animation running on an element, keeping the element wherever the animation had got to.
+	 * The node which was running it is interrupted, so that its callback is not called and nothing which waits for it starts.
+	 * @param {Element} element
+	 * @private
+	 */
+	static _stop ( element )
+	{
+		/* Ignore elements which are not animating */
+		const running = CardAnim._running.get ( element );
+		if ( !running )
+			return;
+
+		/* Cancel the node */
+		CardAnim._running.delete ( element );
+		running.handle.interrupt ( running.node );
+
+		/* Transitions cannot be held part way, so only stop the later keyframes from being applied. Cross-fades still skip to their end. */
+		if ( running.timers )
+		{
+			running.timers.forEach ( clearTimeout );
+			if ( running.path.crossFade )
+				CardAnim._apply ( element, running.path.frames [ running.path.frames.length - 1 ] );
+			return;
+		}
+
+		/* Find how far through the animation the element is, after easing. Cross-fades skip to their end, so that elements are never left faded. */
+		const progress = running.path.crossFade ? 1 : running.animation.effect.getComputedTiming ().progress ?? 1;
+
+		/* Hold the element there, and cancel the animation */
+		CardAnim._apply ( element, CardAnim._pointOnPath ( running.path, progress ) );
+		running.animation.cancel ();
+	}
+
+
+
+	/**
+	 * @description Jump any animation running on an element to its end.
+	 * @param {Element} element
+	 * @private
+	 */
+	static _finish ( element )
+	{
+		/* Ignore elements which are not animating */
+		const running = CardAnim._running.get ( element );
+		if ( !running )
+			return;
+
+		/* Jump transitions straight to their last keyframe, rather than waiting for the timers */
+		if ( running.timers )
+		{
+			running.timers.forEach ( clearTimeout );
+			CardAnim._running.delete ( element );
+			CardAnim._apply ( element, running.path.frames [ running.path.frames.length - 1 ] );
+		}
+		else
+			running.animation.finish ();
 	}
 
 
@@ -283,6 +783,73 @@ class CardAnim
 	{
 		return new DelayAnim ( selection, ease, duration, dependsOn );
 	}
+
+
+
+	/**
+	 * @param {Object} selection The D3 selection which the animation should act on.
+	 * @param {function():CardAnim} factory Creates the animation once its dependencies have finished.
+	 * @param {CardAnim[]} [dependsOn = []] Any animations which the start of this animation depends on.
+	 * @constructor
+	 */
+	static Deferred ( selection, factory, dependsOn = [] )
+	{
+		return new DeferredAnim ( selection, factory, dependsOn );
+	}
+
+
+
+	/**
+	 * @description Play animations at the same time.
+	 *
+	 * @param {CardAnim[]} anims
+	 * @returns {Promise<Boolean>} Resolves once every animation has completed, with whether none of them were cancelled.
+	 * @public
+	 */
+	static all ( anims )
+	{
+		return Promise.all ( anims.map ( anim => anim.play () ) )
+			.then ( completed => completed.every ( c => c ) );
+	}
+
+
+
+	/**
+	 * @description Play animations one after another. Steps may be functions, which create their animation once the step before has completed.
+	 *
+	 * @param {Array<CardAnim|function():CardAnim>} steps
+	 * @returns {Promise<Boolean>} Resolves once every animation has completed, with false as soon as one is cancelled, which stops the sequence.
+	 * @public
+	 */
+	static async sequence ( steps )
+	{
+		for ( const step of steps )
+			if ( !await ( typeof step === "function" ? step () : step ).play () )
+				return false;
+		return true;
+	}
+
+
+
+	/**
+	 * @description Play animations at the same time, until the first one ends, at which point the others are cancelled.
+	 *
+	 * @param {CardAnim[]} anims
+	 * @returns {Promise<CardAnim>} Resolves with the animation which ended first.
+	 * @public
+	 */
+	static race ( anims )
+	{
+		const handles = anims.map ( anim => anim.animate () );
+		return Promise.race ( handles.map ( handle => handle.finished.then ( () => handle ) ) )
+			.then ( winner =>
+			{
+				for ( const handle of handles )
+					if ( handle !== winner )
+						handle.cancel ();
+				return winner.root;
+			} );
+	}
 }
 
 
@@ -308,12 +875,315 @@ class DelayAnim extends CardAnim
 
 	/**
 	 * @description Actually perform the animation for this node.
+	 * @param {AnimHandle} handle The handle of the running graph.
+	 * @returns {Promise<void>}
+	 * @private
+	 * @override
+	 */
+	_animate ( handle )
+	{
+		return handle.wait ( this.duration )
+			.then ( () => { if ( this.callback && !handle.interrupted ( this ) ) this.callback () } );
+	}
+}
+
+
+
+/**
+ * @class DeferredAnim
+ * @extends CardAnim
+ *
+ * @description An animation which is only created once its dependencies have finished, so that it can use the latest parameters.
+ */
+class DeferredAnim extends CardAnim
+{
+
+	/** @public {function():CardAnim} May be called more than once, such as by AnimGraph, so it should only create the animation. */
+	factory;
+
+
+
+	/**
+	 * @param {Object} selection The D3 selection which the animation should act on.
+	 * @param {function():CardAnim} factory Creates the animation once its dependencies have finished.
+	 * @param {CardAnim[]} [dependsOn = []] Any animations which the start of this animation depends on.
+	 */
+	constructor ( selection, factory, dependsOn = [] )
+	{
+		super ( selection, null, null, null, 0, dependsOn );
+		this.factory = factory;
+	}
+
+	/**
+	 * @description Create the animation, and animate its entire dependency tree as part of the same graph.
+	 * This node is interrupted if the animation it created is.
+	 * @param {AnimHandle} handle The handle of the running graph.
+	 * @returns {Promise<void>}
 	 * @private
 	 * @override
 	 */
-	_animate ()
+	_animate ( handle )
+	{
+		const created = this.factory ();
+		return handle.schedule ( created ).then ( () =>
+		{
+			if ( handle.interrupted ( created ) )
+				handle.interrupt ( this );
+			else if ( this.callback )
+				this.callback ();
+		} );
+	}
+}
+
+
+
+/**
+ * @class AnimHandle
+ *
+ * @description Controls a running animation graph, which can be cancelled, finished early, or retargeted.
+ * Nodes which have not started when the graph is cancelled never start, and their callbacks are not called.
+ * A node is interrupted in the same way when another animation takes over one of its elements, along with everything which waits for it.
+ */
+class AnimHandle
+{
+
+	/**
+	 * @public {Readonly<{RUNNING: string, FINISHING: string, FINISHED: string, CANCELLED: string}>}
+	 */
+	static states = Object.freeze ( {
+		RUNNING : "RUNNING",
+		FINISHING : "FINISHING",
+		FINISHED : "FINISHED",
+		CANCELLED : "CANCELLED"
+	} );
+
+
+
+	/** @public {CardAnim} The final node of the graph. */
+	root;
+
+	/** @public {Promise<Boolean>} Resolves once the graph has completed, been finished early, or been cancelled, with whether it was not cancelled. */
+	finished;
+
+	/** @private {String} */
+	_state = AnimHandle.states.RUNNING;
+
+	/** @private {Map<CardAnim, Promise<void>>} The promise for each scheduled node. */
+	_promises = new Map ();
+
+	/** @private {Set<function():void>} Functions which end each pending wait early. */
+	_waits = new Set ();
+
+	/** @private {Set<Element>} The elements which the graph is currently animating. */
+	_elements = new Set ();
+
+	/** @private {Set<CardAnim>} The nodes which were interrupted. */
+	_interrupted = new Set ();
+
+
+
+	/**
+	 * @description Start animating a graph.
+	 * @param {CardAnim} root The final node of the graph.
+	 */
+	constructor ( root )
+	{
+		this.root = root;
+		this.finished = this.schedule ( root ).then ( () =>
+		{
+			/* A graph whose final node was interrupted counts as cancelled */
+			if ( this._interrupted.has ( root ) )
+				this._state = AnimHandle.states.CANCELLED;
+			if ( this.cancelled )
+				return false;
+			this._state = AnimHandle.states.FINISHED;
+			return true;
+		} );
+	}
+
+
+
+	/**
+	 * @returns {String} One of AnimHandle.states.
+	 * @public
+	 */
+	get state ()
+	{
+		return this._state;
+	}
+
+	/**
+	 * @returns {Boolean} Whether the graph was cancelled.
+	 * @public
+	 */
+	get cancelled ()
+	{
+		return this._state === AnimHandle.states.CANCELLED;
+	}
+
+	/**
+	 * @returns {Boolean} Whether the graph is being finished early.
+	 * @public
+	 */
+	get finishing ()
+	{
+		return this._state === AnimHandle.states.FINISHING;
+	}
+
+
+
+	/**
+	 * @description Stop the graph. Elements stay wherever they have got to, and no more nodes are started.
+	 * @public
+	 */
+	cancel ()
+	{
+		/* Ignore graphs which are already done */
+		if ( this._state === AnimHandle.states.FINISHED || this._state === AnimHandle.states.CANCELLED )
+			return;
+		this._state = AnimHandle.states.CANCELLED;
+
+		/* Stop the elements wherever they are */
+		for ( const element of this._elements )
+			CardAnim._stop ( element );
+
+		/* End any waits, so that the graph settles */
+		for ( const end of this._waits )
+			end ();
+	}
+
+
+
+	/**
+	 * @description Jump the graph to its end. Every remaining node is applied instantly, in order, and its callback is called.
+	 * @public
+	 */
+	finish ()
+	{
+		/* Ignore graphs which are not running */
+		if ( this._state !== AnimHandle.states.RUNNING )
+			return;
+		this._state = AnimHandle.states.FINISHING;
+
+		/* Jump the elements to their ends */
+		for ( const element of this._elements )
+			CardAnim._finish ( element );
+
+		/* End any waits */
+		for ( const end of this._waits )
+			end ();
+	}
+
+
+
+	/**
+	 * @description Cancel the graph, and animate its final selection from wherever it has got to towards new end parameters.
+	 *
+	 * @param {AnimParams|AnimParams[]} endParams The new end parameters, for the selection of the final node.
+	 * @param {String|null} [ease = null] Defaults to the ease of the final node.
+	 * @param {Number|null} [duration = null] Defaults to the duration of the final node.
+	 * @returns {AnimHandle} The handle of the new animation.
+	 * @public
+	 */
+	retarget ( endParams, ease = null, duration = null )
+	{
+		this.cancel ();
+		return new CardAnim ( this.root.selection, null, endParams, ease ?? this.root.ease, duration ?? this.root.duration ).animate ();
+	}
+
+
+
+	/**
+	 * @description Start a node once its dependencies have finished, as part of this graph. Each node is only started once.
+	 *
+	 * @param {CardAnim} node
+	 * @returns {Promise<void>} A promise for when the node has finished.
+	 * @public
+	 */
+	schedule ( node )
+	{
+		/* Ignore if we are already animating */
+		if ( this._promises.has ( node ) )
+			return this._promises.get ( node );
+
+		/* Start the node after its dependencies, unless the graph has been cancelled or one of them was interrupted */
+		const promise = Promise.all ( node.dependsOn.map ( dep => this.schedule ( dep ) ) )
+			.then ( () =>
+			{
+				if ( node.dependsOn.some ( dep => this._interrupted.has ( dep ) ) )
+					this.interrupt ( node );
+				return this.interrupted ( node ) ? undefined : node._animate ( this );
+			} );
+		this._promises.set ( node, promise );
+		return promise;
+	}
+
+
+
+	/**
+	 * @description Treat a node as cancelled, such as when another animation has taken over one of its elements.
+	 * Its callback is not called, and nothing which waits for it starts.
+	 *
+	 * @param {CardAnim} node
+	 * @public
+	 */
+	interrupt ( node )
+	{
+		this._interrupted.add ( node );
+	}
+
+	/**
+	 * @param {CardAnim} node
+	 * @returns {Boolean} Whether the node was interrupted, or the whole graph was cancelled.
+	 * @public
+	 */
+	interrupted ( node )
+	{
+		return this.cancelled || this._interrupted.has ( node );
+	}
+
+
+
+	/**
+	 * @description Wait for some time, unless the graph is finished early or cancelled.
+	 *
+	 * @param {Number} duration In ms.
+	 * @returns {Promise<void>}
+	 * @public
+	 */
+	wait ( duration )
+	{
+		/* Don't wait if the graph is already ending */
+		if ( this._state !== AnimHandle.states.RUNNING )
+			return Promise.resolve ();
+
+		return new Promise ( res =>
+		{
+			const end = () =>
+			{
+				clearTimeout ( timeout );
+				this._waits.delete ( end );
+				res ();
+			};
+			const timeout = setTimeout ( end, duration );
+			this._waits.add ( end );
+		} );
+	}
+
+
+
+	/**
+	 * @description Remember that an element is being animated by this graph, until a promise settles.
+	 *
+	 * @param {Element} element
+	 * @param {Promise<void>} finished
+	 * @returns {Promise<void>} The same promise.
+	 * @public
+	 */
+	track ( element, finished )
 	{
-		return new Promise ( res => setTimeout ( res, this.duration ) )
-			.then ( () => { if ( this.callback ) this.callback () } );
+		this._elements.add ( element );
+		finished.then ( () => this._elements.delete ( element ) );
+		return finished;
 	}
 }
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * @class Capabilities
+ *
+ * @description Decides which device-dependent behaviours are used, from live media queries rather than the user agent.
+ * Each behaviour has its own flag, so that a tablet with a keyboard, or a phone unfolded into a tablet, gets the right mix.
+ * The flags are re-evaluated whenever their media queries change, such as when the user switches input mode or docks a tablet.
+ */
+class Capabilities
+{
+
+	/**
+	 * @public {Object<String, String>} The media query for each flag.
+	 *
+	 * largeCards: The viewport is small, so fewer, larger cards fit vertically on the screen.
+	 * smoothLayout: Layout changes come from rotating the device rather than dragging the window, so they are smoothed over a fixed duration.
+	 * overscrollClose: The pointer is a finger, so the popup closes when it is dragged down past its top.
+	 * stableHeight: The browser chrome shows and hides as the page scrolls, so the layout ignores it, and scrolls to the top when the grid changes.
+	 * hoverEffects: The pointer is precise and can hover, so the cards can react to it.
+	 */
+	static flags = {
+		largeCards : "(max-width: 600px), (max-height: 500px)",
+		smoothLayout : "(pointer: coarse)",
+		overscrollClose : "(pointer: coarse)",
+		stableHeight : "(hover: none) and (pointer: coarse)",
+		hoverEffects : "(hover: hover) and (pointer: fine)"
+	};
+
+	/** @public {Capabilities} The capabilities which every component follows. */
+	static shared = new Capabilities ();
+
+
+
+	/** @private {Map<String, MediaQueryList|null>} */
+	_queries = new Map ();
+
+	/** @private {Set<function(String, Boolean):void>} */
+	_listeners = new Set ();
+
+
+
+	/**
+	 * @param {Object<String, String>} [flags = Capabilities.flags] The media query for each flag.
+	 */
+	constructor ( flags = Capabilities.flags )
+	{
+		/* Follow each media query as it changes. Without media queries, every flag is unset. */
+		for ( const [ flag, query ] of Object.entries ( flags ) )
+		{
+			const list = typeof window.matchMedia === "function" ? window.matchMedia ( query ) : null;
+			list?.addEventListener ( "change", () => this._update ( flag ) );
+			this._queries.set ( flag, list );
+		}
+	}
+
+
+
+	/**
+	 * @param {String} flag
+	 * @returns {Boolean} Whether the flag is currently set.
+	 * @public
+	 */
+	has ( flag )
+	{
+		if ( !this._queries.has ( flag ) )
+			throw new Error ( "Capabilities.has: No flag named '" + flag + "'" );
+		return !!this._queries.get ( flag )?.matches;
+	}
+
+
+
+	/**
+	 * @param {function(String, Boolean):void} listener Called with a flag and whether it is set, whenever that changes.
+	 * @public
+	 */
+	addListener ( listener )
+	{
+		this._listeners.add ( listener );
+	}
+
+	/**
+	 * @param {function(String, Boolean):void} listener
+	 * @public
+	 */
+	removeListener ( listener )
+	{
+		this._listeners.delete ( listener );
+	}
+
+
+
+	/**
+	 * @description Tell the listeners that a flag has changed.
+	 * @param {String} flag
+	 * @private
+	 */
+	_update ( flag )
+	{
+		const value = this.has ( flag );
+		for ( const listener of this._listeners )
+			listener ( flag, value );
+	}
+}
@@ -0,0 +1,336 @@
+/**
+ * @class CardDragger
+ *
+ * @description Lets the cards in the grid be rearranged by dragging them. The dragged card follows the pointer with a slight tilt,
+ * while its neighbours move out of the way to show where it would land, and dropping it reorders the grid.
+ * A mouse or pen drags as soon as it moves, while a finger must first hold still on a card, so that the page can still be scrolled.
+ */
+class CardDragger
+{
+
+	/** @public {Number} How far a mouse or pen must move, in px, before a card is dragged rather than clicked. */
+	static dragThreshold = 5;
+
+	/** @public {Number} How long a finger must hold still on a card before it is dragged, in ms. */
+	static holdDuration = 400;
+
+	/** @public {Number} The scale of a card while it is lifted. */
+	static liftScale = 1.08;
+
+	/** @public {Number} The stacking order of a card while it is lifted, above the others. */
+	static liftZIndex = 10;
+
+	/** @public {Number} The tilt of a dragged card, in degrees per px that it moves in a frame. */
+	static tiltPerPixel = 0.5;
+
+	/** @public {Number} The largest tilt of a dragged card, in degrees. */
+	static maxTilt = 12;
+
+	/** @public {Number} The fraction of the way that the tilt moves towards its target each frame. */
+	static tiltEasing = 0.25;
+
+	/** @public {Number} The time taken for the neighbours to move out of the way, and for a dropped card to settle, in ms. */
+	static reflowDuration = 250;
+
+	/** @public {String} The class set on a card while it is dragged. */
+	static draggingClass = "dragging";
+
+
+
+	/** @private {GridManager} */
+	_gridManager;
+
+	/**
+	 * @private {Object|null} The drag in progress, from the card being pressed until it is dropped.
+	 *   Holds the card, its pointer, its slot and the slot it would land in, where it was pressed and grabbed, the latest pointer position,
+	 *   whether it has been lifted, and any timer for a finger holding still.
+	 */
+	_drag = null;
+
+	/** @private {AnimHandle|null} The neighbours moving out of the way. */
+	_reflow = null;
+
+
+
+	/**
+	 * @param {GridManager} gridManager The grid manager whose cards can be dragged.
+	 */
+	constructor ( gridManager )
+	{
+		/* Save the parameters */
+		this._gridManager = gridManager;
+
+		/* Follow the pointer on each card */
+		const dragger = this;
+		gridManager.cards
+			.on ( "pointerdown.drag", function ( event ) { dragger._pointerDown ( this, event ); } )
+			.on ( "pointermove.drag", event => this._pointerMove ( event ) )
+			.on ( "pointerup.drag", event => this._pointerUp ( event ) )
+			.on ( "pointercancel.drag", event => this._pointerUp ( event, false ) )
+			.on ( "dragstart.drag", event => event.preventDefault () )
+			.on ( "contextmenu.drag", event =>
+			{
+				if ( this._drag )
+					event.preventDefault ();
+			} );
+
+		/* Stop a finger which is dragging from scrolling the page */
+		gridManager.cards.each ( function ()
+		{
+			this.addEventListener ( "touchmove", event =>
+			{
+				if ( dragger._drag?.lifted )
+					event.preventDefault ();
+			}, { passive : false } );
+		} );
+	}
+
+
+
+	/**
+	 * @description Start following a card which has been pressed, if the grid is settled.
+	 * @param {Element} card
+	 * @param {PointerEvent} event
+	 * @private
+	 */
+	_pointerDown ( card, event )
+	{
+		/* Only drag one settled card at a time, with the main button */
+		if ( this._drag || !this._gridManager.settled || !event.isPrimary || event.button !== 0 )
+			return;
+
+		/* Remember where the card was grabbed */
+		const slot = this._gridManager.cards.nodes ().indexOf ( card );
+		const point = this._canvasPoint ( event );
+		this._drag = {
+			card : card,
+			pointerId : event.pointerId,
+			slot : slot,
+			target : slot,
+			start : point,
+			grab : point.sub ( this._gridManager.cardPositions [ slot ].position ),
+			point : point,
+			last : point,
+			tilt : 0,
+			lifted : false,
+			timer : event.pointerType === "touch" ? setTimeout ( () => this._lift (), CardDragger.holdDuration ) : null
+		};
+	}
+
+
+
+	/**
+	 * @param {PointerEvent} event
+	 * @private
+	 */
+	_pointerMove ( event )
+	{
+		const drag = this._drag;
+		if ( !drag || event.pointerId !== drag.pointerId )
+			return;
+		drag.point = this._canvasPoint ( event );
+
+		/* Wait until the pointer has moved far enough. A finger which moves before holding still is scrolling instead. */
+		if ( !drag.lifted )
+		{
+			if ( drag.point.distanceTo ( drag.start ) < CardDragger.dragThreshold )
+				return;
+			if ( drag.timer !== null )
+			{
+				this._drop ( false );
+				return;
+			}
+			this._lift ();
+		}
+
+		/* Find the slot nearest the middle of the card, and move the neighbours out of the way if it has changed */
+		const positions = this._gridManager.cardPositions;
+		const center = drag.point.sub ( drag.grab ).add ( positions [ drag.slot ].size.div ( 2 ) );
+		const target = d3.minIndex ( positions, params => params.position.add ( params.size.div ( 2 ) ).distanceTo ( center ) );
+		if ( target !== drag.target )
+		{
+			drag.target = target;
+			this._reflowTo ( target );
+		}
+	}
+
+
+
+	/**
+	 * @param {PointerEvent} event
+	 * @param {Boolean} [reorder = true] Whether to reorder the grid, rather than put the card back.
+	 * @private
+	 */
+	_pointerUp ( event, reorder = true )
+	{
+		const drag = this._drag;
+		if ( !drag || event.pointerId !== drag.pointerId )
+			return;
+
+		/* Swallow the click which follows dropping a card, so that it does not perform its action */
+		if ( drag.lifted )
+		{
+			const swallow = e =>
+			{
+				e.preventDefault ();
+				e.stopImmediatePropagation ();
+			};
+			drag.card.addEventListener ( "click", swallow, { capture : true } );
+			setTimeout ( () => drag.card.removeEventListener ( "click", swallow, { capture : true } ) );
+		}
+
+		this._drop ( reorder );
+	}
+
+
+
+	/**
+	 * @description Lift the card, so that it follows the pointer.
+	 * @private
+	 */
+	_lift ()
+	{
+		/* The grid may have started moving while a finger held still */
+		const drag = this._drag;
+		clearTimeout ( drag.timer );
+		drag.timer = null;
+		if ( !this._gridManager.settled )
+		{
+			this._drop ( false );
+			return;
+		}
+
+		/* Keep following the pointer, even once it leaves the card, unless the card has been removed from the page */
+		drag.lifted = true;
+		if ( drag.card.isConnected )
+			drag.card.setPointerCapture ( drag.pointerId );
+
+		/* Follow the pointer each frame */
+		d3.select ( drag.card ).classed ( CardDragger.draggingClass, true );
+		this._frame ( drag );
+	}
+
+
+
+	/**
+	 * @description Move the lifted card to the pointer, tilting it towards the way it is moving, until it is dropped.
+	 * @param {Object} drag
+	 * @private
+	 */
+	_frame ( drag )
+	{
+		if ( this._drag !== drag )
+			return;
+
+		/* Ease the tilt towards how far the card moved sideways since the last frame */
+		const targetTilt = MotionPolicy.shared.reduced ? 0 :
+			Math.max ( -CardDragger.maxTilt, Math.min ( CardDragger.maxTilt, ( drag.point.x - drag.last.x ) * CardDragger.tiltPerPixel ) );
+		drag.tilt += ( targetTilt - drag.tilt ) * CardDragger.tiltEasing;
+		drag.last = drag.point;
+
+		/* Move the card */
+		new CardAnim (
+			d3.select ( drag.card ),
+			new AnimParams ( drag.point.sub ( drag.grab ), null, drag.tilt, CardDragger.liftScale, null, null, CardDragger.liftZIndex ),
+			null,
+			"linear",
+			0 ).animate ();
+		requestAnimationFrame ( () => this._frame ( drag ) );
+	}
+
+
+
+	/**
+	 * @param {Number} slot The slot of the dragged card.
+	 * @param {Number} target The slot which the dragged card would land in.
+	 * @returns {Number[]} The order of the grid, were the dragged card dropped in the slot.
+	 * @private
+	 */
+	_orderFor ( slot, target )
+	{
+		const order = this._gridManager.order;
+		order.splice ( target, 0, ...order.splice ( slot, 1 ) );
+		return order;
+	}
+
+
+
+	/**
+	 * @description Move the other cards to where they would be, were the dragged card dropped in a slot.
+	 * @param {Number} target
+	 * @private
+	 */
+	_reflowTo ( target )
+	{
+		/* Find the new slot of each card */
+		const drag = this._drag;
+		const cards = this._gridManager.cards.nodes ();
+		const slots = cards.filter ( card => card !== drag.card );
+		slots.splice ( target, 0, drag.card );
+
+		/* Move the other cards, continuing from wherever they have got to */
+		const positions = this._gridManager.cardPositions;
+		const others = cards.filter ( card => card !== drag.card );
+		this._reflow?.cancel ();
+		this._reflow = new CardAnim (
+			d3.selectAll ( others ),
+			null,
+			others.map ( card => positions [ slots.indexOf ( card ) ] ),
+			"ease-out",
+			CardDragger.reflowDuration ).animate ();
+	}
+
+
+
+	/**
+	 * @description Stop following the card, and either reorder the grid or put the card back where it was.
+	 * @param {Boolean} reorder
+	 * @returns {Promise<void>} Resolves once the card has settled.
+	 * @private
+	 */
+	async _drop ( reorder )
+	{
+		/* Stop following the card */
+		const drag = this._drag;
+		clearTimeout ( drag.timer );
+		this._drag = null;
+		if ( !drag.lifted )
+			return;
+		d3.select ( drag.card ).classed ( CardDragger.draggingClass, false );
+
+		/* Move every card to its slot, with the dropped card still lifted */
+		this._reflow?.cancel ();
+		this._reflow = null;
+		if ( reorder && drag.target !== drag.slot )
+			await this._gridManager.reorder ( this._orderFor ( drag.slot, drag.target ) );
+		else
+			await new CardAnim (
+				this._gridManager.cards,
+				null,
+				this._gridManager.cardPositions,
+				"ease-out",
+				CardDragger.reflowDuration ).play ();
+
+		/* Put the card down */
+		new CardAnim (
+			d3.select ( drag.card ),
+			null,
+			new AnimParams ( null, null, null, 1, null, null, 0 ),
+			"ease-out",
+			CardDragger.reflowDuration ).animate ();
+	}
+
+
+
+	/**
+	 * @param {PointerEvent} event
+	 * @returns {Vec} The position of the pointer on the canvas.
+	 * @private
+	 */
+	_canvasPoint ( event )
+	{
+		const canvas = this._gridManager.canvas.node ();
+		const rect = canvas.getBoundingClientRect ();
+		return new Vec ( event.clientX - rect.left + canvas.scrollLeft, event.clientY - rect.top + canvas.scrollTop );
+	}
+}
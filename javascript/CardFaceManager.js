@@ -1,7 +1,16 @@
 
-class CardFaceManager
+class CardFaceManager extends EventEmitter
 {
 
+	/**
+	 * @public {Readonly<{CARD_FLIP: string}>}
+	 *
+	 * cardflip: A card has finished flipping. The detail has the card, its index in the selection, and whether it is faceUp.
+	 */
+	static events = Object.freeze ( {
+		CARD_FLIP : "cardflip"
+	} );
+
 	/** @public {Number} The delay between cards flipping */
 	static cardFlipDelay = 150;
 
@@ -21,9 +30,15 @@ class CardFaceManager
 	 */
 	constructor ( cards )
 	{
+		super ();
+
 		/* Save the parameters */
 		this._cards = cards;
 
+		/* Start the faces in the orientation given by the stylesheet, so that flips continue from it */
+		new CardAnim ( this._cards.selectAll ( ".card-back" ), CardFaceManager._faceParams ( 0 ), null, "linear", 0 ).animate ();
+		new CardAnim ( this._cards.selectAll ( ".card-face" ), CardFaceManager._faceParams ( 180 ), null, "linear", 0 ).animate ();
+
 		/* Set a click handler for cards, so that inactive cards shake */
 		this._cards.each ( function ()
 		{
@@ -41,48 +56,79 @@ class CardFaceManager
 
 
 	/**
-	 * @description Actually flip the cards.
+	 * @description Actually flip the cards. When motion is reduced, every card flips at once.
 	 * @param {Number} numFlips The number of cards that should flip
-	 * @param {Number} [cardFlipDelay] The delay between cards flipping
+	 * @param {Number|Stagger} [cardFlipDelay] The delay between cards flipping, or a stagger to order them by
 	 * @param {Number} [cardFlipDuration] The duration a card takes to flip
 	 */
 	flip ( numFlips, cardFlipDelay = CardFaceManager.cardFlipDelay, cardFlipDuration = CardFaceManager.cardFlipDuration )
 	{
+		/* Find when each card starts to flip */
+		const delays = Stagger.from ( MotionPolicy.shared.reduced ? 0 : cardFlipDelay ).delays ( this._cards );
+
 		/* Iterate over the cards */
+		const manager = this;
 		this._cards.each ( function ( d, i )
 		{
-			/* Select the front and back faces */
+			/* Select the card */
 			const cardInner = d3.select ( this ).select ( ".card-inner" );
-			const cardFace = cardInner.select ( ".card-face" );
-			const cardBack = cardInner.select ( ".card-back" );
-
-			/* Flip the card */
-			cardBack
-				.style ( "visibility", "visible" )
-				.style ( "transition", "transform " + cardFlipDuration + "ms" )
-				.style ( "transition-timing-function", "ease" )
-				.style ( "transition-delay", i * cardFlipDelay + "ms" )
-				.style ( "transform", i < numFlips ? "rotateY(180deg)" : "rotateY(0deg)" );
-			cardFace
-				.style ( "visibility", "visible" )
-				.style ( "transition", "transform " + cardFlipDuration + "ms" )
-				.style ( "transition-timing-function", "ease" )
-				.style ( "transition-delay", i * cardFlipDelay + "ms" )
-				.style ( "transform", i < numFlips ? "rotateY(360deg)" : "rotateY(180deg)" );
-
-			/* Set a timeout for when the flip is done */
-			setTimeout ( () =>
+
+			/* Flip the card, and then class it and tell any listeners */
+			const card = this;
+			const flipped = i < numFlips;
+			const delay = CardAnim.Delay ( cardInner, "linear", delays [ i ] );
+			CardFaceManager.turn ( cardInner, flipped, cardFlipDuration, [ delay ] ).addCallback ( () =>
 			{
-				/* Class the card */
-				cardInner.classed ( "card-inactive", i >= numFlips )
-					.classed ( "card-active", i < numFlips );
-
-				/* Hide one side */
-				if ( i < numFlips )
-					cardBack.style ( "visibility", "hidden" );
-				else
-					cardFace.style ( "visibility", "hidden" );
-			},  i * cardFlipDelay + cardFlipDuration );
+				cardInner.classed ( "card-inactive", !flipped )
+					.classed ( "card-active", flipped );
+				manager._emit ( CardFaceManager.events.CARD_FLIP, { card : card, index : i, faceUp : flipped } );
+			} ).animate ();
+		} );
+	}
+
+
+
+	/**
+	 * @description Create an animation which turns a single card to show one of its sides, without changing whether it is active.
+	 * @param {Object} cardInner A D3 selection for the inner element of the card.
+	 * @param {Boolean} faceUp Whether to show the face, rather than the back.
+	 * @param {Number} [duration] The duration the card takes to turn.
+	 * @param {CardAnim[]} [dependsOn] Animations which must finish before the card turns.
+	 * @returns {CardAnim} The animation, which is yet to be played.
+	 * @public
+	 */
+	static turn ( cardInner, faceUp, duration = CardFaceManager.cardFlipDuration, dependsOn = [] )
+	{
+		/* Select the front and back faces */
+		const cardFace = cardInner.select ( ".card-face" );
+		const cardBack = cardInner.select ( ".card-back" );
+
+		/* Show both sides while the card turns */
+		cardBack.style ( "visibility", "visible" );
+		cardFace.style ( "visibility", "visible" );
+
+		/* Turn the card, and then hide one side */
+		return CardAnim.Delay ( cardInner, "linear", 0, [
+			new CardAnim ( cardBack, null, CardFaceManager._faceParams ( faceUp ? 180 : 0 ), "ease", duration, dependsOn ),
+			new CardAnim ( cardFace, null, CardFaceManager._faceParams ( faceUp ? 360 : 180 ), "ease", duration, dependsOn )
+		] ).addCallback ( () =>
+		{
+			if ( faceUp )
+				cardBack.style ( "visibility", "hidden" );
+			else
+				cardFace.style ( "visibility", "hidden" );
 		} );
 	}
+
+
+
+	/**
+	 * @param {Number} rotation The rotation about the vertical axis, in degrees.
+	 * @returns {AnimParams} Parameters for a side of a card.
+	 * @private
+	 */
+	static _faceParams ( rotation )
+	{
+		return new AnimParams ( null, null, null, null, new Vec ( 0, rotation ) );
+	}
 }
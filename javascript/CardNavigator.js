@@ -0,0 +1,162 @@
+/**
+ * @class CardNavigator
+ *
+ * @description Lets the keyboard move between the cards as they are laid out, with the deck as a single tab stop.
+ * The arrow keys move to the nearest card in that direction, so that they follow any layout, such as the centred short bottom row of the grid.
+ * Home and End move to the first and last cards. Inactive cards are announced as disabled, or skipped if skipInactive is set.
+ */
+class CardNavigator
+{
+
+	/** @public {Boolean} Whether the arrow keys skip over inactive cards, rather than stopping on them. */
+	static skipInactive = false;
+
+	/** @public {Number} How much further along a card can be for each px that it is across from the way the arrow points. */
+	static crossAxisWeight = 2;
+
+	/** @public {Object<String, Vec>} The direction of each arrow key. */
+	static directions = {
+		ArrowLeft : new Vec ( -1, 0 ),
+		ArrowRight : new Vec ( 1, 0 ),
+		ArrowUp : new Vec ( 0, -1 ),
+		ArrowDown : new Vec ( 0, 1 )
+	};
+
+
+
+	/** @private {GridManager} */
+	_gridManager;
+
+
+
+	/**
+	 * @param {GridManager} gridManager The grid manager whose cards are navigated.
+	 */
+	constructor ( gridManager )
+	{
+		/* Save the parameters */
+		this._gridManager = gridManager;
+
+		/* Make the first card the only tab stop */
+		this._setTabStop ( this._slots () [ 0 ] ?? 0 );
+
+		/* Move the tab stop to whichever card is focused, including by clicking, and handle the navigation keys */
+		const navigator = this;
+		gridManager.cards.select ( ".card-inner" )
+			.on ( "focus.navigate", function () { navigator._setTabStop ( navigator._slotOf ( this ) ); } )
+			.on ( "keydown.navigate", function ( event ) { navigator._keyDown ( this, event ); } );
+	}
+
+
+
+	/**
+	 * @description Focus the card in a slot of the layout.
+	 * @param {Number} slot
+	 * @public
+	 */
+	focus ( slot )
+	{
+		this._setTabStop ( slot );
+		this._gridManager.cards.nodes () [ slot ].querySelector ( ".card-inner" ).focus ();
+	}
+
+
+
+	/**
+	 * @param {Element} inner The inner element of the focused card.
+	 * @param {KeyboardEvent} event
+	 * @private
+	 */
+	_keyDown ( inner, event )
+	{
+		/* Leave modified keys to the browser, and stay on a focused card */
+		if ( event.altKey || event.ctrlKey || event.metaKey || this._gridManager.focusedCard !== null )
+			return;
+
+		/* Find the card to move to */
+		const slot = this._slotOf ( inner );
+		const slots = this._slots ();
+		let target;
+		if ( event.key === "Home" )
+			target = slots [ 0 ];
+		else if ( event.key === "End" )
+			target = slots [ slots.length - 1 ];
+		else if ( CardNavigator.directions [ event.key ] )
+			target = this._neighbour ( slot, CardNavigator.directions [ event.key ], slots );
+		else
+			return;
+
+		/* Move, and stop the page scrolling even if there is nowhere to move to */
+		event.preventDefault ();
+		if ( target !== undefined && target !== slot )
+			this.focus ( target );
+	}
+
+
+
+	/**
+	 * @param {Number} slot
+	 * @param {Vec} direction
+	 * @param {Number[]} slots The slots which can be moved to.
+	 * @returns {Number|undefined} The nearest slot in the direction, preferring those in line with the slot, or undefined if there is none.
+	 * @private
+	 */
+	_neighbour ( slot, direction, slots )
+	{
+		/* Find the middle of each card */
+		const positions = this._gridManager.cardPositions;
+		const center = params => params.position.add ( params.size.div ( 2 ) );
+		const from = center ( positions [ slot ] );
+		const halfSize = Math.abs ( positions [ slot ].size.x * direction.x + positions [ slot ].size.y * direction.y ) / 2;
+
+		/* Only consider cards which are at least half a card further in the direction, and no further across than along, and choose the closest */
+		let best, bestScore = Infinity;
+		for ( const other of slots )
+		{
+			const offset = center ( positions [ other ] ).sub ( from );
+			const along = offset.x * direction.x + offset.y * direction.y;
+			const across = Math.abs ( offset.x * direction.y - offset.y * direction.x );
+			const score = along + CardNavigator.crossAxisWeight * across;
+			if ( along > halfSize && across <= along && score < bestScore )
+				[ best, bestScore ] = [ other, score ];
+		}
+		return best;
+	}
+
+
+
+	/**
+	 * @returns {Number[]} The slots which can be moved to, in order.
+	 * @private
+	 */
+	_slots ()
+	{
+		const inners = this._gridManager.cards.select ( ".card-inner" ).nodes ();
+		return d3.range ( inners.length ).filter ( i => !CardNavigator.skipInactive || inners [ i ].getAttribute ( "aria-disabled" ) !== "true" );
+	}
+
+
+
+	/**
+	 * @param {Element} inner The inner element of a card.
+	 * @returns {Number} The slot of the card.
+	 * @private
+	 */
+	_slotOf ( inner )
+	{
+		return this._gridManager.cards.nodes ().indexOf ( inner.parentNode );
+	}
+
+
+
+	/**
+	 * @description Make a card the deck's only tab stop.
+	 * @param {Number} slot
+	 * @private
+	 */
+	_setTabStop ( slot )
+	{
+		this._gridManager.cards.select ( ".card-inner" )
+			.attr ( "tabindex", ( d, i ) => i === slot ? 0 : -1 );
+	}
+}
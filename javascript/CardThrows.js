@@ -0,0 +1,155 @@
+/**
+ * @class CardThrow
+ *
+ * @description A strategy for throwing a single card from its start to its end parameters.
+ * The default throw moves the card in a straight line, with a single transition.
+ */
+class CardThrow
+{
+
+	/**
+	 * @description Create the animation to throw a card.
+	 *
+	 * @param {Object} card A D3 selection of a single card.
+	 * @param {AnimParams} startParams
+	 * @param {AnimParams} endParams
+	 * @param {String} ease
+	 * @param {Number} delay The delay before throwing the card.
+	 * @param {Number} duration The time for the card to reach its end parameters.
+	 * @returns {CardAnim} An animation which completes once the card has landed.
+	 * @public
+	 */
+	createAnimation ( card, startParams, endParams, ease, delay, duration )
+	{
+		return new CardAnim ( card, startParams, null, ease, delay )
+			.continueTo ( endParams, ease, duration );
+	}
+}
+
+
+
+/**
+ * @class BallisticThrow
+ * @extends CardThrow
+ *
+ * @description Throw a card along an arc, spinning and lifting while airborne, before overshooting and settling into place.
+ * The flight follows several keyframes along the arc, after which a final keyframe settles the card.
+ */
+class BallisticThrow extends CardThrow
+{
+
+	/** @public {Number} The height of the arc, as a multiple of the distance thrown. */
+	arc;
+
+	/** @public {Number} The amount of spin, in degrees. This should be a whole number of turns. */
+	spin;
+
+	/** @public {Number} The distance the card slides past its end position, as a multiple of the average card dimension. */
+	overshoot;
+
+	/** @public {Number} The rotation past the end rotation when the card lands, in degrees. */
+	overshootRotation;
+
+	/** @public {Number} The growth of the card at the top of the arc, as a fraction of its size. */
+	lift;
+
+	/** @public {Number} The fraction of the duration spent settling after the card lands. */
+	settle;
+
+	/** @public {Number} The number of keyframes along the flight. */
+	stops;
+
+
+
+	/**
+	 * @param {Number} [arc] The height of the arc, as a multiple of the distance thrown.
+	 * @param {Number} [spin] The amount of spin, in degrees. This should be a whole number of turns.
+	 * @param {Number} [overshoot] The distance the card slides past its end position, as a multiple of the average card dimension.
+	 * @param {Number} [overshootRotation] The rotation past the end rotation when the card lands, in degrees.
+	 * @param {Number} [lift] The growth of the card at the top of the arc, as a fraction of its size.
+	 * @param {Number} [settle] The fraction of the duration spent settling after the card lands.
+	 * @param {Number} [stops] The number of keyframes along the flight.
+	 */
+	constructor ( arc = 0.15, spin = 360, overshoot = 0.06, overshootRotation = 4, lift = 0.08, settle = 0.3, stops = 6 )
+	{
+		super ();
+		this.arc = arc;
+		this.spin = spin;
+		this.overshoot = overshoot;
+		this.overshootRotation = overshootRotation;
+		this.lift = lift;
+		this.settle = settle;
+		this.stops = stops;
+	}
+
+
+
+	/**
+	 * @description Create the animation to throw a card. The ease is ignored in favour of the ballistic motion.
+	 *
+	 * @param {Object} card A D3 selection of a single card.
+	 * @param {AnimParams} startParams
+	 * @param {AnimParams} endParams
+	 * @param {String} ease
+	 * @param {Number} delay The delay before throwing the card.
+	 * @param {Number} duration The time for the card to reach its end parameters.
+	 * @returns {CardAnim} An animation which completes once the card has settled.
+	 * @public
+	 * @override
+	 */
+	createAnimation ( card, startParams, endParams, ease, delay, duration )
+	{
+		/* Work with the centers of the card, since it is scaled and rotated about its center */
+		const startSize = startParams.size ?? endParams.size;
+		const endSize = endParams.size ?? startSize;
+		const from = startParams.position.add ( startSize.div ( 2 ) );
+		const to = endParams.position.add ( endSize.div ( 2 ) );
+
+		/* A card which does not move cannot be thrown */
+		const distance = from.distanceTo ( to );
+		if ( !distance )
+			return super.createAnimation ( card, startParams, endParams, ease, delay, duration );
+
+		/* Cards thrown to the right spin clockwise, and cards thrown to the left spin anticlockwise */
+		const direction = from.directionTo ( to );
+		const spinSign = direction.x < 0 ? -1 : 1;
+
+		/* Land a little past the end position */
+		const landing = to.add ( direction.mult ( this.overshoot * ( endSize.x + endSize.y ) / 2 ) );
+
+		/* Bulge the path upwards with a quadratic bezier curve */
+		const normal = new Vec ( direction.y, -direction.x ).mult ( direction.x < 0 ? -1 : 1 );
+		const control = from.add ( landing ).div ( 2 ).add ( normal.mult ( this.arc * distance ) );
+		const pathAt = u => from.mult ( ( 1 - u ) ** 2 ).add ( control.mult ( 2 * u * ( 1 - u ) ) ).add ( landing.mult ( u ** 2 ) );
+
+		/* The card starts wound back by the spin, which looks identical, and unwinds as it flies */
+		const startRotation = ( startParams.rotation ?? 0 ) - spinSign * this.spin;
+		const landingRotation = ( endParams.rotation ?? 0 ) + spinSign * this.overshootRotation;
+
+		/* Fly through each keyframe. Progress along the path eases out, so the card and its spin slow as it lands. */
+		const flight = 1 - this.settle;
+		const frames = [], offsets = [], eases = [];
+		for ( let i = 1; i <= this.stops; ++i )
+		{
+			const t = i / this.stops;
+			const u = 1 - ( 1 - t ) ** 2;
+			const size = startSize.add ( endSize.sub ( startSize ).mult ( u ) );
+			frames.push ( new AnimParams (
+				pathAt ( u ).sub ( size.div ( 2 ) ),
+				size,
+				startRotation + ( landingRotation - startRotation ) * u,
+				1 + this.lift * Math.sin ( Math.PI * t ) ) );
+			offsets.push ( t * flight );
+			eases.push ( "linear" );
+		}
+
+		/* Settle into the end parameters */
+		frames.push ( endParams );
+		offsets.push ( 1 );
+		eases.push ( "ease-in-out" );
+
+		/* Jump to the start of the throw, and fly */
+		return new CardAnim ( card, new AnimParams ( startParams.position, startSize, startRotation, 1 ).fillFrom ( startParams ), null, ease, delay )
+			.continueTo ( new AnimKeyframes ( frames, offsets, eases ), "linear", duration );
+	}
+}
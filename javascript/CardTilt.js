@@ -0,0 +1,135 @@
+/**
+ * @class CardTilt
+ *
+ * @description Tilts a hovered card towards the pointer, with a glare over its face which follows the pointer, and springs it back when the pointer leaves.
+ * The tilt is applied to each card's inner element, so that it never fights the transforms which CardAnim writes on the card itself,
+ * and only while the grid is settled. It turns itself off without the hoverEffects capability, and while motion is reduced.
+ */
+class CardTilt
+{
+
+	/** @public {Number} The largest tilt about each axis, in degrees. */
+	static maxTilt = 10;
+
+	/** @public {Number} The time taken to follow the pointer, in ms. */
+	static followDuration = 100;
+
+	/** @public {Spring} The spring which a card returns flat with, which also decides how long returning takes. */
+	static returnSpring = new Spring ( 300, 18 );
+
+	/** @public {String} The class set on a card's inner element while it is tilted. */
+	static tiltedClass = "tilted";
+
+
+
+	/** @private {GridManager} */
+	_gridManager;
+
+	/** @private {Element|null} The inner element of the card which is tilted. */
+	_tilted = null;
+
+
+
+	/**
+	 * @param {GridManager} gridManager The grid manager whose cards tilt.
+	 */
+	constructor ( gridManager )
+	{
+		/* Save the parameters */
+		this._gridManager = gridManager;
+
+		/* Add a glare over each face */
+		gridManager.cards.select ( ".card-face" ).append ( "div" )
+			.classed ( "card-glare", true )
+			.attr ( "aria-hidden", "true" );
+
+		/* Follow the pointer over each card */
+		const tilt = this;
+		gridManager.cards
+			.on ( "pointermove.tilt", function ( event ) { tilt._pointerMove ( this, event ); } )
+			.on ( "pointerleave.tilt", () => this._release () );
+
+		/* Return the card flat once tilting is turned off */
+		Capabilities.shared.addListener ( () =>
+		{
+			if ( !this.enabled )
+				this._release ();
+		} );
+		MotionPolicy.shared.addListener ( () =>
+		{
+			if ( !this.enabled )
+				this._release ();
+		} );
+	}
+
+
+
+	/**
+	 * @returns {Boolean} Whether cards tilt, which needs a pointer which can hover, and motion not to be reduced.
+	 * @public
+	 */
+	get enabled ()
+	{
+		return Capabilities.shared.has ( "hoverEffects" ) && !MotionPolicy.shared.reduced;
+	}
+
+
+
+	/**
+	 * @description Tilt the card towards the pointer.
+	 * @param {Element} card
+	 * @param {PointerEvent} event
+	 * @private
+	 */
+	_pointerMove ( card, event )
+	{
+		/* Only tilt settled cards which are not being dragged, under a mouse or pen */
+		if ( !this.enabled || event.pointerType === "touch" || !this._gridManager.settled || card.classList.contains ( CardDragger.draggingClass ) )
+		{
+			this._release ();
+			return;
+		}
+
+		/* Find where the pointer is over the card, from 0 to 1 */
+		const rect = card.getBoundingClientRect ();
+		const point = new Vec (
+			( event.clientX - rect.left ) / rect.width,
+			( event.clientY - rect.top ) / rect.height ).clamp ( new Vec ( 0 ), new Vec ( 1 ) );
+
+		/* Move on from any other card */
+		const inner = card.querySelector ( ".card-inner" );
+		if ( this._tilted !== inner )
+			this._release ();
+		this._tilted = inner;
+
+		/* Tilt the card so that the side under the pointer dips, and move the glare to the pointer */
+		d3.select ( inner )
+			.classed ( CardTilt.tiltedClass, true )
+			.style ( "transition", "transform" )
+			.style ( "transition-duration", CardTilt.followDuration + "ms" )
+			.style ( "transition-timing-function", "ease-out" )
+			.style ( "transform", `perspective(${CardAnim.perspective}) ` +
+				`rotateX(${( 0.5 - point.y ) * 2 * CardTilt.maxTilt}deg) rotateY(${( point.x - 0.5 ) * 2 * CardTilt.maxTilt}deg)` )
+			.style ( "--glare-x", point.x * 100 + "%" )
+			.style ( "--glare-y", point.y * 100 + "%" );
+	}
+
+
+
+	/**
+	 * @description Spring the tilted card back flat.
+	 * @private
+	 */
+	_release ()
+	{
+		if ( !this._tilted )
+			return;
+		d3.select ( this._tilted )
+			.classed ( CardTilt.tiltedClass, false )
+			.style ( "transition", "transform" )
+			.style ( "transition-duration", ( MotionPolicy.shared.reduced ? 0 : CardTilt.returnSpring.duration ) + "ms" )
+			.style ( "transition-timing-function", CardTilt.returnSpring )
+			.style ( "transform", null );
+		this._tilted = null;
+	}
+}
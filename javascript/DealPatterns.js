@@ -0,0 +1,479 @@
+/**
+ * @class DealPattern
+ *
+ * @description A strategy for dealing cards. A pattern chooses the start and end parameters of every card,
+ * and builds the animation graph which moves the cards between them.
+ * Subclasses must override createParams, and may override createAnimation.
+ */
+class DealPattern
+{
+
+	/**
+	 * @description Create the start and end parameters for each card.
+	 *
+	 * @param {Dealer} dealer The dealer whose cards and deal area should be used.
+	 * @returns {{startParams: AnimParams[], endParams: AnimParams[], jitteredParams: ?Promise<AnimParams[]>}|null} The parameters,
+	 *   or null if the cards cannot be placed.
+	 * @public
+	 */
+	createParams ( dealer )
+	{
+		throw new Error ( "DealPattern.createParams: Not implemented" );
+	}
+
+
+
+	/**
+	 * @description Create the animation graph to deal the cards. By default, cards are thrown one after another in DOM order.
+	 *
+	 * @param {Dealer} dealer The dealer whose cards should be animated.
+	 * @param {{startParams: AnimParams[], endParams: AnimParams[], jitteredParams: ?Promise<AnimParams[]>}} params The parameters from createParams.
+	 * @param {Number|Stagger} dealDelay The delay between throwing cards, or a stagger to order them by where they land.
+	 * @param {Number} dealDuration The time for a card to reach its final position.
+	 * @param {CardThrow} [cardThrow] How each card is thrown.
+	 * @returns {CardAnim} A final animation, which completes once every card has been dealt.
+	 * @public
+	 */
+	createAnimation ( dealer, params, dealDelay, dealDuration, cardThrow = new CardThrow () )
+	{
+		const delays = DealPattern._staggerDelays ( dealer, params, dealDelay );
+		return this._createStaggeredAnimation ( dealer.cards, params, i => delays [ i ], dealDuration, "ease-out", cardThrow );
+	}
+
+
+
+	/**
+	 * @description Throw each card from its start to its end parameters, after a per-card delay.
+	 *
+	 * @param {Object} cards A D3 selection of cards.
+	 * @param {{startParams: AnimParams[], endParams: AnimParams[], jitteredParams: ?Promise<AnimParams[]>}} params
+	 * @param {function(Number):Number} delay The delay before throwing the i'th card.
+	 * @param {Number} duration The time for a card to reach its final position.
+	 * @param {String} ease
+	 * @param {CardThrow} cardThrow How each card is thrown.
+	 * @returns {CardAnim}
+	 * @protected
+	 */
+	_createStaggeredAnimation ( cards, params, delay, duration, ease, cardThrow )
+	{
+		/* If better end parameters are on their way, swap them in when they arrive.
+		 * Only a whole set covers the deal area, so cards which have already been thrown are moved onto theirs, until the deal is over.
+		 */
+		const endParams = params.endParams.slice ();
+		const thrown = new Set ();
+		let dealt = false;
+		if ( params.jitteredParams )
+			params.jitteredParams.then ( jittered => jittered.forEach ( ( p, i ) =>
+			{
+				endParams [ i ] = p;
+				if ( thrown.has ( i ) && !dealt )
+					new CardAnim ( d3.select ( cards.nodes () [ i ] ), null, p, ease, duration ).animate ();
+			} ) );
+
+		/* Stack the cards in the order they are thrown, so that later cards land on top */
+		const order = d3.range ( cards.size () ).sort ( ( a, b ) => delay ( a ) - delay ( b ) );
+		const startParams = new Array ( cards.size () );
+		order.forEach ( ( i, stack ) => startParams [ i ] = new AnimParams ( null, null, null, null, null, null, stack ).fillFrom ( params.startParams [ i ] ) );
+
+		/* Create animations for each card */
+		const animations = new Array ( cards.size () );
+		cards.each ( function ( d, i ) {
+			const card = d3.select ( this );
+
+			/* Only create the throw once the card is due to be thrown, so that it lands on the latest end parameters.
+			 * The card is marked as thrown by its delay rather than by the factory, since the factory is also called to inspect the graph.
+			 */
+			if ( params.jitteredParams )
+				animations [ i ] = CardAnim.Deferred (
+					card,
+					() => cardThrow.createAnimation ( card, startParams [ i ], endParams [ i ], ease, 0, duration ),
+					[ new CardAnim ( card, startParams [ i ], null, ease, delay ( i ) ).addCallback ( () => thrown.add ( i ) ) ] );
+			else
+				animations [ i ] = cardThrow.createAnimation (
+					card,
+					startParams [ i ],
+					endParams [ i ],
+					ease,
+					delay ( i ),
+					duration );
+		} );
+
+		/* Return a final animation */
+		return CardAnim.Delay ( cards, ease, 0, animations ).addCallback ( () => dealt = true );
+	}
+
+
+
+	/**
+	 * @param {Dealer} dealer
+	 * @param {{endParams: AnimParams[]}} params
+	 * @param {Number|Stagger} dealDelay
+	 * @returns {Number[]} The delay before throwing each card, ordered by where the cards will land.
+	 * @protected
+	 */
+	static _staggerDelays ( dealer, params, dealDelay )
+	{
+		const centers = params.endParams.map ( p => p.position.add ( p.size ? p.size.div ( 2 ) : new Vec ( 0 ) ) );
+		return Stagger.from ( dealDelay ).delays ( dealer.cards, centers );
+	}
+
+
+
+	/**
+	 * @param {Vec} center The center of the card.
+	 * @param {Vec} size The size of the card.
+	 * @param {Number} rotation In degrees, about the center.
+	 * @returns {AnimParams} Parameters which place a card's center at the given point.
+	 * @protected
+	 */
+	_centeredParams ( center, size, rotation )
+	{
+		return new AnimParams ( center.sub ( size.div ( 2 ) ), size, rotation );
+	}
+}
+
+
+
+/**
+ * @class CoverDealPattern
+ * @extends DealPattern
+ *
+ * @description Throw every card from the deal origin onto a jittered cover of the deal area.
+ */
+class CoverDealPattern extends DealPattern
+{
+
+	/** @public {Number} The maximum translation jitter on each iteration, as a multiple of the average card dimension. */
+	transJitter;
+
+	/** @public {Number} The maximum rotation jitter on each iteration, in degrees. */
+	rotJitter;
+
+	/** @public {Number} The number of jitter iterations. */
+	iters;
+
+	/** @public {String|null} One of Dealer.coverFallbacks, or null to use Dealer.coverFallback. */
+	fallback;
+
+	/** @public {Boolean} Whether to generate the jitter in idle time, dealing onto the un-jittered cover until it is ready. */
+	background;
+
+
+
+	/**
+	 * @param {Number} [transJitter] The maximum translation jitter on each iteration, as a multiple of the average card dimension.
+	 * @param {Number} [rotJitter] The maximum rotation jitter on each iteration, in degrees.
+	 * @param {Number} [iters] The number of iterations.
+	 * @param {String|null} [fallback] One of Dealer.coverFallbacks, or null to use Dealer.coverFallback.
+	 * @param {Boolean} [background] Whether to generate the jitter in idle time, dealing onto the un-jittered cover until it is ready.
+	 */
+	constructor ( transJitter = 0.1, rotJitter = 10, iters = 10, fallback = null, background = true )
+	{
+		super ();
+		this.transJitter = transJitter;
+		this.rotJitter = rotJitter;
+		this.iters = iters;
+		this.fallback = fallback;
+		this.background = background;
+	}
+
+
+
+	/**
+	 * @param {Dealer} dealer
+	 * @returns {{startParams: AnimParams[], endParams: AnimParams[], jitteredParams: ?Promise<AnimParams[]>}|null} The parameters,
+	 *   or null if the cards cannot cover the deal area and the fallback is NONE.
+	 * @public
+	 * @override
+	 */
+	createParams ( dealer )
+	{
+		/* Possibly generate the jitter in the background */
+		const startParams = new Array ( dealer.cards.size () ).fill ( new AnimParams ( dealer.dealOrigin, dealer.cardSize, 0 ) );
+		const fallback = this.fallback ?? Dealer.coverFallback;
+		if ( this.background )
+		{
+			const cover = dealer.createCoverParamsAsync ( this.transJitter, this.rotJitter, this.iters, fallback );
+			if ( !cover )
+				return null;
+			return {
+				startParams: startParams,
+				...cover
+			};
+		}
+
+		/* Give up if the cards cannot cover the deal area */
+		const endParams = dealer.createCoverParams ( this.transJitter, this.rotJitter, this.iters, fallback );
+		if ( !endParams )
+			return null;
+		return {
+			startParams: startParams,
+			endParams: endParams
+		};
+	}
+}
+
+
+
+/**
+ * @class FanDealPattern
+ * @extends DealPattern
+ *
+ * @description Throw the cards into a fan around a pivot below the deal area, like a hand of cards.
+ */
+class FanDealPattern extends DealPattern
+{
+
+	/** @public {Number} The angle between the outermost cards, in degrees. */
+	spread;
+
+	/** @public {Number} The distance from the pivot to the center of each card, as a multiple of the card height. */
+	radius;
+
+
+
+	/**
+	 * @param {Number} [spread] The angle between the outermost cards, in degrees.
+	 * @param {Number} [radius] The distance from the pivot to the center of each card, as a multiple of the card height.
+	 */
+	constructor ( spread = 70, radius = 1.2 )
+	{
+		super ();
+		this.spread = spread;
+		this.radius = radius;
+	}
+
+
+
+	/**
+	 * @param {Dealer} dealer
+	 * @returns {{startParams: AnimParams[], endParams: AnimParams[]}}
+	 * @public
+	 * @override
+	 */
+	createParams ( dealer )
+	{
+		/* Place the pivot so that the middle card is centered on the deal area */
+		const radius = dealer.cardSize.y * this.radius;
+		const pivot = dealer.dealPos.add ( dealer.dealSize.div ( 2 ) ).add ( new Vec ( 0, radius ) );
+
+		/* Rotate each card about the pivot */
+		const count = dealer.cards.size ();
+		const endParams = new Array ( count );
+		for ( let i = 0; i < count; ++i )
+		{
+			const angle = count > 1 ? this.spread * ( i / ( count - 1 ) - 0.5 ) : 0;
+			endParams [ i ] = this._centeredParams (
+				pivot.add ( new Vec ( 0, -radius ).rotate ( Vec.rad ( angle ) ) ),
+				dealer.cardSize,
+				angle );
+		}
+
+		return {
+			startParams: new Array ( count ).fill ( new AnimParams ( dealer.dealOrigin, dealer.cardSize, 0 ) ),
+			endParams: endParams
+		};
+	}
+}
+
+
+
+/**
+ * @class CascadeDealPattern
+ * @extends DealPattern
+ *
+ * @description Slide the cards down a diagonal across the deal area, from the top left to the bottom right.
+ */
+class CascadeDealPattern extends DealPattern
+{
+
+	/** @public {Number} The maximum rotation jitter of each card, in degrees. */
+	rotJitter;
+
+
+
+	/**
+	 * @param {Number} [rotJitter] The maximum rotation jitter of each card, in degrees.
+	 */
+	constructor ( rotJitter = 5 )
+	{
+		super ();
+		this.rotJitter = rotJitter;
+	}
+
+
+
+	/**
+	 * @param {Dealer} dealer
+	 * @returns {{startParams: AnimParams[], endParams: AnimParams[]}}
+	 * @public
+	 * @override
+	 */
+	createParams ( dealer )
+	{
+		/* Cards enter from above the top of the diagonal */
+		const start = new AnimParams ( dealer.dealPos.sub ( new Vec ( 0, dealer.cardSize.y ) ), dealer.cardSize, 0 );
+
+		/* Spread the cards evenly along the diagonal */
+		const count = dealer.cards.size ();
+		const endParams = new Array ( count );
+		for ( let i = 0; i < count; ++i )
+			endParams [ i ] = new AnimParams (
+				dealer.dealPos.add ( dealer.dealSize.sub ( dealer.cardSize ).mult ( count > 1 ? i / ( count - 1 ) : 0.5 ) ),
+				dealer.cardSize,
+				dealer.random.signed () * this.rotJitter );
+
+		return {
+			startParams: new Array ( count ).fill ( start ),
+			endParams: endParams
+		};
+	}
+}
+
+
+
+/**
+ * @class SpiralDealPattern
+ * @extends DealPattern
+ *
+ * @description Spin the cards out from the center of the deal area along a spiral.
+ */
+class SpiralDealPattern extends DealPattern
+{
+
+	/** @public {Number} The number of turns of the spiral. */
+	turns;
+
+
+
+	/**
+	 * @param {Number} [turns] The number of turns of the spiral.
+	 */
+	constructor ( turns = 1.25 )
+	{
+		super ();
+		this.turns = turns;
+	}
+
+
+
+	/**
+	 * @param {Dealer} dealer
+	 * @returns {{startParams: AnimParams[], endParams: AnimParams[]}}
+	 * @public
+	 * @override
+	 */
+	createParams ( dealer )
+	{
+		/* The spiral should stay within the deal area */
+		const center = dealer.dealPos.add ( dealer.dealSize.div ( 2 ) );
+		const maxRadius = dealer.dealSize.sub ( dealer.cardSize ).div ( 2 );
+
+		/* Place each card further along the spiral */
+		const count = dealer.cards.size ();
+		const endParams = new Array ( count );
+		for ( let i = 0; i < count; ++i )
+		{
+			const t = count > 1 ? i / ( count - 1 ) : 0;
+			const angle = t * this.turns * 360;
+			endParams [ i ] = this._centeredParams (
+				center.add ( new Vec ( Math.cos ( Vec.rad ( angle ) ), Math.sin ( Vec.rad ( angle ) ) ).mult ( maxRadius.mult ( t ) ) ),
+				dealer.cardSize,
+				angle );
+		}
+
+		return {
+			startParams: new Array ( count ).fill ( this._centeredParams ( center, dealer.cardSize, 0 ) ),
+			endParams: endParams
+		};
+	}
+}
+
+
+
+/**
+ * @class RiffleDealPattern
+ * @extends DealPattern
+ *
+ * @description Riffle the cards from two piles either side of the deal area into a single pile at its center.
+ */
+class RiffleDealPattern extends DealPattern
+{
+
+	/** @public {Number} The offset between neighbouring cards in a pile, as a fraction of the card height. */
+	stackOffset;
+
+	/** @public {Number} The tilt of the two piles, in degrees. */
+	pileTilt;
+
+
+
+	/**
+	 * @param {Number} [stackOffset] The offset between neighbouring cards in a pile, as a fraction of the card height.
+	 * @param {Number} [pileTilt] The tilt of the two piles, in degrees.
+	 */
+	constructor ( stackOffset = 0.005, pileTilt = 10 )
+	{
+		super ();
+		this.stackOffset = stackOffset;
+		this.pileTilt = pileTilt;
+	}
+
+
+
+	/**
+	 * @param {Dealer} dealer
+	 * @returns {{startParams: AnimParams[], endParams: AnimParams[]}}
+	 * @public
+	 * @override
+	 */
+	createParams ( dealer )
+	{
+		/* Place the two piles at either edge of the deal area, and the final pile in the middle */
+		const center = dealer.dealPos.add ( dealer.dealSize.div ( 2 ) );
+		const pileOffset = new Vec ( Math.max ( dealer.dealSize.x - dealer.cardSize.x, dealer.cardSize.x ) / 2, 0 );
+		const stackOffset = new Vec ( 0, -dealer.cardSize.y * this.stackOffset );
+
+		/* Alternate cards between the piles */
+		const count = dealer.cards.size ();
+		const startParams = new Array ( count );
+		const endParams = new Array ( count );
+		for ( let i = 0; i < count; ++i )
+		{
+			const side = i % 2 ? 1 : -1;
+			startParams [ i ] = this._centeredParams (
+				center.add ( pileOffset.mult ( side ) ).add ( stackOffset.mult ( Math.floor ( i / 2 ) ) ),
+				dealer.cardSize,
+				-side * this.pileTilt );
+			endParams [ i ] = this._centeredParams (
+				center.add ( stackOffset.mult ( i ) ),
+				dealer.cardSize,
+				dealer.random.signed () * 2 );
+		}
+
+		return {
+			startParams: startParams,
+			endParams: endParams
+		};
+	}
+
+
+
+	/**
+	 * @description Riffle cards in quick succession, alternating between the piles.
+	 *
+	 * @param {Dealer} dealer
+	 * @param {{startParams: AnimParams[], endParams: AnimParams[]}} params
+	 * @param {Number|Stagger} dealDelay
+	 * @param {Number} dealDuration
+	 * @param {CardThrow} [cardThrow]
+	 * @returns {CardAnim}
+	 * @public
+	 * @override
+	 */
+	createAnimation ( dealer, params, dealDelay, dealDuration, cardThrow = new CardThrow () )
+	{
+		const delays = DealPattern._staggerDelays ( dealer, params, dealDelay );
+		return this._createStaggeredAnimation ( dealer.cards, params, i => delays [ i ] / 2, dealDuration / 2, "ease-in-out", cardThrow );
+	}
+}
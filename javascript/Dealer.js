@@ -93,6 +93,11 @@ class Line
 	 */
 	intercept ( other )
 	{
+		/* The segments cannot intercept if their domains do not overlap */
+		if ( this.domMin.x > other.domMax.x + 2 * Line.epsilon || other.domMin.x > this.domMax.x + 2 * Line.epsilon ||
+			this.domMin.y > other.domMax.y + 2 * Line.epsilon || other.domMin.y > this.domMax.y + 2 * Line.epsilon )
+			return null;
+
 		/* Get a potential x intercept */
 		const x = ( this.b * other.c - other.b * this.c ) / ( this.a * other.b - this.b * other.a );
 		const y = ( this.a * other.c - other.a * this.c ) / ( this.b * other.a - this.a * other.b );
@@ -142,18 +147,20 @@ class Rect
 	/**
 	 * @param {Vec} center
 	 * @param {Vec} size
+	 * @param {Number} [rotation = 0] In radians, about the center
 	 */
-	constructor ( center, size )
+	constructor ( center, size, rotation = 0 )
 	{
 		this.center = center;
 		this.size = size;
 
 		const radius = size.div ( 2 );
+		const corner = ( x, y ) => center.add ( rotation ? new Vec ( x, y ).rotate ( rotation ) : new Vec ( x, y ) );
 		this.boarders = [
-			new Line ( center.add ( new Vec ( -radius.x, -radius.y ) ), center.add ( new Vec (  radius.x, -radius.y ) ) ),
-			new Line ( center.add ( new Vec ( -radius.x,  radius.y ) ), center.add ( new Vec (  radius.x,  radius.y ) ) ),
-			new Line ( center.add ( new Vec ( -radius.x,  radius.y ) ), center.add ( new Vec ( -radius.x, -radius.y ) ) ),
-			new Line ( center.add ( new Vec (  radius.x,  radius.y ) ), center.add ( new Vec (  radius.x, -radius.y ) ) ),
+			new Line ( corner ( -radius.x, -radius.y ), corner (  radius.x, -radius.y ) ),
+			new Line ( corner ( -radius.x,  radius.y ), corner (  radius.x,  radius.y ) ),
+			new Line ( corner ( -radius.x,  radius.y ), corner ( -radius.x, -radius.y ) ),
+			new Line ( corner (  radius.x,  radius.y ), corner (  radius.x, -radius.y ) ),
 		];
 	}
 
@@ -171,6 +178,20 @@ class Rect
 
 
 
+	/**
+	 * @returns {{min: Vec, max: Vec}} The axis-aligned bounding box of the rectangle.
+	 */
+	bounds ()
+	{
+		const corners = this.corners ();
+		return {
+			min : new Vec ( Math.min ( ...corners.map ( c => c.x ) ), Math.min ( ...corners.map ( c => c.y ) ) ),
+			max : new Vec ( Math.max ( ...corners.map ( c => c.x ) ), Math.max ( ...corners.map ( c => c.y ) ) )
+		};
+	}
+
+
+
 	/**
 	 * @param {Vec} amount
 	 * @returns {Rect} This rectangle
@@ -245,6 +266,164 @@ class Rect
 		return intercepts;
 	}
 
+
+
+	/**
+	 * @param {AnimParams} params Parameters with a position, size and rotation, such as the end parameters of a card.
+	 * @returns {Rect} The rectangle which a card with these parameters covers.
+	 */
+	static fromParams ( params )
+	{
+		return new Rect ( params.position.add ( params.size.div ( 2 ) ), params.size, Vec.rad ( params.rotation ?? 0 ) );
+	}
+
+}
+
+
+
+/**
+ * @class SpatialHash
+ *
+ * @description A uniform grid of cells, indexing items by their bounding boxes for broad-phase culling.
+ */
+class SpatialHash
+{
+
+	/** @public {Number} The width and height of each cell */
+	cellSize;
+
+	/** @private {Map<Number, Set<Number>>} The items overlapping each cell, by cell key */
+	_cells = new Map ();
+
+	/** @private {Map<Number, {min: Vec, max: Vec}>} The bounds of each item */
+	_bounds = new Map ();
+
+	/** @private {Map<Number, Number[]>} The keys of the cells overlapped by each item */
+	_itemKeys = new Map ();
+
+
+
+	/**
+	 * @param {Number} cellSize The width and height of each cell
+	 */
+	constructor ( cellSize )
+	{
+		this.cellSize = cellSize;
+	}
+
+
+
+	/**
+	 * @param {Number} item
+	 * @param {{min: Vec, max: Vec}} bounds
+	 */
+	insert ( item, bounds )
+	{
+		const keys = this._keys ( bounds );
+		this._bounds.set ( item, bounds );
+		this._itemKeys.set ( item, keys );
+		for ( const key of keys )
+		{
+			if ( !this._cells.has ( key ) )
+				this._cells.set ( key, new Set () );
+			this._cells.get ( key ).add ( item );
+		}
+	}
+
+
+
+	/**
+	 * @param {Number} item
+	 */
+	remove ( item )
+	{
+		for ( const key of this._itemKeys.get ( item ) )
+			this._cells.get ( key ).delete ( item );
+		this._bounds.delete ( item );
+		this._itemKeys.delete ( item );
+	}
+
+
+
+	/**
+	 * @param {Number} item
+	 * @returns {{min: Vec, max: Vec}} The bounds which the item was inserted with
+	 */
+	boundsOf ( item )
+	{
+		return this._bounds.get ( item );
+	}
+
+
+
+	/**
+	 * @param {{min: Vec, max: Vec}} bounds
+	 * @returns {Set<Number>} The items whose bounds overlap the given bounds
+	 */
+	query ( bounds )
+	{
+		const items = new Set ();
+		for ( const key of this._keys ( bounds ) )
+			for ( const item of this._cells.get ( key ) ?? [] )
+				if ( SpatialHash.overlaps ( this._bounds.get ( item ), bounds ) )
+					items.add ( item );
+		return items;
+	}
+
+
+
+	/**
+	 * @param {Vec} point
+	 * @returns {Set<Number>|Number[]} The items in the cell containing the point. Not all of these will contain the point.
+	 */
+	queryPoint ( point )
+	{
+		return this._cells.get ( this._key ( Math.floor ( point.x / this.cellSize ), Math.floor ( point.y / this.cellSize ) ) ) ?? [];
+	}
+
+
+
+	/**
+	 * @param {{min: Vec, max: Vec}} a
+	 * @param {{min: Vec, max: Vec}} b
+	 * @param {Number} [epsilon = 2 * Line.epsilon] A tolerance, so that touching bounds overlap
+	 * @returns {boolean} True iff the bounds overlap
+	 */
+	static overlaps ( a, b, epsilon = 2 * Line.epsilon )
+	{
+		return a.min.x <= b.max.x + epsilon && b.min.x <= a.max.x + epsilon &&
+			a.min.y <= b.max.y + epsilon && b.min.y <= a.max.y + epsilon;
+	}
+
+
+
+	/**
+	 * @param {{min: Vec, max: Vec}} bounds
+	 * @returns {Number[]} The keys of the cells covered by the bounds
+	 * @private
+	 */
+	_keys ( bounds )
+	{
+		const keys = [];
+		const epsilon = Line.epsilon;
+		for ( let x = Math.floor ( ( bounds.min.x - epsilon ) / this.cellSize ); x <= Math.floor ( ( bounds.max.x + epsilon ) / this.cellSize ); ++x )
+			for ( let y = Math.floor ( ( bounds.min.y - epsilon ) / this.cellSize ); y <= Math.floor ( ( bounds.max.y + epsilon ) / this.cellSize ); ++y )
+				keys.push ( this._key ( x, y ) );
+		return keys;
+	}
+
+
+
+	/**
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @returns {Number} A unique key for the cell
+	 * @private
+	 */
+	_key ( x, y )
+	{
+		return ( x + 0x8000 ) * 0x10000 + ( y + 0x8000 );
+	}
 }
 
 
@@ -257,6 +436,51 @@ class Rect
 class Dealer
 {
 
+	/** @public {Random} The default random source for new dealers. */
+	static random = Random.shared;
+
+	/** @public {Object<String, DealPattern>} The registered deal patterns, by name. */
+	static patterns = {
+		cover : new CoverDealPattern (),
+		fan : new FanDealPattern (),
+		cascade : new CascadeDealPattern (),
+		spiral : new SpiralDealPattern (),
+		riffle : new RiffleDealPattern ()
+	};
+
+	/** @public {DealPattern|String} The default deal pattern, or the name of a registered pattern. */
+	static pattern = "cover";
+
+	/** @public {Object<String, CardThrow>} The registered card throws, by name. */
+	static throws = {
+		straight : new CardThrow (),
+		ballistic : new BallisticThrow ()
+	};
+
+	/** @public {CardThrow|String} The default card throw, or the name of a registered throw. */
+	static cardThrow = "straight";
+
+	/**
+	 * @public {Readonly<{SCALE: string, PARTIAL: string, NONE: string}>} What to do when there are too few cards to cover the deal area.
+	 * SCALE enlarges the cards until they cover it, PARTIAL spreads them out without covering it, and NONE gives up, so that there is nothing to deal.
+	 */
+	static coverFallbacks = Object.freeze ( {
+		SCALE : "SCALE",
+		PARTIAL : "PARTIAL",
+		NONE : "NONE"
+	} );
+
+	/** @public {String} The default cover fallback. */
+	static coverFallback = Dealer.coverFallbacks.SCALE;
+
+	/** @public {Number} The number of random draws made by each move while generating noise. */
+	static noiseDrawsPerMove = 3;
+
+	/** @public {Number} The time to spend generating noise in each slice, in ms, when idle callbacks are not supported. */
+	static noiseSliceDuration = 8;
+
+
+
 	/** @private {Object} A D3 selection of cards */
 	_cards;
 
@@ -272,6 +496,9 @@ class Dealer
 	/** @private {Vec} The position from which cards are dealt */
 	_dealOrigin;
 
+	/** @private {Random} The random source for jitter and shuffling */
+	_random;
+
 
 
 	/**
@@ -280,13 +507,15 @@ class Dealer
 	 * @param {Vec} dealPos The deal area position
 	 * @param {Vec} dealSize The deal area size
 	 * @param {Vec} dealOrigin The position from which cards are dealt
+	 * @param {Random} [random = Dealer.random] The random source for jitter and shuffling
 	 */
 	constructor (
 		cards,
 		cardSize,
 		dealPos,
 		dealSize,
-		dealOrigin
+		dealOrigin,
+		random = Dealer.random
 	)
 	{
 		this._cards = cards;
@@ -294,201 +523,683 @@ class Dealer
 		this._dealPos = dealPos;
 		this._dealSize = dealSize;
 		this._dealOrigin = dealOrigin;
+		this._random = random;
+	}
+
+
+
+	/**
+	 * @returns {Object} A D3 selection of cards
+	 * @public
+	 */
+	get cards ()
+	{
+		return this._cards;
+	}
+
+	/**
+	 * @param {Object} cards A D3 selection of cards, such as the same cards in a new order
+	 * @public
+	 */
+	set cards ( cards )
+	{
+		this._cards = cards;
 	}
 
+	/**
+	 * @returns {Vec} The dimensions of the cards
+	 * @public
+	 */
+	get cardSize ()
+	{
+		return this._cardSize;
+	}
 
+	/**
+	 * @returns {Vec} The deal area position
+	 * @public
+	 */
+	get dealPos ()
+	{
+		return this._dealPos;
+	}
 
 	/**
-	 * @description Create the animation to deal the cards.
+	 * @returns {Vec} The deal area size
+	 * @public
+	 */
+	get dealSize ()
+	{
+		return this._dealSize;
+	}
+
+	/**
+	 * @returns {Vec} The position from which cards are dealt
+	 * @public
+	 */
+	get dealOrigin ()
+	{
+		return this._dealOrigin;
+	}
+
+	/**
+	 * @returns {Random} The random source for jitter and shuffling
+	 * @public
+	 */
+	get random ()
+	{
+		return this._random;
+	}
+
+
+
+	/**
+	 * @description Create the animation to deal the cards. When motion is reduced, every card is placed at once without being thrown.
 	 *
-	 * @param {Number} dealDelay The delay between throwing cards.
+	 * @param {Number|Stagger} dealDelay The delay between throwing cards, or a stagger to order them by.
 	 * @param {Number} dealDuration The time for a card to reach its final position.
+	 * @param {DealPattern|String} [pattern = Dealer.pattern] The pattern to deal in, or the name of a registered pattern.
+	 * @param {CardThrow|String} [cardThrow = Dealer.cardThrow] How each card is thrown, or the name of a registered throw.
+	 * @param {Boolean} [jitter = true] Whether to move the cards onto jittered end parameters once they are ready.
+	 *   Turn this off for a Timeline, which lays out the whole deal up front and so cannot follow them.
+	 * @returns {CardAnim|null} A final animation, which completes once every card has been dealt,
+	 *   or null if the pattern cannot place the cards, such as when they cannot cover the deal area and the cover fallback is NONE.
+	 * @public
+	 */
+	createAnimation ( dealDelay, dealDuration, pattern = Dealer.pattern, cardThrow = Dealer.cardThrow, jitter = true )
+	{
+		/* Look up the pattern and throw */
+		const reduced = MotionPolicy.shared.reduced;
+		const dealPattern = Dealer.getPattern ( pattern );
+		const dealThrow = reduced ? new CardThrow () : Dealer.getThrow ( cardThrow );
+
+		/* Create the parameters and the animation */
+		const params = dealPattern.createParams ( this );
+		if ( !params )
+			return null;
+		return dealPattern.createAnimation ( this, jitter ? params : { ...params, jitteredParams : null }, reduced ? 0 : dealDelay, dealDuration, dealThrow );
+	}
+
+
+
+	/**
+	 * @description Create the animation to gather the cards from wherever they are into a neat pile.
+	 * Cards are collected in order, so that each card lands on top of the last. When motion is reduced, every card is collected at once.
+	 *
+	 * @param {Number|Stagger} gatherDelay The delay between collecting cards, or a stagger to order them by where they are.
+	 * @param {Number} gatherDuration The time for a card to reach the pile.
+	 * @param {Vec} [point] The center of the pile. Defaults to the center of the deal area.
+	 * @param {Number} [stackOffset] The offset between neighbouring cards in the pile, as a fraction of the card height.
+	 * @param {Number} [rotJitter] The maximum rotation of each card in the pile, in degrees.
+	 * @returns {CardAnim} A final animation, which completes once every card has been gathered.
+	 * @public
+	 */
+	createGatherAnimation ( gatherDelay, gatherDuration, point = this._dealPos.add ( this._dealSize.div ( 2 ) ), stackOffset = 0.005, rotJitter = 2 )
+	{
+		/* Stack the cards upwards from the bottom of the pile, with later cards on top */
+		const bottom = point.sub ( this._cardSize.div ( 2 ) ).add ( new Vec ( 0, this._cardSize.y * stackOffset * ( this._cards.size () - 1 ) / 2 ) );
+		const pileParams = new Array ( this._cards.size () );
+		for ( let i = 0; i < pileParams.length; ++i )
+			pileParams [ i ] = new AnimParams (
+				bottom.sub ( new Vec ( 0, this._cardSize.y * stackOffset * i ) ),
+				this._cardSize,
+				this._random.signed () * rotJitter,
+				null, null, null,
+				i );
+
+		/* Sweep each card from its current position */
+		const delays = Stagger.from ( MotionPolicy.shared.reduced ? 0 : gatherDelay ).delays ( this._cards );
+		const animations = new Array ( this._cards.size () );
+		this._cards.each ( function ( d, i ) {
+			animations [ i ] = CardAnim.Delay ( d3.select ( this ), "ease-in-out", delays [ i ] )
+				.continueTo ( pileParams [ i ], "ease-in-out", gatherDuration );
+		} );
+
+		/* Return a final animation */
+		return CardAnim.Delay ( this._cards, "ease-in-out", 0, animations );
+	}
+
+
+
+	/**
+	 * @description Create end parameters which cover the deal area with the cards, with some jitter.
+	 * If there are too few cards to cover the deal area, the fallback decides what happens instead.
+	 *
 	 * @param {Number} [transJitter] The maximum translation jitter on each iteration, as a multiple of the average card dimension.
 	 * @param {Number} [rotJitter] The maximum rotation jitter on each iteration, in degrees.
 	 * @param {Number} [iters] The number of iterations.
+	 * @param {String} [fallback = Dealer.coverFallback] One of Dealer.coverFallbacks.
+	 * @returns {AnimParams[]|null} The parameters, or null if the cards cannot cover the deal area and the fallback is NONE.
 	 * @public
 	 */
-	createAnimation ( dealDelay, dealDuration, transJitter= 0.1, rotJitter = 10, iters = 10 )
+	createCoverParams ( transJitter= 0.1, rotJitter = 10, iters = 10, fallback = Dealer.coverFallback )
 	{
-		/* Get the minimum grid of cards required to cover the deal area */
-		const minGrid = new Vec ( Math.ceil ( this._dealSize.x / this._cardSize.x ), Math.ceil ( this._dealSize.y / this._cardSize.y ) );
+		/* Initially distribute the cards */
+		const cover = this._createGridParams ( fallback );
+		if ( !cover )
+			return null;
 
-		/* Throw if we cannot cover the deal area */
-		if ( minGrid.x * minGrid.y > this._cards.size () )
-			throw new Error ( "Dealer.createAnimation: Could not cover the dealer area with the cards provided" );
+		/* Generate noise */
+		if ( cover.jitter )
+		{
+			const noise = this._generateNoise ( cover.endParams, cover.cardSize, transJitter, rotJitter, iters, this._random );
+			while ( !noise.next ().done );
+		}
+
+		/* Permute the end parameters */
+		this._random.shuffle ( cover.endParams, cover.shuffleCount );
+
+		/* Return the parameters */
+		return cover.endParams;
+	}
+
+
+
+	/**
+	 * @description Create end parameters which cover the deal area with the cards, without jitter,
+	 * and generate the jitter in slices of idle time so that the page is not held up.
+	 * The jittered parameters are the same as createCoverParams would return from the same state.
+	 *
+	 * @param {Number} [transJitter] The maximum translation jitter on each iteration, as a multiple of the average card dimension.
+	 * @param {Number} [rotJitter] The maximum rotation jitter on each iteration, in degrees.
+	 * @param {Number} [iters] The number of iterations.
+	 * @param {String} [fallback = Dealer.coverFallback] One of Dealer.coverFallbacks.
+	 * @returns {{endParams: AnimParams[], jitteredParams: Promise<AnimParams[]>}|null} The parameters,
+	 *   or null if the cards cannot cover the deal area and the fallback is NONE.
+	 * @public
+	 */
+	createCoverParamsAsync ( transJitter= 0.1, rotJitter = 10, iters = 10, fallback = Dealer.coverFallback )
+	{
+		/* Initially distribute the cards */
+		const cover = this._createGridParams ( fallback );
+		if ( !cover )
+			return null;
+
+		/* The noise draws from a copy of the random source, which skips past those draws, as if the noise had already been generated */
+		const noiseRandom = this._random.clone ();
+		if ( cover.jitter )
+			this._random.skip ( Dealer.noiseDrawsPerMove * cover.endParams.length * iters );
+
+		/* Permute the indices of the end parameters now, so that the jittered parameters can be permuted in the same way */
+		const order = this._random.shuffle ( Array.from ( cover.endParams.keys () ), cover.shuffleCount );
+		const permute = params => order.map ( i => params [ i ] );
+
+		/* Generate noise in the background */
+		const jitteredParams = cover.jitter ?
+			Dealer._runWhenIdle ( this._generateNoise ( cover.endParams.slice (), cover.cardSize, transJitter, rotJitter, iters, noiseRandom ) ) :
+			Promise.resolve ( cover.endParams );
+
+		/* Return the parameters */
+		return {
+			endParams : permute ( cover.endParams ),
+			jitteredParams : jitteredParams.then ( permute )
+		};
+	}
+
+
+
+	/**
+	 * @description Distribute the cards over the deal area in a grid, with any extra cards placed randomly.
+	 * If there are too few cards to cover the deal area, the fallback decides what happens instead.
+	 *
+	 * @param {String} fallback One of Dealer.coverFallbacks.
+	 * @returns {{endParams: AnimParams[], cardSize: Vec, shuffleCount: Number, jitter: Boolean}|null}
+	 * The parameters, their card size, the number of leading parameters which should be shuffled, and whether they should be jittered,
+	 * or null if the cards cannot cover the deal area and the fallback is NONE.
+	 * @private
+	 */
+	_createGridParams ( fallback )
+	{
+		/* Get the minimum grid of cards required to cover the deal area */
+		const count = this._cards.size ();
+		let cardSize = this._cardSize;
+		let grid = new Vec ( Math.ceil ( this._dealSize.x / cardSize.x ), Math.ceil ( this._dealSize.y / cardSize.y ) );
+		let covering = true;
+
+		/* Fall back if we cannot cover the deal area */
+		if ( grid.x * grid.y > count )
+			switch ( fallback )
+			{
+				case Dealer.coverFallbacks.SCALE:
+					if ( count === 0 )
+						return { endParams : [], cardSize : cardSize, shuffleCount : 0, jitter : false };
+					cardSize = cardSize.mult ( this._coverScale ( count ) );
+					grid = new Vec ( Math.ceil ( this._dealSize.x / cardSize.x ), Math.ceil ( this._dealSize.y / cardSize.y ) );
+					break;
+				case Dealer.coverFallbacks.PARTIAL:
+					grid = this._partialGrid ( count );
+					covering = false;
+					break;
+				case Dealer.coverFallbacks.NONE:
+					return null;
+				default:
+					throw new Error ( "Dealer.createCoverParams: No cover fallback named '" + fallback + "'" );
+			}
 
 		/* The card margin when positioning. Consider solving for margin in:
-		 * minGrid ( cardSize - margin ) - margin = dealSize
+		 * grid ( cardSize - margin ) - margin = dealSize
+		 * The margin is negative when the cards cannot cover the deal area, spacing them out evenly.
 		 */
-		const margin = minGrid.mult ( this._cardSize ).sub ( this._dealSize ).div ( minGrid.add ( new Vec ( 1 ) ) );
+		const margin = grid.mult ( cardSize ).sub ( this._dealSize ).div ( grid.add ( new Vec ( 1 ) ) );
 
 		/* Initially distribute some cards.
 		 * Choose random orientation of 0 or 180 degrees.
 		 */
-		const endParams = new Array ( this._cards.size () );
-		for ( let i = 0; i < minGrid.x; ++i )
-			for ( let j = 0; j < minGrid.y; ++j )
-				endParams [ minGrid.y * i + j ] = new AnimParams (
-					this._dealPos.sub ( margin ).add ( this._cardSize.sub ( margin ).mult ( new Vec ( i, j ) ) ),
-					this._cardSize,
+		const endParams = new Array ( count );
+		for ( let i = 0; i < grid.x; ++i )
+			for ( let j = 0; j < grid.y; ++j )
+				endParams [ grid.y * i + j ] = new AnimParams (
+					this._dealPos.sub ( margin ).add ( cardSize.sub ( margin ).mult ( new Vec ( i, j ) ) ),
+					cardSize,
 					0 )
 
 		/* Completely randomly distribute the remaining cards */
-		for ( let i = minGrid.x * minGrid.y; i < this._cards.size (); ++i )
+		for ( let i = grid.x * grid.y; i < count; ++i )
 			endParams [ i ] = new AnimParams (
-				this._dealPos.add ( this._dealSize.sub ( this._cardSize ).mult ( Math.random () ) ),
-				this._cardSize,
+				this._dealPos.add ( this._dealSize.sub ( cardSize ).mult ( this._random.next () ) ),
+				cardSize,
 				0 );
 
-		/* Generate noise */
-		this._generateNoise ( endParams, transJitter, rotJitter, iters );
+		/* Partial covers are left as an even grid, since no movement could keep them covered */
+		return { endParams : endParams, cardSize : cardSize, shuffleCount : grid.x * grid.y, jitter : covering };
+	}
 
-		/* Permute the end parameters */
-		for ( let i = minGrid.x * minGrid.y - 1; i > 0; i-- )
+
+
+	/**
+	 * @description Measure how much of the deal area is covered by some card positions.
+	 *
+	 * @param {AnimParams[]} params The positions of the cards, such as the result of createCoverParams.
+	 * @param {Number} [resolution] The number of samples along the longest side of the deal area.
+	 * @returns {{fraction: Number, uncovered: Rect[]}}
+	 * @public
+	 */
+	analyseCoverage ( params, resolution = 64 )
+	{
+		return Dealer.analyseRectCoverage (
+			params.map ( param => Rect.fromParams ( param ) ),
+			new Rect ( this._dealPos.add ( this._dealSize.div ( 2 ) ), this._dealSize ),
+			resolution );
+	}
+
+
+
+	/**
+	 * @param {Number} count The number of cards available.
+	 * @returns {Number} The smallest scale of the cards at which count cards can cover the deal area.
+	 * @private
+	 */
+	_coverScale ( count )
+	{
+		/* For each number of columns, find the scale at which the most rows that the cards allow would cover the deal area */
+		let scale = Infinity;
+		for ( let columns = 1; columns <= count; ++columns )
+			scale = Math.min ( scale, Math.max (
+				this._dealSize.x / ( columns * this._cardSize.x ),
+				this._dealSize.y / ( Math.floor ( count / columns ) * this._cardSize.y ) ) );
+
+		/* Scale up by a hair, so that rounding cannot require another row or column */
+		return Math.max ( scale * ( 1 + Line.epsilon ), 1 );
+	}
+
+
+
+	/**
+	 * @param {Number} count The number of cards available.
+	 * @returns {Vec} The grid of at most count cards which covers the largest area of the deal area.
+	 * @private
+	 */
+	_partialGrid ( count )
+	{
+		let grid = new Vec ( 0 );
+		let bestArea = 0;
+		for ( let columns = 1; columns <= count; ++columns )
 		{
-			const j = Math.floor ( Math.random () * ( i + 1 ) );
-			[ endParams [ i ], endParams [ j ] ] = [ endParams [ j ] , endParams [ i ] ];
+			const rows = Math.floor ( count / columns );
+			const area = Math.min ( columns * this._cardSize.x, this._dealSize.x ) * Math.min ( rows * this._cardSize.y, this._dealSize.y );
+			if ( area > bestArea )
+			{
+				grid = new Vec ( columns, rows );
+				bestArea = area;
+			}
 		}
+		return grid;
+	}
 
-		/* Construct the initial position parameters */
-		const startParams = new Array ( this._cards.size () );
-		for ( let i = 0; i < this._cards.size (); ++i )
-			startParams [ i ] = new AnimParams ( this._dealOrigin, this._cardSize, 0 );
 
-		/* Create animations for each card */
-		const animations = new Array ( this._cards.size () );
 
-		/* Return the animation */
-		this._cards.each ( function ( d, i ) {
-			animations [ i ] = new CardAnim (
-					d3.select ( this ),
-					startParams [ i ],
-					null,
-					"ease-out",
-					i * dealDelay )
-				.continueTo (
-					endParams [ i ],
-					"ease-out",
-					dealDuration );
-		} );
+	/**
+	 * @description Register a deal pattern by name, so that it can be chosen with Dealer.pattern.
+	 *
+	 * @param {String} name
+	 * @param {DealPattern} pattern
+	 */
+	static registerPattern ( name, pattern )
+	{
+		Dealer.patterns [ name ] = pattern;
+	}
 
-		/* Return a final animation */
-		return CardAnim.Delay ( this._cards, "ease-out", 0, animations );
+
+
+	/**
+	 * @param {DealPattern|String} pattern A pattern, or the name of a registered pattern.
+	 * @returns {DealPattern}
+	 */
+	static getPattern ( pattern )
+	{
+		/* Patterns are passed through */
+		if ( pattern instanceof DealPattern )
+			return pattern;
+
+		/* Throw if the name is not registered */
+		if ( !Object.hasOwn ( Dealer.patterns, pattern ) )
+			throw new Error ( "Dealer.getPattern: No deal pattern named '" + pattern + "'" );
+		return Dealer.patterns [ pattern ];
 	}
 
 
 
 	/**
-	 * @description Create the animation to deal the cards.
+	 * @description Register a card throw by name, so that it can be chosen with Dealer.cardThrow.
+	 *
+	 * @param {String} name
+	 * @param {CardThrow} cardThrow
+	 */
+	static registerThrow ( name, cardThrow )
+	{
+		Dealer.throws [ name ] = cardThrow;
+	}
+
+
+
+	/**
+	 * @param {CardThrow|String} cardThrow A card throw, or the name of a registered throw.
+	 * @returns {CardThrow}
+	 */
+	static getThrow ( cardThrow )
+	{
+		/* Throws are passed through */
+		if ( cardThrow instanceof CardThrow )
+			return cardThrow;
+
+		/* Throw if the name is not registered */
+		if ( !Object.hasOwn ( Dealer.throws, cardThrow ) )
+			throw new Error ( "Dealer.getThrow: No card throw named '" + cardThrow + "'" );
+		return Dealer.throws [ cardThrow ];
+	}
+
+
+
+	/**
+	 * @description Measure how much of an area is covered by some rectangles, by sampling it on a grid.
+	 * Neighbouring uncovered samples are merged into axis-aligned rectangles.
+	 *
+	 * @param {Rect[]} rects The covering rectangles.
+	 * @param {Rect} area The area to cover. Its rotation is ignored.
+	 * @param {Number} [resolution] The number of samples along the longest side of the area.
+	 * @returns {{fraction: Number, uncovered: Rect[]}} The fraction of the area which is covered, and the regions which are not.
+	 */
+	static analyseRectCoverage ( rects, area, resolution = 64 )
+	{
+		/* Split the area into square-ish cells */
+		const bounds = { min : area.center.sub ( area.size.div ( 2 ) ), max : area.center.add ( area.size.div ( 2 ) ) };
+		const longest = Math.max ( area.size.x, area.size.y );
+		const cells = new Vec ( Math.max ( Math.ceil ( resolution * area.size.x / longest ), 1 ), Math.max ( Math.ceil ( resolution * area.size.y / longest ), 1 ) );
+		const cellSize = area.size.div ( cells );
+
+		/* Index the rectangles, to only test those near each sample */
+		const index = new SpatialHash ( Math.max ( longest / Math.sqrt ( rects.length || 1 ), Line.epsilon ) );
+		rects.forEach ( ( rect, i ) => index.insert ( i, rect.bounds () ) );
+
+		/* Sample the center of each cell */
+		let coveredCount = 0;
+		const uncovered = [];
+		for ( let y = 0; y < cells.y; ++y )
+		{
+			const row = new Array ( cells.x );
+			for ( let x = 0; x < cells.x; ++x )
+			{
+				const point = bounds.min.add ( cellSize.mult ( new Vec ( x + 0.5, y + 0.5 ) ) );
+				row [ x ] = false;
+				for ( const i of index.queryPoint ( point ) )
+					if ( rects [ i ].containsPoint ( point ) )
+					{
+						row [ x ] = true;
+						break;
+					}
+				if ( row [ x ] ) ++coveredCount;
+			}
+			uncovered.push ( row );
+		}
+
+		/* Merge runs of uncovered cells in each row, then merge identical runs in consecutive rows */
+		const regions = [];
+		let open = new Map ();
+		for ( let y = 0; y <= cells.y; ++y )
+		{
+			/* Find the runs in this row, keyed by their start and end */
+			const runs = new Map ();
+			for ( let x = 0; y < cells.y && x < cells.x; ++x )
+				if ( !uncovered [ y ] [ x ] )
+				{
+					const start = x;
+					while ( x + 1 < cells.x && !uncovered [ y ] [ x + 1 ] ) ++x;
+					const key = start + "," + x;
+					runs.set ( key, open.get ( key ) ?? { start : start, end : x, top : y } );
+				}
+
+			/* Close the regions which did not continue into this row */
+			for ( const [ key, region ] of open )
+				if ( !runs.has ( key ) )
+				{
+					const min = bounds.min.add ( cellSize.mult ( new Vec ( region.start, region.top ) ) );
+					const size = cellSize.mult ( new Vec ( region.end - region.start + 1, y - region.top ) );
+					regions.push ( new Rect ( min.add ( size.div ( 2 ) ), size ) );
+				}
+			open = runs;
+		}
+
+		/* Return the analysis */
+		return {
+			fraction : coveredCount / ( cells.x * cells.y ),
+			uncovered : regions
+		};
+	}
+
+
+
+	/**
+	 * @description Jitter the end parameters, while ensuring that the deal area stays covered.
+	 * Every point where card boarders intercept each other or the deal area must be covered by a third card.
+	 * Only the intercepts that a move could have affected are rechecked, using a spatial index to cull far away cards.
 	 *
 	 * @param {AnimParams[]} endParams The final positions to jitter.
+	 * @param {Vec} cardSize The dimensions of the cards in the final positions.
 	 * @param {Number} transJitter The maximum translation jitter on each iteration, as a multiple of the average card dimension.
 	 * @param {Number} rotJitter The maximum rotation jitter on each iteration, in degrees.
 	 * @param {Number} iters The number of iterations.
+	 * @param {Random} random The random source for the jitter. Exactly Dealer.noiseDrawsPerMove numbers are drawn for each move.
+	 * @returns {Generator<undefined, AnimParams[]>} A generator which jitters the end parameters in place, yielding after each move,
+	 * and returns them once done.
 	 * @private
 	 */
-	_generateNoise ( endParams, transJitter, rotJitter, iters )
+	*_generateNoise ( endParams, cardSize, transJitter, rotJitter, iters, random )
 	{
 
 		/* Create a rectangle for the deal area */
 		const dealRect = new Rect ( this._dealPos.add ( this._dealSize.div ( 2 ) ), this._dealSize );
+		const dealBounds = dealRect.bounds ();
 
-		/* Create rectangles for the cards */
-		const cardRects = endParams.map ( param =>
-			new Rect ( param.position.add ( this._cardSize.div ( 2 ) ), this._cardSize ) );
+		/* Create rectangles for the cards. The deal area takes the index after the last card. */
+		const cardRects = endParams.map ( param => Rect.fromParams ( param ) );
+		const deal = cardRects.length;
 
-		/* Calculate all intercepts between all cards */
-		const intercepts = [];
-		const interceptsByCard = cardRects.map ( _ => [] );
-		for ( let i = 0; i < cardRects.length; ++i )
-		{
-			/* Find intercepts with the deal area */
-			const dealIntercept = {
-				rect1 : cardRects [ i ],
-				rect2 : dealRect,
-				points : cardRects [ i ].allIntercepts ( dealRect ),
-				oldPoints : null
-			};
+		/* Index the cards by their bounding boxes */
+		const index = new SpatialHash ( Math.max ( cardSize.x, cardSize.y ) );
+		cardRects.forEach ( ( rect, i ) => index.insert ( i, rect.bounds () ) );
 
-			/* Push the intercepts to their respective arrays */
-			intercepts.push ( dealIntercept );
-			interceptsByCard [ i ].push ( dealIntercept );
+		/* Intercepts between pairs of rectangles, stored symmetrically at intercepts [ i ] [ j ] and intercepts [ j ] [ i ] */
+		const intercepts = cardRects.map ( _ => new Array ( deal + 1 ) );
+		intercepts.push ( new Array ( deal + 1 ) );
+		const setIntercepts = ( i, j, points ) => intercepts [ i ] [ j ] = intercepts [ j ] [ i ] = points;
 
-			/* Find the intercepts with other cards */
-			for ( let j = i; j < cardRects.length; ++j )
-			{
-				/* Calculate the intercepts */
-				const intercept = {
-					rect1 : cardRects [ i ],
-					rect2 : cardRects [ j ],
-					points : cardRects [ i ].allIntercepts ( cardRects [ j ] ),
-					oldPoints : null
-				};
-
-				/* Push the intercepts to their respective arrays */
-				intercepts.push ( intercept );
-				interceptsByCard [ i ].push ( intercept );
-				interceptsByCard [ j ].push ( intercept );
-			}
-		}
+		/* Calculate the intercepts between a pair of rectangles, skipping pairs whose bounds do not overlap */
+		const calculateIntercepts = ( i, j ) =>
+		{
+			if ( i === j )
+				return cardRects [ i ].corners ();
+			if ( !SpatialHash.overlaps ( index.boundsOf ( i ), j === deal ? dealBounds : index.boundsOf ( j ) ) )
+				return [];
+			return cardRects [ i ].allIntercepts ( j === deal ? dealRect : cardRects [ j ] );
+		};
+
+		/* Test whether a point on the boarders of rectangles i and j is fine: outside the deal area, or covered by a third card */
+		const isCovered = ( point, i, j ) =>
+		{
+			if ( !dealRect.containsPoint ( point ) )
+				return true;
+			for ( const k of index.queryPoint ( point ) )
+				if ( k !== i && k !== j && cardRects [ k ].containsPoint ( point ) )
+					return true;
+			return false;
+		};
+
+		/* Test whether all intercepts between a pair of rectangles are fine, optionally only those within another rectangle */
+		const pairIsCovered = ( i, j, within = null ) =>
+		{
+			for ( const point of intercepts [ i ] [ j ] )
+				if ( ( !within || within.containsPoint ( point ) ) && !isCovered ( point, i, j ) )
+					return false;
+			return true;
+		};
+
+		/* Calculate all intercepts between all cards, and with the deal area */
+		for ( let i = 0; i < deal; ++i )
+			for ( let j = i; j <= deal; ++j )
+				setIntercepts ( i, j, calculateIntercepts ( i, j ) );
+
+		/* Test whether every intercept is fine */
+		const allCovered = () =>
+		{
+			for ( let i = 0; i < deal; ++i )
+				for ( let j = i; j <= deal; ++j )
+					if ( !pairIsCovered ( i, j ) )
+						return false;
+			return true;
+		};
+
+		/* Whether every intercept is currently fine. If so, only intercepts affected by a move need to be rechecked. */
+		let covered = allCovered ();
 
 		/* Iterate over victim rectangles */
 		for ( let its = 0; its < iters; ++its )
-			for ( let victim = 0; victim < cardRects.length; ++victim )
+			for ( let victim = 0; victim < deal; ++victim )
 			{
+				/* Give other work a chance to run */
+				yield;
+
 				/* Create the jitter amounts */
-				const rand = () => ( Math.random () * 2 - 1 );
+				const rand = () => random.signed ();
 				const trans = new Vec ( rand (), rand () )
-					.mult ( this._cardSize.x + this._cardSize.y * 0.5 * transJitter )
+					.mult ( cardSize.x + cardSize.y * 0.5 * transJitter )
 					.clamp ( this._dealPos.sub ( cardRects [ victim ].center ), this._dealPos.add ( this._dealSize ).sub ( cardRects [ victim ].center ) );
 				const rot = rand () * rotJitter;
 
-				/* Move the victim */
-				cardRects [ victim ].translate ( trans ).rotate ( Vec.rad ( rot ) );
+				/* Move the victim and update the index */
+				const oldRect = cardRects [ victim ];
+				const oldBounds = index.boundsOf ( victim );
+				cardRects [ victim ] = new Rect ( oldRect.center.add ( trans ), cardSize, Vec.rad ( endParams [ victim ].rotation + rot ) );
+				index.remove ( victim );
+				index.insert ( victim, cardRects [ victim ].bounds () );
 
 				/* Update the victim's intercepts */
-				for ( const intercept of interceptsByCard [ victim ] )
-				{
-					intercept.oldPoints = intercept.points;
-					intercept.points = intercept.rect1.allIntercepts ( intercept.rect2 );
-				}
+				const oldIntercepts = intercepts [ victim ].slice ();
+				for ( let j = 0; j <= deal; ++j )
+					setIntercepts ( victim, j, calculateIntercepts ( victim, j ) );
 
 				/* Check for bad points */
 				let badNoise = false;
-				for ( const intercept of intercepts )
+				if ( !covered )
+					badNoise = !allCovered ();
+				else
 				{
-					for ( const point of intercept.points )
+					/* The victim's new intercepts must be covered */
+					for ( let j = 0; j <= deal && !badNoise; ++j )
+						badNoise = !pairIsCovered ( victim, j );
+
+					/* Other intercepts may only have been uncovered if the victim used to cover them.
+					 * These intercepts lie within the victim's old rectangle, so they are between cards which overlap its bounds.
+					 */
+					const neighbours = Array.from ( index.query ( oldBounds ) ).filter ( i => i !== victim );
+					for ( let a = 0; a < neighbours.length && !badNoise; ++a )
 					{
-						/* This point is fine if it is outside  the deal area */
-						if ( !dealRect.containsPoint ( point ) )
-							continue;
-
-						/* Test whether the point is covered */
-						let covered = false;
-						for ( const rect of cardRects )
-							if ( ( covered = !( intercept.rect1 === rect ) && !( intercept.rect2 === rect ) && rect.containsPoint ( point ) ) )
-								break;
-
-						/* Break if the point was not covered */
-						if ( ( badNoise = !covered ) )
-							break;
+						badNoise = !pairIsCovered ( neighbours [ a ], neighbours [ a ], oldRect ) || !pairIsCovered ( neighbours [ a ], deal, oldRect );
+						for ( let b = a + 1; b < neighbours.length && !badNoise; ++b )
+							badNoise = !pairIsCovered ( neighbours [ a ], neighbours [ b ], oldRect );
 					}
-					if ( badNoise ) break;
 				}
 
 				/* Undo the movement, if it was bad. Otherwise, commit it. */
 				if ( badNoise )
 				{
-					cardRects [ victim ].rotate ( -Vec.rad ( rot ) ).translate ( trans.neg () );
-					for ( const intercept of interceptsByCard [ victim ] )
-						intercept.points = intercept.oldPoints;
+					cardRects [ victim ] = oldRect;
+					index.remove ( victim );
+					index.insert ( victim, oldBounds );
+					for ( let j = 0; j <= deal; ++j )
+						setIntercepts ( victim, j, oldIntercepts [ j ] );
 				}
 				else
+				{
+					covered = true;
 					endParams [ victim ] = new AnimParams (
 						endParams [ victim ].position.add ( trans ),
 						endParams [ victim ].size,
 						endParams [ victim ].rotation + rot );
+				}
 			}
+
+		/* Return the jittered parameters */
+		return endParams;
+	}
+
+
+
+	/**
+	 * @description Run a generator to completion in slices of idle time.
+	 * Where idle callbacks are not supported, each slice is a short timeout instead.
+	 *
+	 * @param {Generator} generator
+	 * @returns {Promise} A promise for the generator's return value.
+	 * @private
+	 */
+	static _runWhenIdle ( generator )
+	{
+		/* Schedule a slice, with a deadline for when it should yield */
+		const schedule = window.requestIdleCallback ?
+			slice => window.requestIdleCallback ( slice ) :
+			slice => setTimeout ( () =>
+			{
+				const end = performance.now () + Dealer.noiseSliceDuration;
+				slice ( { timeRemaining : () => Math.max ( end - performance.now (), 0 ) } );
+			} );
+
+		return new Promise ( resolve =>
+		{
+			/* Step the generator until the slice runs out of time, always making some progress */
+			const slice = deadline =>
+			{
+				let result;
+				do result = generator.next ();
+				while ( !result.done && deadline.timeRemaining () > 0 );
+
+				/* Resolve once done, otherwise schedule another slice */
+				if ( result.done )
+					resolve ( result.value );
+				else
+					schedule ( slice );
+			};
+			schedule ( slice );
+		} );
 	}
 
 }
\ No newline at end of file
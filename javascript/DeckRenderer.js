@@ -0,0 +1,258 @@
+/**
+ * @class DeckRenderer
+ *
+ * @description Builds the cards from a deck manifest, so that adding a card is a single entry in the manifest.
+ * The manifest lists each card's face image, label, alt text, action and whether it is active, with an optional back image,
+ * template for extra contents on its face, and number of columns to span in a masonry layout. Inactive cards shake when clicked, rather than performing their action.
+ * A card with an info action is enlarged and turned over when clicked, to show the contents of its template on its back.
+ * The canvas description and each card's alt text are written from the manifest, so that they always agree with the cards.
+ * Each card is identified by its face image, so that a saved order of the cards still fits once the deck changes.
+ */
+class DeckRenderer
+{
+
+	/**
+	 * @public {Readonly<{POPUP: string, LINK: string, INFO: string}>} The types of card action.
+	 */
+	static actionTypes = Object.freeze ( {
+		POPUP : "popup",
+		LINK : "link",
+		INFO : "info"
+	} );
+
+	/** @public {String} The id of the JSON script element which holds the deck manifest by default. */
+	static manifestId = "deck-manifest";
+
+	/** @public {String} The back image for cards which do not give one, if the manifest does not give one either. */
+	static defaultBack = "assets/back.webp";
+
+	/** @private {String[]} */
+	static _cardinals = [ "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+		"eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen", "twenty" ];
+
+	/** @private {String[]} */
+	static _ordinals = [ "zeroth", "first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth",
+		"eleventh", "twelfth", "thirteenth", "fourteenth", "fifteenth", "sixteenth", "seventeenth", "eighteenth", "nineteenth", "twentieth" ];
+
+
+
+	/** @public {{back: ?String, cards: Object[]}} The deck manifest. */
+	manifest;
+
+	/** @public {Object} A D3 selection for the cards, in the order of the manifest. */
+	cards;
+
+	/** @private {Object} A D3 selection for the canvas. */
+	_canvas;
+
+
+
+	/**
+	 * @param {Object} canvas A D3 selection for the canvas, to which the cards are appended.
+	 * @param {{back: ?String, cards: Object[]}} manifest The deck manifest.
+	 */
+	constructor ( canvas, manifest )
+	{
+		/* Save the parameters */
+		this._canvas = canvas;
+		this.manifest = manifest;
+		manifest.cards.forEach ( ( card, i ) => DeckRenderer._checkCard ( card, i ) );
+
+		/* Build the cards */
+		const count = manifest.cards.length;
+		this.cards = this._canvas.selectAll ( null )
+			.data ( manifest.cards )
+			.join ( "div" )
+			.classed ( "card", true )
+			.attr ( GridManager.cardIdAttribute, card => card.face )
+			.attr ( "data-span", card => card.span ?? null );
+		this.cards.each ( function ( card, i )
+		{
+			/* Create the link, which only goes anywhere once the actions are bound */
+			const inner = d3.select ( this ).append ( "a" )
+				.classed ( "card-inner", true )
+				.classed ( "shake", !DeckRenderer._isActive ( card ) )
+				.attr ( "aria-disabled", DeckRenderer._isActive ( card ) ? null : "true" )
+				.attr ( "href", "javascript:" );
+			if ( card.action?.type === DeckRenderer.actionTypes.LINK && DeckRenderer._isActive ( card ) )
+				inner.attr ( "href", card.action.href )
+					.attr ( "target", card.action.target ?? null );
+
+			/* Create the back, with any information which is shown once the card is focused */
+			const back = inner.append ( "div" )
+				.classed ( "card-back", true );
+			back.append ( "img" )
+				.classed ( "card-img", true )
+				.attr ( "src", card.back ?? manifest.back ?? DeckRenderer.defaultBack )
+				.attr ( "alt", "" );
+			if ( card.action?.type === DeckRenderer.actionTypes.INFO )
+				back.append ( "div" )
+					.classed ( "card-info", true )
+					.node ().appendChild ( document.getElementById ( card.action.template ).content.cloneNode ( true ) );
+
+			/* Create the face, with any extra contents */
+			const face = inner.append ( "div" )
+				.classed ( "card-face", true );
+			face.append ( "img" )
+				.classed ( "card-img", true )
+				.attr ( "src", card.face )
+				.attr ( "alt", `The ${DeckRenderer._ordinal ( i + 1 )} of ${DeckRenderer._cardinal ( count )} playing cards. ${card.alt}` );
+			if ( card.template )
+				face.node ().appendChild ( document.getElementById ( card.template ).content.cloneNode ( true ) );
+		} );
+
+		/* Describe the deck */
+		this._canvas.attr ( "aria-description", this.describe () );
+	}
+
+
+
+	/**
+	 * @description Read a deck manifest from a JSON script element in the page, so that the cards are built without another request.
+	 * @param {String} [id = DeckRenderer.manifestId]
+	 * @returns {{back: ?String, cards: Object[]}}
+	 * @public
+	 */
+	static read ( id = DeckRenderer.manifestId )
+	{
+		const element = document.getElementById ( id );
+		if ( !element )
+			throw new Error ( `DeckRenderer.read: No manifest element '${id}'` );
+		return JSON.parse ( element.textContent );
+	}
+
+
+
+	/**
+	 * @returns {Number} The number of cards.
+	 * @public
+	 */
+	get size ()
+	{
+		return this.manifest.cards.length;
+	}
+
+
+
+	/**
+	 * @returns {String} A description of the deck, naming each labelled card.
+	 * @public
+	 */
+	describe ()
+	{
+		const sentences = [ `There are ${DeckRenderer._cardinal ( this.size )} playing cards.` ];
+		this.manifest.cards.forEach ( ( card, i ) =>
+		{
+			if ( card.label )
+				sentences.push ( `The ${DeckRenderer._ordinal ( i + 1 )} card says '${card.label}'.` );
+		} );
+		return sentences.join ( " " );
+	}
+
+
+
+	/**
+	 * @description Perform each active card's action when it is clicked.
+	 *
+	 * @param {PopupManager} popupManager Opens the popups of popup actions.
+	 * @param {GridManager} gridManager Gathers the cards before following the links of link actions, and focuses the cards of info actions.
+	 * @public
+	 */
+	bindActions ( popupManager, gridManager )
+	{
+		const cards = this.manifest.cards;
+		this.cards.select ( ".card-inner" ).each ( function ( d, i )
+		{
+			const card = cards [ i ];
+			if ( !card.action || !DeckRenderer._isActive ( card ) )
+				return;
+
+			/* Open the popup */
+			if ( card.action.type === DeckRenderer.actionTypes.POPUP )
+				d3.select ( this ).on ( "click.action", () =>
+					popupManager.openPopup ( document.getElementById ( card.action.template ).content.cloneNode ( true ), card.action.template ) );
+
+			/* Focus the card to show its information */
+			else if ( card.action.type === DeckRenderer.actionTypes.INFO )
+				d3.select ( this ).on ( "click.action", () => gridManager.focusCard ( i ) );
+
+			/* Gather the cards before following the link. Modified clicks are left to the browser. */
+			else
+				d3.select ( this ).on ( "click.action", function ( event )
+				{
+					if ( event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey )
+						return;
+					event.preventDefault ();
+					gridManager.exitTo ( this.href, this.target || "_self" );
+				} );
+		} );
+	}
+
+
+
+	/**
+	 * @param {Object} card An entry in the manifest.
+	 * @returns {Boolean} Whether the card performs its action, which defaults to whether it has one.
+	 * @private
+	 */
+	static _isActive ( card )
+	{
+		return card.active ?? !!card.action;
+	}
+
+
+
+	/**
+	 * @param {Object} card An entry in the manifest.
+	 * @param {Number} index
+	 * @private
+	 */
+	static _checkCard ( card, index )
+	{
+		/* Check the required properties */
+		if ( !card.face || !card.alt )
+			throw new Error ( `DeckRenderer: Card ${index} must have a face and alt text` );
+
+		/* Check the action */
+		if ( card.action )
+		{
+			if ( card.action.type === DeckRenderer.actionTypes.POPUP && !document.getElementById ( card.action.template ) )
+				throw new Error ( `DeckRenderer: Card ${index} opens a popup from a missing template '${card.action.template}'` );
+			if ( card.action.type === DeckRenderer.actionTypes.INFO && !document.getElementById ( card.action.template ) )
+				throw new Error ( `DeckRenderer: Card ${index} shows information from a missing template '${card.action.template}'` );
+			if ( card.action.type === DeckRenderer.actionTypes.LINK && !card.action.href )
+				throw new Error ( `DeckRenderer: Card ${index} links nowhere` );
+			if ( !Object.values ( DeckRenderer.actionTypes ).includes ( card.action.type ) )
+				throw new Error ( `DeckRenderer: Card ${index} has an unknown action type '${card.action.type}'` );
+		}
+
+		/* Check the template for extra contents */
+		if ( card.template && !document.getElementById ( card.template ) )
+			throw new Error ( `DeckRenderer: Card ${index} uses a missing template '${card.template}'` );
+	}
+
+
+
+	/**
+	 * @param {Number} n
+	 * @returns {String} The number in words, where it is small enough.
+	 * @private
+	 */
+	static _cardinal ( n )
+	{
+		return DeckRenderer._cardinals [ n ] ?? String ( n );
+	}
+
+	/**
+	 * @param {Number} n
+	 * @returns {String} The ordinal of the number in words, where it is small enough.
+	 * @private
+	 */
+	static _ordinal ( n )
+	{
+		if ( DeckRenderer._ordinals [ n ] )
+			return DeckRenderer._ordinals [ n ];
+		const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : [ "th", "st", "nd", "rd" ] [ n % 10 ] ?? "th";
+		return n + suffix;
+	}
+}
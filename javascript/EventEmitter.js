@@ -0,0 +1,88 @@
+/**
+ * @class EventEmitter
+ *
+ * @description A base class for components which tell others when things happen, so that features can follow them without reaching into private fields.
+ * Each subclass lists the events it emits in a static events object, and subscribing to any other event throws, so that typos are caught straight away.
+ * Every handler is called with a single detail object. A handler which throws does not stop the others, and its error is rethrown afterwards,
+ * so that it still reaches the page's usual error reporting.
+ */
+class EventEmitter
+{
+
+	/**
+	 * @public {Readonly<Object<String, String>>} The names of the events which are emitted, which subclasses replace.
+	 */
+	static events = Object.freeze ( {} );
+
+
+
+	/** @private {Map<String, Set<function(Object):void>>} The handlers for each event. */
+	_handlers = new Map ();
+
+
+
+	/**
+	 * @param {String} type The name of the event.
+	 * @param {function(Object):void} handler Called with the event's detail whenever it is emitted.
+	 * @returns {EventEmitter} This emitter, so that subscriptions can be chained.
+	 * @public
+	 */
+	on ( type, handler )
+	{
+		this._checkType ( type, "on" );
+		if ( !this._handlers.has ( type ) )
+			this._handlers.set ( type, new Set () );
+		this._handlers.get ( type ).add ( handler );
+		return this;
+	}
+
+	/**
+	 * @param {String} type The name of the event.
+	 * @param {function(Object):void} handler A handler which was passed to on.
+	 * @returns {EventEmitter} This emitter, so that unsubscriptions can be chained.
+	 * @public
+	 */
+	off ( type, handler )
+	{
+		this._checkType ( type, "off" );
+		this._handlers.get ( type )?.delete ( handler );
+		return this;
+	}
+
+
+
+	/**
+	 * @description Call each handler for an event.
+	 * @param {String} type The name of the event.
+	 * @param {Object} [detail = {}] What happened, which is passed to each handler.
+	 * @protected
+	 */
+	_emit ( type, detail = {} )
+	{
+		this._checkType ( type, "_emit" );
+		for ( const handler of [ ...( this._handlers.get ( type ) ?? [] ) ] )
+		{
+			try
+			{
+				handler ( detail );
+			}
+			catch ( error )
+			{
+				queueMicrotask ( () => { throw error; } );
+			}
+		}
+	}
+
+
+
+	/**
+	 * @param {String} type The name of an event.
+	 * @param {String} method The method which was called, for the error message.
+	 * @private
+	 */
+	_checkType ( type, method )
+	{
+		if ( !Object.values ( this.constructor.events ).includes ( type ) )
+			throw new Error ( `${this.constructor.name}.${method}: No event named '${type}'` );
+	}
+}
@@ -7,38 +7,85 @@
  * @description Sets up the main page of cards. Forms the following state machine:
  *
  * ----> GRID <---> HIDDEN
- * 		 ^  ^
- * 		 |  |
- * 		 *--*
+ * 		 ^  ^  ^      ^
+ * 		 |  |  |      |
+ * 		 *--*  v      |
+ * 		    FOCUSED --*
+ * 		     ^  |
+ * 		     |  |
+ * 		     *--*
  *
  * State descriptions:
  *
  * GRID: The cards are distributed on the page.
  * HIDDEN: The cards are hidden off to the side while another page appears.
+ * FOCUSED: A single card is enlarged in the middle of the screen and turned over to show the information on its back, while the others dim in place.
  *
  * Transition descriptions:
  *
  * --> GRID: The cards are dealt over the title, and then move to form the grid.
  * GRID -> GRID: The grid is reshaped based on the dimensions of the page.
  * GRID <-> HIDDEN: The cards move off and on the page to allow for other pages to appear.
+ * GRID <-> FOCUSED: The card moves between its slot and the middle of the screen, turning over as it goes.
+ * FOCUSED -> FOCUSED: The focused card returns to its slot while another takes its place, or is kept in the middle as the page is resized.
+ * FOCUSED -> HIDDEN: The focused card turns back over, and every card moves off the page. The cards return to the grid when shown again.
+ *
+ * Emits events as the cards are dealt, change state, change layout and are reordered, which can be subscribed to with on and off.
  */
-class GridManager
+class GridManager extends EventEmitter
 {
 
 	/**
-	 * @public {Readonly<{GRID: string, HIDDEN: string}>}
+	 * @public {Readonly<{GRID: string, HIDDEN: string, FOCUSED: string}>}
 	 */
 	static states = Object.freeze ( {
 		GRID : "GRID",
-		HIDDEN : "HIDDEN"
+		HIDDEN : "HIDDEN",
+		FOCUSED : "FOCUSED"
+	} );
+
+	/**
+	 * @public {Readonly<{DEAL_START: string, DEAL_END: string, STATE_CHANGE: string, LAYOUT_CHANGE: string, CARD_ORDER: string}>}
+	 *
+	 * dealstart: The cards start being dealt over the title. The detail is empty.
+	 * dealend: The cards have been dealt, and are about to form the grid. The detail is empty.
+	 * statechange: The cards start moving to another state, or another card is focused. The detail has the states from and to,
+	 *   which are null while the cards are being gathered and dealt, and the focusedCard, out of the cards which were given to the constructor.
+	 * layoutchange: The cards start moving to a different grid or layout strategy. The detail has the grids from and to, as Vecs, and the layout.
+	 * cardorder: The cards have been rearranged. The detail has the order, as the index of the card for each slot.
+	 */
+	static events = Object.freeze ( {
+		DEAL_START : "dealstart",
+		DEAL_END : "dealend",
+		STATE_CHANGE : "statechange",
+		LAYOUT_CHANGE : "layoutchange",
+		CARD_ORDER : "cardorder"
 	} );
 
 
 
 	/**
-	 * @public {Boolean} Whether we are on mobile.
+	 * @public {Random} The default random source for new grid managers.
+	 */
+	static random = Random.shared;
+
+
+
+	/**
+	 * @public {Object<String, CardLayout>} The layout strategies, by name.
+	 */
+	static layouts = {
+		grid : new GridLayout (),
+		arc : new ArcLayout (),
+		carousel : new CarouselLayout (),
+		masonry : new MasonryLayout ()
+	};
+
+	/**
+	 * @public {{maxWidth: Number, layout: String|CardLayout}[]} The layout for each range of screen widths, in increasing order of width.
+	 * The first breakpoint whose maximum width the screen fits within is used.
 	 */
-	static mobile = GridManager.mobileCheck ();
+	static breakpoints = [ { maxWidth : Infinity, layout : "grid" } ];
 
 
 
@@ -63,19 +110,22 @@ class GridManager
 	static cardOuterMarginFrac = 0.02;
 
 	/**
-	 * @public {Number} The number of cards that should vertically fit on the screen including the title on a desktop.
+	 * @public {Number} The number of cards that should vertically fit on the screen including the title, usually.
 	 */
 	static verticalCardsDesktop = 1.3;
 
 	/**
-	 * @public {Number} The number of cards that should vertically fit on the screen including the title on a phone.
+	 * @public {Number} The number of cards that should vertically fit on the screen including the title, when the cards are large.
 	 */
 	static verticalCardsMobile = 1.1;
 
 	/**
-	 * @private {Number} The number of vertical cards
+	 * @private {Number} The number of vertical cards, which depends on the largeCards capability.
 	 */
-	static verticalCards = GridManager.mobile ? GridManager.verticalCardsMobile : GridManager.verticalCardsDesktop;
+	static get verticalCards ()
+	{
+		return Capabilities.shared.has ( "largeCards" ) ? GridManager.verticalCardsMobile : GridManager.verticalCardsDesktop;
+	}
 
 
 
@@ -90,15 +140,25 @@ class GridManager
 	 */
 	static dealDuration = 400;
 
+	/**
+	 * @public {Number} The delay between gathering cards into a pile.
+	 */
+	static gatherDelay = 30;
+
+	/**
+	 * @public {Number} The time taken to gather a card into a pile.
+	 */
+	static gatherDuration = 400;
+
 	/**
 	 * @public {Number} The time taken to form the grid initially.
 	 */
 	static initialGridFormationDuration = 500;
 
 	/**
-	 * @public {Number} The time taken to reshuffle the grid.
+	 * @public {Spring} The spring which the grid reshuffles with, which also decides how long reshuffling takes.
 	 */
-	static gridReshuffleDuration = 400;
+	static gridReshuffleSpring = new Spring ( 400, 28 );
 
 	/**
 	 * @public {Number} The time taken to hide and show cards.
@@ -106,14 +166,60 @@ class GridManager
 	static hideShowCardDuration = 250;
 
 	/**
-	 * @public {Number} The time taken to perform animations on mobile.
+	 * @public {Spring} The spring which cards move into and out of focus with, which also decides how long that takes.
+	 */
+	static focusSpring = new Spring ( 350, 24 );
+
+	/**
+	 * @public {Number} The largest fraction of the screen, in either direction, which the focused card fills.
+	 */
+	static focusSizeFrac = 0.8;
+
+	/**
+	 * @public {Number} The opacity of the other cards while a card is focused.
+	 */
+	static focusDimOpacity = 0.3;
+
+	/**
+	 * @public {Number} The stacking order of the focused card, above the others.
+	 */
+	static focusZIndex = 20;
+
+	/**
+	 * @public {String} The class set on the focused card, which shows the information on its back.
+	 */
+	static focusedClass = "focused";
+
+	/**
+	 * @public {Number} The time taken to perform layout animations, when the smoothLayout capability is set.
 	 */
 	static mobileSmoothingDuration = 400;
 
 	/**
-	 * @public {Number} The period at which to refresh the grid (just in case).
+	 * @public {String} The local storage key under which the order of the cards is saved.
+	 */
+	static orderStorageKey = "card-order";
+
+	/**
+	 * @public {String} The attribute which identifies each card in the saved order, so that the order survives changes to the deck.
+	 * Cards without it are identified by their position in the selection given to the constructor.
+	 */
+	static cardIdAttribute = "data-card-id";
+
+	/**
+	 * @public {String} The query string parameter which shows playback controls for dealing the cards.
 	 */
-	static positionUpdateInterval = 1500;
+	static animDebugParameter = "animdebug";
+
+	/**
+	 * @public {Boolean} Whether to show playback controls for dealing the cards, and check the deal animation for problems.
+	 */
+	static animDebug = new URL ( window.location.href ).searchParams.has ( GridManager.animDebugParameter );
+
+	/**
+	 * @public {Number} The longest that dealing the cards and forming the grid should take, which is checked when animDebug is set.
+	 */
+	static introBudget = 2500;
 
 
 
@@ -127,15 +233,30 @@ class GridManager
 	 */
 	_currentGrid;
 
+	/**
+	 * @private {CardLayout}
+	 */
+	_currentLayout;
+
 	/**
 	 * @private {Number} As an index of _titles.
 	 */
 	_currentTitle;
 
 	/**
-	 * @private {Boolean} Whether we are busy with animations.
+	 * @private {Boolean} Whether the cards are being dealt or gathered, during which layout changes wait.
+	 */
+	_dealing = false;
+
+	/**
+	 * @private {AnimHandle|null} The layout animation in progress, which is retargeted by any new layout.
+	 */
+	_layoutAnimation = null;
+
+	/**
+	 * @private {Boolean} Whether the layout must be recalculated even if the screen size has not changed, such as when the capabilities or card order have.
 	 */
-	_animationBusy = false;
+	_layoutStale = false;
 
 
 
@@ -149,6 +270,21 @@ class GridManager
 	 */
 	_cards;
 
+	/**
+	 * @private {Element[]} The cards in the order they were given, which the order refers to.
+	 */
+	_cardNodes;
+
+	/**
+	 * @private {Number[]} The index in _cardNodes of the card in each slot of the layout.
+	 */
+	_order;
+
+	/**
+	 * @private {AnimParams[]} The position of each slot in the current layout.
+	 */
+	_currentPositions;
+
 	/**
 	 * @private {Object}
 	 */
@@ -184,6 +320,11 @@ class GridManager
 	 */
 	_setupCallback;
 
+	/**
+	 * @private {Random} The random source for hidden card jitter and dealing.
+	 */
+	_random;
+
 
 
 	/**
@@ -201,16 +342,27 @@ class GridManager
 	 */
 	_nextState;
 
+	/**
+	 * @private {Number|null} The index in _cardNodes of the card to focus, while the next state is FOCUSED.
+	 */
+	_nextFocus = null;
 
 	/**
-	 * @private {Vec} The height of the last getScreenSize
+	 * @private {Number|null} The index in _cardNodes of the focused card, while the current state is FOCUSED.
 	 */
-	_cachedScreenSize = new Vec ( window.innerWidth, window.innerHeight );
+	_currentFocus = null;
+
+
 
 	/**
-	 * @public {Number}
+	 * @private {Object} A D3 selection for an invisible element the size of the largest viewport, which ignores the browser chrome showing and hiding.
 	 */
-	static heightChangeThreshold = 0.2;
+	_viewportProbe;
+
+	/**
+	 * @private {Number|null} The animation frame in which the layout will next be updated.
+	 */
+	_updateFrame = null;
 
 
 
@@ -223,6 +375,7 @@ class GridManager
 	 * @param {Vec[]} titleSizes The size of each title in the selection.
 	 * @param {Number[]} gridWidthOptions The options for grid width.
 	 * @param {(function():void)|null} setupCallback A callback function for when the grid is first set up.
+	 * @param {Random} [random = GridManager.random] The random source for hidden card jitter and dealing.
 	 */
 	constructor (
 		canvas,
@@ -232,9 +385,12 @@ class GridManager
 		cardMargin,
 		titleSizes,
 		gridWidthOptions,
-		setupCallback
+		setupCallback,
+		random = GridManager.random
 	)
 	{
+		super ();
+
 		/* PARAMETER SETUP */
 
 		/* Save the parameters */
@@ -243,6 +399,7 @@ class GridManager
 		this._cards = cards;
 		this._gridWidthOptions = gridWidthOptions.slice ().sort ( ( l, r ) => r - l );
 		this._setupCallback = setupCallback;
+		this._random = random;
 
 		/* Calculate card size information */
 		this._cardRatio = cardSize.x / cardSize.y;
@@ -261,6 +418,23 @@ class GridManager
 		/* Ensure that the cards are still on top */
 		this._cards.raise ();
 
+		/* Put the cards in any saved order */
+		this._cardNodes = this._cards.nodes ();
+		this._order = GridManager._loadOrder ( this._cardIds () ) ?? d3.range ( this._cardNodes.length );
+		this._cards = d3.selectAll ( this._order.map ( i => this._cardNodes [ i ] ) ).order ();
+
+		/* Measure the largest viewport, where the browser supports it */
+		this._viewportProbe = d3.select ( document.body ).append ( "div" )
+			.attr ( "aria-hidden", "true" )
+			.style ( "position", "fixed" )
+			.style ( "top", "0" )
+			.style ( "left", "0" )
+			.style ( "width", "100vw" )
+			.style ( "height", "100vh" )
+			.style ( "height", "100lvh" )
+			.style ( "visibility", "hidden" )
+			.style ( "pointer-events", "none" );
+
 
 
 		/* INITIAL CANVAS SETUP */
@@ -269,6 +443,8 @@ class GridManager
 		this._currentScreenSize = this.getScreenSize ();
 		const layout = this._calculateLayout ( this._currentScreenSize );
 		this._currentGrid = layout.grid;
+		this._currentLayout = layout.layout;
+		this._currentPositions = layout.cardPositions;
 		this._currentTitle = layout.titleChoice;
 
 		/* Set the states */
@@ -279,9 +455,10 @@ class GridManager
 		this._canvas
 			.style ( "width", layout.canvasDimensions.x + "px" )
 			.style ( "height", layout.canvasDimensions.y + "px" );
+		this._setSnapPoints ( layout );
 
 		/* Possibly disable scrolling and scroll to the top */
-		document.scrollingElement.overflowY = ( this._currentGrid.y <= GridManager.verticalCards ? "hidden" : "" );
+		document.scrollingElement.overflowY = ( layout.scrollable ? "" : "hidden" );
 		document.scrollingElement.scrollTop = 0;
 
 		/* Ensure that the titles are hidden */
@@ -305,25 +482,365 @@ class GridManager
 			layout.cardSize,
 			layout.titlePos,
 			layout.titleSize,
-			new Vec ( -layout.cardSize.x, layout.titlePos.y )
+			new Vec ( -layout.cardSize.x, layout.titlePos.y ),
+			this._random
 		);
 
-		/* Start the animation */
-		this._animationBusy = true;
-		this._dealer.createAnimation ( GridManager.dealDelay, GridManager.dealDuration ).addCallback ( () =>
+		/* Recalculate the layout whenever the capabilities change */
+		Capabilities.shared.addListener ( () =>
 		{
-			/* Show the title */
-			d3.select ( this._titles.nodes () [ this._currentTitle ] )
-				.style ( "visibility", "visible" );
+			this._layoutStale = true;
+			this._scheduleUpdate ();
+		} );
+
+		/* Close the focused card with the escape key, or by clicking anywhere but its links */
+		d3.select ( window ).on ( "keydown.focus", event =>
+		{
+			if ( event.key === "Escape" && this._nextState === GridManager.states.FOCUSED )
+				this.unfocusCard ();
+		} );
+		this._canvas.node ().addEventListener ( "click", event =>
+		{
+			if ( this._nextState !== GridManager.states.FOCUSED || event.target.closest?.( "." + GridManager.focusedClass + " .card-info a" ) )
+				return;
+			event.preventDefault ();
+			event.stopPropagation ();
+			this.unfocusCard ();
+		}, { capture : true } );
+
+		/* Skip to the end of any layout animation once motion is reduced */
+		MotionPolicy.shared.addListener ( reduced =>
+		{
+			if ( reduced )
+				this._layoutAnimation?.finish ();
+		} );
+
+		/* Deal the cards, and then follow changes to the size of the screen */
+		this._deal ().then ( () => this._observeViewport () );
+	}
+
+
+
+	/**
+	 * @returns {Object} The D3 selection for the canvas.
+	 * @public
+	 */
+	get canvas ()
+	{
+		return this._canvas;
+	}
+
+	/**
+	 * @returns {Object} The D3 selection for the cards.
+	 * @public
+	 */
+	get cards ()
+	{
+		return this._cards;
+	}
+
+	/**
+	 * @returns {Number[]} Aspect ratios for the titles in decreasing order.
+	 * @public
+	 */
+	get titleRatios ()
+	{
+		return this._titleRatios;
+	}
+
+	/**
+	 * @returns {Number} The aspect ratio of a card with its margin.
+	 * @public
+	 */
+	get cardRatioWithMargin ()
+	{
+		return this._cardRatioWithMargin;
+	}
+
+	/**
+	 * @returns {Vec} The size of a card with its margin, as a multiple of the size of a card.
+	 * @public
+	 */
+	get cardMarginFrac ()
+	{
+		return this._cardMarginFrac;
+	}
+
+	/**
+	 * @returns {Number[]} The options for grid width in decreasing order.
+	 * @public
+	 */
+	get gridWidthOptions ()
+	{
+		return this._gridWidthOptions;
+	}
+
+	/**
+	 * @returns {Random} The random source for hidden card jitter and dealing.
+	 * @public
+	 */
+	get random ()
+	{
+		return this._random;
+	}
+
+	/**
+	 * @returns {Boolean} Whether the cards are settled in the grid, and not being dealt, gathered or moved.
+	 * @public
+	 */
+	get settled ()
+	{
+		return !this._dealing && !this._layoutAnimation && this._currentState === GridManager.states.GRID;
+	}
+
+	/**
+	 * @returns {AnimParams[]} The position of each slot in the current layout.
+	 * @public
+	 */
+	get cardPositions ()
+	{
+		return this._currentPositions;
+	}
+
+	/**
+	 * @returns {Number|null} The index of the focused card, out of the cards which were given to the constructor, or null if no card is focused.
+	 * @public
+	 */
+	get focusedCard ()
+	{
+		return this._nextState === GridManager.states.FOCUSED ? this._nextFocus : null;
+	}
+
+	/**
+	 * @returns {Number[]} The index of the card in each slot of the layout, out of the cards which were given to the constructor.
+	 * @public
+	 */
+	get order ()
+	{
+		return this._order.slice ();
+	}
+
+
+
+	/**
+	 * @description Rearrange the cards, moving each to its new slot. The order is saved for future visits,
+	 * and a cardorder event is emitted.
+	 *
+	 * @param {Number[]} order The index of the card for each slot, out of the cards which were given to the constructor.
+	 * @returns {Promise<void>} Resolves once the cards have finished moving, or another layout has taken over.
+	 * @public
+	 */
+	reorder ( order )
+	{
+		/* Check that the order contains each card once */
+		if ( !GridManager._isOrder ( order, this._cardNodes.length ) )
+			throw new Error ( "GridManager.reorder: The order must contain each card index once" );
+
+		/* Reorder the cards, including in the document so that they are read and focused in order */
+		this._order = order.slice ();
+		this._cards = d3.selectAll ( this._order.map ( i => this._cardNodes [ i ] ) ).order ();
+		this._dealer.cards = this._cards;
+
+		/* Remember the order, if storage is available. Without it, the order only lasts for this visit. */
+		try
+		{
+			const ids = this._cardIds ();
+			window.localStorage.setItem ( GridManager.orderStorageKey, JSON.stringify ( this._order.map ( i => ids [ i ] ) ) );
+		}
+		catch
+		{
+		}
+
+		/* Tell any listeners, and move the cards */
+		this._emit ( GridManager.events.CARD_ORDER, { order : this.order } );
+		this._layoutStale = true;
+		return this.updatePositions ();
+	}
+
+
+
+	/**
+	 * @description Gather the cards into a pile over the title, and deal them out again.
+	 * Nothing happens unless the cards are settled in the grid.
+	 *
+	 * @returns {Promise<void>} Resolves once the cards have been dealt again.
+	 */
+	async reshuffle ()
+	{
+		/* Only reshuffle a settled grid */
+		if ( !this.settled )
+			return;
+
+		/* Gather the cards over the center of the title, and deal them from there */
+		const layout = this._calculateLayout ( this._currentScreenSize );
+		await this._gather ( layout, layout.titlePos.add ( layout.titleSize.div ( 2 ) ) );
+		await this._deal ();
+	}
+
+
+
+	/**
+	 * @description Gather the cards into a pile in the middle of the screen, and then follow a link.
+	 * If the page is still showing afterwards, such as when the link opens in a new tab, the cards are dealt again.
+	 *
+	 * @param {String} href The link to follow.
+	 * @param {String} [target = "_self"] The browsing context to follow the link in.
+	 * @returns {Promise<void>} Resolves once the link has been followed, and the cards have been dealt again if the page is still showing.
+	 */
+	async exitTo ( href, target = "_self" )
+	{
+		/* Follow the link straight away if the cards are not settled in the grid */
+		if ( !this.settled )
+		{
+			this._followLink ( href, target );
+			return;
+		}
+
+		/* Gather the cards in the middle of the visible part of the canvas */
+		const layout = this._calculateLayout ( this._currentScreenSize );
+		const pileCenter = new Vec ( layout.canvasDimensions.x / 2, document.scrollingElement.scrollTop + window.innerHeight / 2 );
+		await this._gather ( layout, pileCenter );
+
+		/* Deal the cards again if the page is still showing, or once it is restored from the history */
+		if ( this._followLink ( href, target ) )
+			await this._deal ();
+		else
+			window.addEventListener ( "pageshow", () => this._deal (), { once: true } );
+	}
+
+
+
+	/**
+	 * @description Deal the cards over the title, after which the grid is formed.
+	 * @returns {Promise<void>} Resolves once the cards have been dealt.
+	 * @private
+	 */
+	async _deal ()
+	{
+		/* Create the animation, skipping straight to the grid if the cards cannot be dealt.
+		 * Playback controls need the whole deal laid out up front, so the cards are not moved onto jittered parameters mid-deal.
+		 */
+		const controls = GridManager.animDebug && CardAnim.webAnimations;
+		const create = () => this._dealer.createAnimation ( GridManager.dealDelay, GridManager.dealDuration, Dealer.pattern, Dealer.cardThrow, !controls );
+		const check = GridManager.animDebug ? this._checkDeal ( create ) : null;
+		const dealAnimation = ( GridManager.animDebug ? check?.graph.root : create () ) ?? CardAnim.Delay ( this._cards, "ease-out", 0 );
+
+		/* A deal which waits for itself could never finish */
+		if ( check?.cycles.length )
+			throw new Error ( `GridManager._deal: The deal animation contains ${check.cycles.length} cycles` );
+
+		/* Deal the cards, with playback controls if they were asked for, which also show any problems with the deal */
+		this._dealing = true;
+		this._emit ( GridManager.events.DEAL_START );
+		if ( controls )
+		{
+			const timeline = new Timeline ( check?.graph ?? dealAnimation );
+			const notes = [];
+			if ( check?.orphans.length )
+				notes.push ( `${check.orphans.length} nodes will never be animated` );
+			if ( check?.introDuration > GridManager.introBudget )
+				notes.push ( `Dealing and forming the grid takes ${check.introDuration}ms, over the budget of ${GridManager.introBudget}ms` );
+			new TimelineScrubber ( timeline, document.body, notes );
+			await timeline.finished;
+		}
+		else
+			await dealAnimation.play ();
+
+		/* Show the title */
+		d3.select ( this._titles.nodes () [ this._currentTitle ] )
+			.style ( "visibility", "visible" );
+
+		/* Update the card positions */
+		this._dealing = false;
+		this._emit ( GridManager.events.DEAL_END );
+		this.updatePositions ();
+	}
+
+
+
+	/**
+	 * @description Create the deal animation and lay out its graph, finding any cycles or orphaned nodes, and how long the intro will take.
+	 * @param {function():(CardAnim|null)} create Creates the deal animation.
+	 * @returns {{graph: AnimGraph, cycles: Number[][], orphans: CardAnim[], introDuration: Number}|null} The graph of the deal animation
+	 *   and its problems, or null if the cards cannot be dealt.
+	 * @private
+	 */
+	_checkDeal ( create )
+	{
+		/* Create the animation, recording every node */
+		const { result, created } = AnimGraph.record ( create );
+		if ( !result )
+			return null;
+
+		/* Lay out the graph, and find its problems */
+		const graph = new AnimGraph ( result );
+		return {
+			graph : graph,
+			cycles : graph.cycles,
+			orphans : graph.orphans ( created ),
+			introDuration : graph.duration + GridManager.initialGridFormationDuration
+		};
+	}
+
+
+
+	/**
+	 * @description Gather the cards into a pile, and prepare a dealer to deal them from the pile.
+	 * The grid will be formed again once the cards are next dealt.
+	 *
+	 * @param {Object} layout The current layout, from _calculateLayout.
+	 * @param {Vec} pileCenter The center of the pile.
+	 * @returns {Promise<void>} Resolves once the cards have been gathered.
+	 * @private
+	 */
+	async _gather ( layout, pileCenter )
+	{
+		/* The cards will no longer be in any state */
+		const from = this._currentState;
+		this._dealing = true;
+		this._currentState = null;
+		this._emit ( GridManager.events.STATE_CHANGE, { from : from, to : null, focusedCard : null } );
+
+		/* Create a dealer which deals from the pile */
+		this._dealer = new Dealer (
+			this._cards,
+			layout.cardSize,
+			layout.titlePos,
+			layout.titleSize,
+			pileCenter.sub ( layout.cardSize.div ( 2 ) ),
+			this._random
+		);
+
+		/* Gather the cards */
+		await this._dealer.createGatherAnimation ( GridManager.gatherDelay, GridManager.gatherDuration, pileCenter ).play ();
+	}
 
-			/* Update the card positions */
-			this._animationBusy = false;
-			this.updatePositions ();
 
-			/* Add an event listener for screen resizing and an interval */
-			window.addEventListener ( "resize", () => this.updatePositions () );
-			setInterval ( () => this.updatePositions (), GridManager.positionUpdateInterval );
-		} ).animate ();
+
+	/**
+	 * @param {String} href The link to follow.
+	 * @param {String} target The browsing context to follow the link in.
+	 * @returns {Boolean} Whether this page is still showing.
+	 * @private
+	 */
+	_followLink ( href, target )
+	{
+		/* Follow the link in this window */
+		if ( target === "_self" )
+		{
+			window.location.assign ( href );
+			return false;
+		}
+
+		/* Open another window, falling back to this window if it is blocked */
+		const opened = window.open ( href, target );
+		if ( !opened )
+		{
+			window.location.assign ( href );
+			return false;
+		}
+		opened.opener = null;
+		return true;
 	}
 
 
@@ -348,17 +865,61 @@ class GridManager
 
 
 
+	/**
+	 * @description Request that a card is enlarged in the middle of the screen, and turned over to show the information on its back.
+	 * Nothing happens unless the cards are in the grid or another card is focused.
+	 *
+	 * @param {Number} index The index of the card, out of the cards which were given to the constructor.
+	 * @returns {Promise<void>} Resolves once the card has been focused, or another layout has taken over.
+	 * @public
+	 */
+	async focusCard ( index )
+	{
+		/* Check that the card exists */
+		if ( !Number.isInteger ( index ) || index < 0 || index >= this._cardNodes.length )
+			throw new Error ( "GridManager.focusCard: No card with index " + index );
+
+		/* Only focus cards which are in the grid, or already focused */
+		if ( this._dealing || this._currentState === GridManager.states.HIDDEN ||
+			( this._nextState !== GridManager.states.GRID && this._nextState !== GridManager.states.FOCUSED ) )
+			return;
+
+		/* Move the cards, unless the card is already focused */
+		if ( this._nextState === GridManager.states.FOCUSED && this._nextFocus === index )
+			return;
+		this._nextState = GridManager.states.FOCUSED;
+		this._nextFocus = index;
+		this._layoutStale = true;
+		await this.updatePositions ();
+	}
+
+	/**
+	 * @description Request that the focused card is returned to the grid.
+	 * @returns {Promise<void>} Resolves once the card has returned, or another layout has taken over.
+	 * @public
+	 */
+	async unfocusCard ()
+	{
+		if ( this._nextState !== GridManager.states.FOCUSED )
+			return;
+		this._nextState = GridManager.states.GRID;
+		await this.updatePositions ();
+	}
+
+
+
 	/**
 	 * @description Reposition the canvas and animate the cards and title, transitioning from state to nextState.
 	 * @param {Number} prevAnimationDuration The duration of the previous animation.
+	 * @returns {Promise<void>} Resolves once the cards have finished moving, or another layout has taken over.
 	 */
-	updatePositions ( prevAnimationDuration = 0 )
+	async updatePositions ( prevAnimationDuration = 0 )
 	{
 		/* Get the new screen size */
 		const newScreenSize = this.getScreenSize ();
 
-		/* Don't do anything if a reshuffle is in progress, or if there is no need */
-		if ( this._animationBusy || ( this._nextState === this._currentState && newScreenSize.equals ( this._currentScreenSize ) ) )
+		/* Don't do anything if the cards are being dealt or gathered, or if there is no need */
+		if ( this._dealing || ( this._nextState === this._currentState && newScreenSize.equals ( this._currentScreenSize ) && !this._layoutStale ) )
 			return;
 
 
@@ -367,24 +928,41 @@ class GridManager
 
 		/* Set the new screen size */
 		this._currentScreenSize = newScreenSize;
+		const stale = this._layoutStale;
+		this._layoutStale = false;
 
 		/* Calculate the new layout */
 		const layout = this._calculateLayout ( this._currentScreenSize );
 
-		/* Get whether the grid and title have changed */
-		const gridChange = !this._currentGrid.equals ( layout.grid );
+		/* Get whether the grid and title have changed. A new layout strategy always reshuffles the cards. */
+		const gridChange = !this._currentGrid.equals ( layout.grid ) || this._currentLayout !== layout.layout;
 		const titleChange = ( this._currentTitle !== layout.titleChoice );
 
 		/* Get title selections */
 		const newTitleSel = d3.select ( this._titles.nodes () [ layout.titleChoice ] );
 		const oldTitleSel = d3.select ( this._titles.nodes () [ this._currentTitle ] );
 
+		/* Get whether a card is entering or leaving focus */
+		const nextFocus = this._nextState === GridManager.states.FOCUSED ? this._nextFocus : null;
+		const focusChange = nextFocus !== this._currentFocus;
+
+		/* Cards which are hidden and not moving can jump straight to the new layout */
+		const jump = this._currentState === GridManager.states.HIDDEN && !this._layoutAnimation;
+
+		/* Take over from any layout animation in progress, continuing from wherever the cards have got to */
+		if ( this._layoutAnimation )
+		{
+			prevAnimationDuration = Math.max ( prevAnimationDuration, this._layoutAnimation.root.duration );
+			this._layoutAnimation.cancel ();
+			this._layoutAnimation = null;
+		}
+
 
 
 		/* INITIAL RESIZING */
 
 		/* If the cards are hidden, we can simply jump to the new canvas settings */
-		if ( this._currentState === GridManager.states.HIDDEN )
+		if ( jump )
 		{
 			/* Reposition the cards */
 			new CardAnim ( this._cards, layout.hiddenCardPositions, null, "ease-in-out", 0 ).animate ();
@@ -394,6 +972,7 @@ class GridManager
 				.style ( "transition-duration", "0s" )
 				.style ( "width", layout.canvasDimensions.x + "px" )
 				.style ( "height", layout.canvasDimensions.y + "px" );
+			this._setSnapPoints ( layout );
 
 			/* Position the title */
 			newTitleSel
@@ -443,14 +1022,12 @@ class GridManager
 		/* ANIMATE */
 
 		/* If we are going from a hidden state to a hidden state, we don't need to animate */
-		if ( !( this._currentState === GridManager.states.HIDDEN && this._nextState === GridManager.states.HIDDEN ) )
+		let layoutAnimation = null;
+		if ( !( jump && this._nextState === GridManager.states.HIDDEN ) )
 		{
-			/* Notify that animations are now in progress */
-			this._animationBusy = true;
-
 			/* Calculate the animation position, duration, and ease */
 			let animationPosition = layout.cardPositions;
-			let animationDuration = GridManager.mobile ? GridManager.mobileSmoothingDuration : prevAnimationDuration / 2;
+			let animationDuration = Capabilities.shared.has ( "smoothLayout" ) ? GridManager.mobileSmoothingDuration : prevAnimationDuration / 2;
 			let animationEase = "ease-in-out";
 			if ( this._nextState === GridManager.states.HIDDEN )
 				[ animationPosition, animationDuration, animationEase ] = [ layout.hiddenCardPositions, GridManager.hideShowCardDuration, "ease-in" ];
@@ -458,14 +1035,26 @@ class GridManager
 				[ animationDuration, animationEase ] = [ GridManager.hideShowCardDuration, "ease-out" ];
 			else if ( !this._currentState )
 				animationDuration = GridManager.initialGridFormationDuration;
-			else if ( gridChange )
-				animationDuration = GridManager.gridReshuffleDuration;
+			else if ( focusChange )
+				[ animationDuration, animationEase ] = [ GridManager.focusSpring.duration, GridManager.focusSpring ];
+			else if ( gridChange || stale )
+				[ animationDuration, animationEase ] = [ GridManager.gridReshuffleSpring.duration, GridManager.gridReshuffleSpring ];
+
+			/* Bring any focused card to the middle of the screen over the dimmed others, and restore any card leaving focus */
+			if ( this._nextState === GridManager.states.FOCUSED )
+				animationPosition = this._focusPositions ( layout );
+			else if ( this._currentState === GridManager.states.FOCUSED )
+				animationPosition = animationPosition.map ( ( p, i ) => new AnimParams ( p.position, p.size, p.rotation, null, null, 1,
+					this._order [ i ] === this._currentFocus ? 0 : null ) );
+
+			/* The title and canvas jump when motion is reduced, while the cards cross-fade */
+			const transitionDuration = MotionPolicy.shared.reduced ? 0 : animationDuration;
 
 			/* Resize the current title if we haven't already */
-			if ( this._currentState !== GridManager.states.HIDDEN )
+			if ( !jump )
 				setTimeout ( () => newTitleSel
 					.style ( "transition-property", "left, top, width, height" )
-					.style ( "transition-duration", animationDuration + "ms" )
+					.style ( "transition-duration", transitionDuration + "ms" )
 					.style ( "transition-timing-function", "ease-in-out" )
 					.style ( "left", layout.titlePos.x + "px" )
 					.style ( "top", layout.titlePos.y + "px" )
@@ -473,238 +1062,298 @@ class GridManager
 					.style ( "height", layout.titleSize.y + "px" ) );
 
 			/* Animate the cards moving */
-			new CardAnim (
+			layoutAnimation = this._layoutAnimation = new CardAnim (
 				this._cards,
 				null,
 				animationPosition,
 				animationEase,
 				animationDuration )
-				.addCallback ( () =>
-				{
-					/* Possibly call the setup callback if it exists */
-					if ( this._setupCallback ) this._setupCallback ();
-					this._setupCallback = null;
-
-					/* Make sure we scrolled to the top */
-					if ( gridChange && GridManager.mobile )
-						document.scrollingElement.scrollTop = 0;
-
-					/* Possibly disable scrolling */
-					document.scrollingElement.overflowY = ( layout.grid.y <= GridManager.verticalCards ? "hidden" : "" );
-
-					/* Check that positions are still correct after the animation */
-					this._animationBusy = false;
-					this.updatePositions ( animationDuration );
-				} )
 				.animate ();
 
 			/* Animate the canvas changing */
 			setTimeout ( () => this._canvas
 				.style ( "transition-property", "width, height" )
-				.style ( "transition-duration", animationDuration + "ms" )
+				.style ( "transition-duration", transitionDuration + "ms" )
 				.style ( "transition-timing-function", "ease-in-out" )
 				.style ( "width", layout.canvasDimensions.x + "px" )
 				.style ( "height", layout.canvasDimensions.y + "px" ) );
+			this._setSnapPoints ( layout );
 		}
 
+		/* Turn the cards entering and leaving focus */
+		if ( focusChange )
+			this._turnFocus ( nextFocus );
+
 		/* Set the new state */
+		const [ fromState, fromGrid ] = [ this._currentState, this._currentGrid ];
 		this._currentState = this._nextState;
+		this._currentFocus = nextFocus;
 		this._currentGrid = layout.grid;
+		this._currentLayout = layout.layout;
+		this._currentPositions = layout.cardPositions;
 		this._currentTitle = layout.titleChoice;
-	}
 
+		/* Tell any listeners */
+		if ( fromState !== this._currentState || focusChange )
+			this._emit ( GridManager.events.STATE_CHANGE, { from : fromState, to : this._currentState, focusedCard : nextFocus } );
+		if ( gridChange )
+			this._emit ( GridManager.events.LAYOUT_CHANGE, { from : fromGrid, to : layout.grid, layout : layout.layout } );
 
+		/* Wait for the cards to finish moving, unless another layout takes over */
+		if ( !layoutAnimation || !await layoutAnimation.finished )
+			return;
 
-	/**
-	 * @param {Vec} screenSize
-	 * @param {Number} hiddenCardPositionJitter The maximum position jitter of hidden cards, as a fraction of the average card dimension.
-	 * @param {Number} hiddenCardAngleJitter The absolute maximum angle of hidden cards, in degrees.
-	 * @returns {{grid: Vec, cardSize: Vec, canvasDimensions: Vec, cardPositions: AnimParams[], hiddenCardPositions: AnimParams[], titleChoice: Number, titleSize: Vec, titlePos: Vec}}
-	 * @private
-	 */
-	_calculateLayout ( screenSize, hiddenCardPositionJitter = 1, hiddenCardAngleJitter = 45 )
-	{
-		/* CALCULATE CARD AND VIEWPORT SIZES */
+		/* Possibly call the setup callback if it exists */
+		if ( this._setupCallback ) this._setupCallback ();
+		this._setupCallback = null;
 
-		/* Calculate the grid */
-		const grid = this._calculateGrid ( screenSize );
+		/* Make sure we scrolled to the top */
+		if ( gridChange && Capabilities.shared.has ( "stableHeight" ) )
+			document.scrollingElement.scrollTop = 0;
 
-		/* Calculate the size of a card with its margin */
-		const cardHeightWithMargin = screenSize.y * ( 1 - GridManager.titleHeightFrac - 2 * GridManager.cardOuterMarginFrac - 2 * GridManager.titleMarginFrac ) / GridManager.verticalCards;
-		const cardSizeWithMargin = new Vec ( this._cardRatioWithMargin * cardHeightWithMargin, cardHeightWithMargin );
+		/* Possibly disable scrolling */
+		document.scrollingElement.overflowY = ( layout.scrollable ? "" : "hidden" );
 
-		/* Calculate the margin size */
-		const cardSize = cardSizeWithMargin.div ( this._cardMarginFrac );
-		const marginSize = cardSizeWithMargin.sub ( cardSize );
+		/* Check that positions are still correct after the animation */
+		this._layoutAnimation = null;
+		this.updatePositions ( layoutAnimation.root.duration );
+	}
 
 
 
-		/* CALCULATE CANVAS DIMENSIONS */
+	/**
+	 * @param {Object} layout The layout, from _calculateLayout.
+	 * @returns {AnimParams[]} The position of each slot while the card to focus is enlarged in the middle of the visible part of the canvas,
+	 * and the other cards are dimmed in their slots.
+	 * @private
+	 */
+	_focusPositions ( layout )
+	{
+		/* Fit the card within the screen, keeping its shape */
+		const ratio = layout.cardSize.x / layout.cardSize.y;
+		const height = Math.min ( this._currentScreenSize.y, this._currentScreenSize.x / ratio ) * GridManager.focusSizeFrac;
+		const size = new Vec ( height * ratio, height );
+
+		/* Center the card in the visible part of the canvas */
+		const center = new Vec (
+			this._canvas.node ().scrollLeft + this._currentScreenSize.x / 2,
+			document.scrollingElement.scrollTop + window.innerHeight / 2 );
+
+		return layout.cardPositions.map ( ( p, i ) => this._order [ i ] === this._nextFocus ?
+			new AnimParams ( center.sub ( size.div ( 2 ) ), size, 0, 1, null, 1, GridManager.focusZIndex ) :
+			new AnimParams ( p.position, p.size, p.rotation, null, null, GridManager.focusDimOpacity ) );
+	}
 
-		/* Calculate the final canvas dimensions */
-		const canvasDimensions = new Vec (
-			screenSize.x,
-			screenSize.y * ( GridManager.titleHeightFrac + 2 * GridManager.titleMarginFrac + 2 * GridManager.cardOuterMarginFrac ) + cardSizeWithMargin.y * grid.y );
 
 
+	/**
+	 * @description Turn any focused card face up again, and turn the card to focus over to show the information on its back.
+	 * Only the focused card can be reached by the keyboard or a screen reader.
+	 * @param {Number|null} nextFocus The index in _cardNodes of the card to focus, or null if none will be.
+	 * @private
+	 */
+	_turnFocus ( nextFocus )
+	{
+		/* Turn the cards, returning cards to whichever side they were on before */
+		if ( this._currentFocus !== null )
+			CardFaceManager.turn ( d3.select ( this._cardNodes [ this._currentFocus ] ).select ( ".card-inner" ),
+				this._cardNodes [ this._currentFocus ].querySelector ( ".card-inner" ).classList.contains ( "card-active" ) ).animate ();
+		if ( nextFocus !== null )
+			CardFaceManager.turn ( d3.select ( this._cardNodes [ nextFocus ] ).select ( ".card-inner" ), false ).animate ();
+
+		/* Class the focused card, and keep the others out of reach */
+		this._cards
+			.classed ( GridManager.focusedClass, ( d, i ) => this._order [ i ] === nextFocus )
+			.property ( "inert", ( d, i ) => nextFocus !== null && this._order [ i ] !== nextFocus );
+		if ( nextFocus !== null )
+			this._cardNodes [ nextFocus ].querySelector ( ".card-inner" ).focus ( { preventScroll : true } );
+	}
 
-		/* CHOOSE A TITLE AND CALCULATE ITS SIZE AND POSITION */
 
-		/* Calculate the height of the title and the area's aspect ratio */
-		const theoreticalTitleHeight = screenSize.y * GridManager.titleHeightFrac;
-		const titleAreaRatio = ( screenSize.x - 2 * GridManager.titleHorizontalMargin ) / theoreticalTitleHeight;
 
-		/* Choose the best title to fit the space */
-		let titleChoice = null;
-		for ( let i = 0; i < this._titleRatios.length && titleChoice === null; ++i )
-			if ( this._titleRatios [ i ] < titleAreaRatio || i === this._titleRatios.length - 1 )
-				titleChoice = i;
+	/**
+	 * @description Add a layout strategy, which can then be chosen by name in the breakpoints.
+	 * @param {String} name
+	 * @param {CardLayout} layout
+	 * @public
+	 */
+	static registerLayout ( name, layout )
+	{
+		GridManager.layouts [ name ] = layout;
+	}
 
-		/* Calculate the title position and size */
-		const titleWidth = Math.min ( this._titleRatios [ titleChoice ] * theoreticalTitleHeight, screenSize.x - 2 * GridManager.titleHorizontalMargin );
-		const titleSize = new Vec ( titleWidth, titleWidth / this._titleRatios [ titleChoice ] );
-		const titlePos = new Vec (
-			( screenSize.x - titleSize.x ) / 2,
-			screenSize.y * GridManager.titleMarginFrac );
 
 
+	/**
+	 * @param {String|CardLayout} l A layout, or the name of a registered layout.
+	 * @returns {CardLayout}
+	 * @public
+	 */
+	static getLayout ( l )
+	{
+		if ( l instanceof CardLayout )
+			return l;
+		if ( !GridManager.layouts [ l ] )
+			throw new Error ( "GridManager.getLayout: No layout named '" + l + "'" );
+		return GridManager.layouts [ l ];
+	}
 
-		/* CALCULATE CARD POSITIONS */
 
-		/* Calculate the corner offset for cards in the grid */
-		const cornerOffset = new Vec (
-			( screenSize.x - ( grid.x * cardSizeWithMargin.x ) + marginSize.x ) / 2,
-			titleSize.y + screenSize.y * ( GridManager.cardOuterMarginFrac + GridManager.titleMarginFrac * 2 ) + marginSize.y / 2 );
 
-		/* Calculate the offset of bottom row cards */
-		const cardsOnBottomRow = this._cards.size () - ( grid.x * ( grid.y - 1 ) );
-		const bottomRowOffset = new Vec ( ( grid.x - cardsOnBottomRow ) * cardSizeWithMargin.x / 2, 0 );
+	/**
+	 * @param {Vec} screenSize
+	 * @returns {CardLayout} The layout of the first breakpoint which the screen width fits within.
+	 * @public
+	 */
+	static chooseLayout ( screenSize )
+	{
+		const breakpoint = GridManager.breakpoints.find ( b => screenSize.x <= b.maxWidth ) ?? GridManager.breakpoints [ GridManager.breakpoints.length - 1 ];
+		return GridManager.getLayout ( breakpoint.layout );
+	}
 
-		/* Calculate the card positions */
-		const cardPositions = [];
-		for ( let y = 0; y < grid.y; ++y )
-			for ( let x = 0; x < grid.x && y * grid.x + x < this._cards.size (); ++x )
-				cardPositions.push ( new AnimParams (
-					cornerOffset.add ( cardSizeWithMargin.mult ( new Vec ( x, y ) ) )
-						.add ( y === grid.y - 1 ? bottomRowOffset : new Vec () ),
-					cardSize,
-					0 ) );
 
 
+	/**
+	 * @param {Vec} screenSize
+	 * @returns {{layout: CardLayout, grid: Vec, cardSize: Vec, canvasDimensions: Vec, cardPositions: AnimParams[], hiddenCardPositions: AnimParams[], titleChoice: Number, titleSize: Vec, titlePos: Vec, scrollable: Boolean, snapPoints: ?Number[]}}
+	 * @private
+	 */
+	_calculateLayout ( screenSize )
+	{
+		const layout = GridManager.chooseLayout ( screenSize );
+		return { layout : layout, ...layout.calculate ( this, screenSize ) };
+	}
 
-		/* CALCULATE HIDDEN CARD POSITIONS */
 
-		/* Get whether the grid layout is longer horizontally than it is vertically. Favour vertical. */
-		const gridIsHorizontal = grid.x > grid.y;
 
-		/* Get the size of a card from corner to corner */
-		const cardCornerToCorner = Math.sqrt ( cardSize.x ** 2 + cardSize.y ** 2 );
+	/**
+	 * @description Let a layout with snap points scroll sideways, snapping each point to the center of the screen.
+	 * @param {Object} layout The layout, from _calculateLayout.
+	 * @private
+	 */
+	_setSnapPoints ( layout )
+	{
+		/* Only scroll sideways between snap points */
+		const snapPoints = layout.snapPoints ?? [];
+		this._canvas.classed ( "carousel", snapPoints.length > 0 );
+
+		/* Without snap points the canvas cannot scroll sideways, so drop any scroll left over from a carousel */
+		if ( !snapPoints.length )
+			this._canvas.node ().scrollLeft = 0;
+
+		/* Mark each snap point with a screen-wide element, since the cards are positioned by transforms */
+		this._canvas.selectAll ( ".canvas-snap" )
+			.data ( snapPoints )
+			.join ( "div" )
+			.classed ( "canvas-snap", true )
+			.style ( "left", x => ( x - this._currentScreenSize.x / 2 ) + "px" )
+			.style ( "width", this._currentScreenSize.x + "px" );
+	}
 
-		/* Get hidden card position interpolators */
-		const hiddenCardPositionInterpolators = gridIsHorizontal ? [
-				new Vec ( 0, -cardCornerToCorner ).interpolateTo ( new Vec ( canvasDimensions.x - cardSize.x, -cardCornerToCorner ) ),
-				new Vec ( 0, canvasDimensions.y + cardCornerToCorner - cardSize.y ).interpolateTo ( new Vec ( canvasDimensions.x - cardSize.x, canvasDimensions.y + cardCornerToCorner - cardSize.y ) ),
-			] : [
-				new Vec ( -cardCornerToCorner, 0 ).interpolateTo ( new Vec ( -cardCornerToCorner, canvasDimensions.y - cardSize.y ) ),
-				new Vec ( canvasDimensions.x + cardCornerToCorner - cardSize.x, 0 ).interpolateTo ( new Vec ( canvasDimensions.x + cardCornerToCorner - cardSize.x, canvasDimensions.y - cardSize.y ) )
-			];
 
-		/* Calculate hidden card positions */
-		const hiddenCardPositions = [];
-		for ( let y = 0; y < grid.y; ++y )
-			for ( let x = 0; x < grid.x && y * grid.x + x < this._cards.size (); ++x )
-			{
-				/* Get the card index */
-				const i = y * grid.x + x;
 
-				/* Calculate which edge the card should be hidden on */
-				const hideCardOnPositiveEdge = gridIsHorizontal ?
-					y > ( ( grid.y / 2 ) - 0.5 ) + ( 0.1 * ( -1 ) ** x ):
-					x > ( ( grid.x / 2 ) - 0.5 ) + ( 0.1 * ( -1 ) ** y );
+	/**
+	 * @returns {Vec} The size of the screen. With the stableHeight capability, this is the size with the browser chrome hidden,
+	 * so that the cards do not move whenever the address bar or keyboard shows or hides.
+	 */
+	getScreenSize ()
+	{
+		if ( Capabilities.shared.has ( "stableHeight" ) )
+			return new Vec ( window.innerWidth, this._viewportProbe.node ().clientHeight || window.innerHeight );
+		return new Vec ( window.innerWidth, window.innerHeight );
+	}
 
-				/* Calculate the fraction along the edge that card should be */
-				const hideCardAtFractionAlongEdge = gridIsHorizontal ?
-					x / ( grid.x - 1 ) :
-					y / ( grid.y - 1 );
 
-				/* Calculate jitter */
-				const rand = () => ( Math.random () * 2 - 1 );
-				const positionJitter = new Vec ( hiddenCardPositionJitter * ( cardSize.x + cardSize.y ) * 0.5 * rand () )
-					.mult ( new Vec ( gridIsHorizontal ? 1 : 0, gridIsHorizontal ? 0 : 1 ) );
-				const rotationJitter = hiddenCardAngleJitter * rand ();
 
-				/* Set the card position */
-				hiddenCardPositions [ i ] = new AnimParams (
-					hiddenCardPositionInterpolators [ hideCardOnPositiveEdge ? 1 : 0 ] ( hideCardAtFractionAlongEdge )
-						.add ( positionJitter ),
-					cardSize,
-					rotationJitter );
-			}
+	/**
+	 * @returns {String[]} The id of each card in _cardNodes, which is saved in place of its index.
+	 * @private
+	 */
+	_cardIds ()
+	{
+		return this._cardNodes.map ( ( node, i ) => node.getAttribute ( GridManager.cardIdAttribute ) ?? String ( i ) );
+	}
 
 
 
-		/* RETURN */
+	/**
+	 * @param {String[]} ids The id of each card.
+	 * @returns {Number[]|null} The saved order of the cards, or null if there is none which holds exactly these cards.
+	 * @private
+	 */
+	static _loadOrder ( ids )
+	{
+		/* Storage may be unavailable, or hold something else */
+		let saved;
+		try
+		{
+			saved = JSON.parse ( window.localStorage.getItem ( GridManager.orderStorageKey ) );
+		}
+		catch
+		{
+			return null;
+		}
 
-		/* Return the layout information */
-		return {
-			grid: grid,
-			cardSize: cardSize,
-			canvasDimensions: canvasDimensions,
-			cardPositions: cardPositions,
-			hiddenCardPositions: hiddenCardPositions,
-			titleChoice: titleChoice,
-			titleSize: titleSize,
-			titlePos: titlePos
-		};
+		/* Find each saved card, dropping the order if the deck has changed */
+		if ( !Array.isArray ( saved ) )
+			return null;
+		const order = saved.map ( id => ids.indexOf ( id ) );
+		return GridManager._isOrder ( order, ids.length ) ? order : null;
 	}
 
 
 
 	/**
-	 * @param {Vec} screenSize
-	 * @returns {Vec}
+	 * @param {*} order
+	 * @param {Number} count The number of cards.
+	 * @returns {Boolean} Whether the order contains each index below count exactly once.
 	 * @private
 	 */
-	_calculateGrid ( screenSize )
+	static _isOrder ( order, count )
 	{
-		/* Get the ratio of the screen, excluding the title and margins */
-		const cardAreaRatio = ( screenSize.x / screenSize.y ) / ( 1 - GridManager.titleHeightFrac - 2 * GridManager.cardOuterMarginFrac - 2 * GridManager.titleMarginFrac );
-
-		/* Get the maximum number of horizontal cards */
-		const hCards = cardAreaRatio * GridManager.verticalCards / this._cardRatioWithMargin;
-
-		/* Find the best option */
-		for ( const widthOption of this._gridWidthOptions )
-			if ( widthOption <= hCards )
-				return new Vec ( widthOption, Math.ceil ( this._cards.size () / widthOption ) );
-
-		/* Otherwise choose the minimum allowed grid width */
-		const minGridWidth = this._gridWidthOptions [ this._gridWidthOptions.length - 1 ];
-		return new Vec ( minGridWidth, Math.ceil ( this._cards.size () / minGridWidth ) );
+		return Array.isArray ( order ) && order.length === count &&
+			new Set ( order ).size === count && order.every ( i => Number.isInteger ( i ) && i >= 0 && i < count );
 	}
 
 
 
 	/**
-	 * @see {@link http://detectmobilebrowsers.com/ DetectMobileBrowsers}
+	 * @description Update the layout whenever the canvas or viewport changes size.
+	 * Changes are coalesced into at most one update per frame.
+	 * @private
 	 */
-	static mobileCheck ()
+	_observeViewport ()
 	{
-		let check = false;
-		(function(a){if(/(android|bb\d+|meego).+mobile|avantgo|bada\/|blackberry|blazer|compal|elaine|fennec|hiptop|iemobile|ip(hone|od)|iris|kindle|lge |maemo|midp|mmp|mobile.+firefox|netfront|opera m(ob|in)i|palm( os)?|phone|p(ixi|re)\/|plucker|pocket|psp|series(4|6)0|symbian|treo|up\.(browser|link)|vodafone|wap|windows ce|xda|xiino/i.test(a)||/1207|6310|6590|3gso|4thp|50[1-6]i|770s|802s|a wa|abac|ac(er|oo|s\-)|ai(ko|rn)|al(av|ca|co)|amoi|an(ex|ny|yw)|aptu|ar(ch|go)|as(te|us)|attw|au(di|\-m|r |s )|avan|be(ck|ll|nq)|bi(lb|rd)|bl(ac|az)|br(e|v)w|bumb|bw\-(n|u)|c55\/|capi|ccwa|cdm\-|cell|chtm|cldc|cmd\-|co(mp|nd)|craw|da(it|ll|ng)|dbte|dc\-s|devi|dica|dmob|do(c|p)o|ds(12|\-d)|el(49|ai)|em(l2|ul)|er(ic|k0)|esl8|ez([4-7]0|os|wa|ze)|fetc|fly(\-|_)|g1 u|g560|gene|gf\-5|g\-mo|go(\.w|od)|gr(ad|un)|haie|hcit|hd\-(m|p|t)|hei\-|hi(pt|ta)|hp( i|ip)|hs\-c|ht(c(\-| |_|a|g|p|s|t)|tp)|hu(aw|tc)|i\-(20|go|ma)|i230|iac( |\-|\/)|ibro|idea|ig01|ikom|im1k|inno|ipaq|iris|ja(t|v)a|jbro|jemu|jigs|kddi|keji|kgt( |\/)|klon|kpt |kwc\-|kyo(c|k)|le(no|xi)|lg( g|\/(k|l|u)|50|54|\-[a-w])|libw|lynx|m1\-w|m3ga|m50\/|ma(te|ui|xo)|mc(01|21|ca)|m\-cr|me(rc|ri)|mi(o8|oa|ts)|mmef|mo(01|02|bi|de|do|t(\-| |o|v)|zz)|mt(50|p1|v )|mwbp|mywa|n10[0-2]|n20[2-3]|n30(0|2)|n50(0|2|5)|n7(0(0|1)|10)|ne((c|m)\-|on|tf|wf|wg|wt)|nok(6|i)|nzph|o2im|op(ti|wv)|oran|owg1|p800|pan(a|d|t)|pdxg|pg(13|\-([1-8]|c))|phil|pire|pl(ay|uc)|pn\-2|po(ck|rt|se)|prox|psio|pt\-g|qa\-a|qc(07|12|21|32|60|\-[2-7]|i\-)|qtek|r380|r600|raks|rim9|ro(ve|zo)|s55\/|sa(ge|ma|mm|ms|ny|va)|sc(01|h\-|oo|p\-)|sdk\/|se(c(\-|0|1)|47|mc|nd|ri)|sgh\-|shar|sie(\-|m)|sk\-0|sl(45|id)|sm(al|ar|b3|it|t5)|so(ft|ny)|sp(01|h\-|v\-|v )|sy(01|mb)|t2(18|50)|t6(00|10|18)|ta(gt|lk)|tcl\-|tdg\-|tel(i|m)|tim\-|t\-mo|to(pl|sh)|ts(70|m\-|m3|m5)|tx\-9|up(\.b|g1|si)|utst|v400|v750|veri|vi(rg|te)|vk(40|5[0-3]|\-v)|vm40|voda|vulc|vx(52|53|60|61|70|80|81|83|85|98)|w3c(\-| )|webc|whit|wi(g |nc|nw)|wmlb|wonu|x700|yas\-|your|zeto|zte\-/i.test(a.substr(0,4))) check = true;})(navigator.userAgent||navigator.vendor||window.opera);
-		return check;
-	};
+		/* Watch the canvas and the largest viewport */
+		if ( window.ResizeObserver )
+		{
+			const observer = new ResizeObserver ( () => this._scheduleUpdate () );
+			observer.observe ( this._canvas.node () );
+			observer.observe ( this._viewportProbe.node () );
+		}
+
+		/* Watch the visual viewport, which also changes with zooming and the browser chrome */
+		if ( window.visualViewport )
+			window.visualViewport.addEventListener ( "resize", () => this._scheduleUpdate () );
+		else
+			window.addEventListener ( "resize", () => this._scheduleUpdate () );
+	}
+
+
 
 	/**
-	 * @returns {Vec}
+	 * @description Update the layout in the next animation frame, unless an update is already waiting.
+	 * @private
 	 */
-	getScreenSize ()
+	_scheduleUpdate ()
 	{
-		if ( !GridManager.mobile || window.innerWidth !== this._cachedScreenSize.x || Math.abs ( window.innerHeight - this._cachedScreenSize.y ) / this._cachedScreenSize.y > GridManager.heightChangeThreshold )
-			this._cachedScreenSize = new Vec ( window.innerWidth, window.innerHeight );
-		else
-			this._cachedScreenSize = new Vec ( window.innerWidth, this._cachedScreenSize.y );
-		return this._cachedScreenSize;
+		if ( this._updateFrame !== null )
+			return;
+		this._updateFrame = requestAnimationFrame ( () =>
+		{
+			this._updateFrame = null;
+			this.updatePositions ();
+		} );
 	}
 
 }
\ No newline at end of file
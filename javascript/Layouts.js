@@ -0,0 +1,478 @@
+/**
+ * @class CardLayout
+ *
+ * @description A strategy for laying out the page of cards. For a screen size, a layout chooses the size of the canvas,
+ * where the title goes, where each card goes, and where each card hides while another page is showing.
+ * Subclasses must override calculate, and can use the helpers here to size the cards and place the title as the grid does.
+ */
+class CardLayout
+{
+
+	/** @public {Number} The maximum position jitter of hidden cards, as a fraction of the average card dimension. */
+	hiddenPositionJitter = 1;
+
+	/** @public {Number} The absolute maximum angle of hidden cards, in degrees. */
+	hiddenAngleJitter = 45;
+
+
+
+	/**
+	 * @description Lay out the page.
+	 *
+	 * @param {GridManager} manager The grid manager whose cards and titles should be laid out.
+	 * @param {Vec} screenSize
+	 * @returns {{grid: Vec, cardSize: Vec, canvasDimensions: Vec, cardPositions: AnimParams[], hiddenCardPositions: AnimParams[], titleChoice: Number, titleSize: Vec, titlePos: Vec, scrollable: Boolean, snapPoints: ?Number[]}}
+	 *   The grid is the number of columns and rows which the cards are arranged in, and the layout is reshuffled whenever it changes.
+	 *   The card size is the size of a typical card, which cards are dealt at. The page scrolls vertically if it is scrollable,
+	 *   and the canvas scrolls horizontally between any snap points, which are the x coordinates to center in the screen.
+	 * @public
+	 */
+	calculate ( manager, screenSize )
+	{
+		throw new Error ( "CardLayout.calculate: Not implemented" );
+	}
+
+
+
+	/**
+	 * @param {GridManager} manager
+	 * @param {Vec} screenSize
+	 * @returns {{cardSize: Vec, cardSizeWithMargin: Vec, marginSize: Vec}} The size of a card, such that GridManager.verticalCards fit on the screen with the title.
+	 * @protected
+	 */
+	_cardSize ( manager, screenSize )
+	{
+		/* Calculate the size of a card with its margin */
+		const cardHeightWithMargin = screenSize.y * ( 1 - GridManager.titleHeightFrac - 2 * GridManager.cardOuterMarginFrac - 2 * GridManager.titleMarginFrac ) / GridManager.verticalCards;
+		const cardSizeWithMargin = new Vec ( manager.cardRatioWithMargin * cardHeightWithMargin, cardHeightWithMargin );
+
+		/* Calculate the margin size */
+		const cardSize = cardSizeWithMargin.div ( manager.cardMarginFrac );
+		return { cardSize : cardSize, cardSizeWithMargin : cardSizeWithMargin, marginSize : cardSizeWithMargin.sub ( cardSize ) };
+	}
+
+
+
+	/**
+	 * @param {GridManager} manager
+	 * @param {Vec} screenSize
+	 * @returns {{titleChoice: Number, titleSize: Vec, titlePos: Vec}} The title which best fits the top of the screen, centered there.
+	 * @protected
+	 */
+	_placeTitle ( manager, screenSize )
+	{
+		/* Calculate the height of the title and the area's aspect ratio */
+		const titleRatios = manager.titleRatios;
+		const theoreticalTitleHeight = screenSize.y * GridManager.titleHeightFrac;
+		const titleAreaRatio = ( screenSize.x - 2 * GridManager.titleHorizontalMargin ) / theoreticalTitleHeight;
+
+		/* Choose the best title to fit the space */
+		let titleChoice = null;
+		for ( let i = 0; i < titleRatios.length && titleChoice === null; ++i )
+			if ( titleRatios [ i ] < titleAreaRatio || i === titleRatios.length - 1 )
+				titleChoice = i;
+
+		/* Calculate the title position and size */
+		const titleWidth = Math.min ( titleRatios [ titleChoice ] * theoreticalTitleHeight, screenSize.x - 2 * GridManager.titleHorizontalMargin );
+		const titleSize = new Vec ( titleWidth, titleWidth / titleRatios [ titleChoice ] );
+		const titlePos = new Vec (
+			( screenSize.x - titleSize.x ) / 2,
+			screenSize.y * GridManager.titleMarginFrac );
+		return { titleChoice : titleChoice, titleSize : titleSize, titlePos : titlePos };
+	}
+
+
+
+	/**
+	 * @param {Vec} screenSize
+	 * @param {Vec} titleSize
+	 * @returns {Number} The top of the area below the title, where the cards go.
+	 * @protected
+	 */
+	_cardsTop ( screenSize, titleSize )
+	{
+		return titleSize.y + screenSize.y * ( GridManager.cardOuterMarginFrac + GridManager.titleMarginFrac * 2 );
+	}
+
+
+
+	/**
+	 * @description Hide the cards off the edges of the canvas. Cards are hidden above and below a layout which is wider than it is tall,
+	 * and otherwise to either side, each at a jittered point along the edge according to its cell.
+	 *
+	 * @param {GridManager} manager
+	 * @param {Vec} grid The number of columns and rows.
+	 * @param {Vec[]} cells The column and row of each card.
+	 * @param {Vec} cardSize
+	 * @param {Vec} canvasDimensions
+	 * @returns {AnimParams[]}
+	 * @protected
+	 */
+	_hiddenPositions ( manager, grid, cells, cardSize, canvasDimensions )
+	{
+		/* Get whether the grid layout is longer horizontally than it is vertically. Favour vertical. */
+		const gridIsHorizontal = grid.x > grid.y;
+
+		/* Get the size of a card from corner to corner */
+		const cardCornerToCorner = Math.sqrt ( cardSize.x ** 2 + cardSize.y ** 2 );
+
+		/* Get hidden card position interpolators */
+		const hiddenCardPositionInterpolators = gridIsHorizontal ? [
+				new Vec ( 0, -cardCornerToCorner ).interpolateTo ( new Vec ( canvasDimensions.x - cardSize.x, -cardCornerToCorner ) ),
+				new Vec ( 0, canvasDimensions.y + cardCornerToCorner - cardSize.y ).interpolateTo ( new Vec ( canvasDimensions.x - cardSize.x, canvasDimensions.y + cardCornerToCorner - cardSize.y ) ),
+			] : [
+				new Vec ( -cardCornerToCorner, 0 ).interpolateTo ( new Vec ( -cardCornerToCorner, canvasDimensions.y - cardSize.y ) ),
+				new Vec ( canvasDimensions.x + cardCornerToCorner - cardSize.x, 0 ).interpolateTo ( new Vec ( canvasDimensions.x + cardCornerToCorner - cardSize.x, canvasDimensions.y - cardSize.y ) )
+			];
+
+		/* Calculate hidden card positions */
+		return cells.map ( ( { x, y } ) =>
+		{
+			/* Calculate which edge the card should be hidden on */
+			const hideCardOnPositiveEdge = gridIsHorizontal ?
+				y > ( ( grid.y / 2 ) - 0.5 ) + ( 0.1 * ( -1 ) ** x ):
+				x > ( ( grid.x / 2 ) - 0.5 ) + ( 0.1 * ( -1 ) ** y );
+
+			/* Calculate the fraction along the edge that card should be */
+			const length = gridIsHorizontal ? grid.x : grid.y;
+			const hideCardAtFractionAlongEdge = length > 1 ? ( gridIsHorizontal ? x : y ) / ( length - 1 ) : 0.5;
+
+			/* Calculate jitter */
+			const rand = () => manager.random.signed ();
+			const positionJitter = new Vec ( this.hiddenPositionJitter * ( cardSize.x + cardSize.y ) * 0.5 * rand () )
+				.mult ( new Vec ( gridIsHorizontal ? 1 : 0, gridIsHorizontal ? 0 : 1 ) );
+			const rotationJitter = this.hiddenAngleJitter * rand ();
+
+			/* Set the card position */
+			return new AnimParams (
+				hiddenCardPositionInterpolators [ hideCardOnPositiveEdge ? 1 : 0 ] ( hideCardAtFractionAlongEdge )
+					.add ( positionJitter ),
+				cardSize,
+				rotationJitter );
+		} );
+	}
+}
+
+
+
+/**
+ * @class GridLayout
+ * @extends CardLayout
+ *
+ * @description Arrange the cards in centered rows below the title, choosing the widest grid which fits the screen.
+ */
+class GridLayout extends CardLayout
+{
+
+	/**
+	 * @param {GridManager} manager
+	 * @param {Vec} screenSize
+	 * @returns {Object}
+	 * @public
+	 * @override
+	 */
+	calculate ( manager, screenSize )
+	{
+		/* Calculate the grid and card sizes */
+		const count = manager.cards.size ();
+		const grid = this._calculateGrid ( manager, screenSize );
+		const { cardSize, cardSizeWithMargin, marginSize } = this._cardSize ( manager, screenSize );
+
+		/* Calculate the final canvas dimensions */
+		const canvasDimensions = new Vec (
+			screenSize.x,
+			screenSize.y * ( GridManager.titleHeightFrac + 2 * GridManager.titleMarginFrac + 2 * GridManager.cardOuterMarginFrac ) + cardSizeWithMargin.y * grid.y );
+
+		/* Place the title */
+		const { titleChoice, titleSize, titlePos } = this._placeTitle ( manager, screenSize );
+
+		/* Calculate the corner offset for cards in the grid */
+		const cornerOffset = new Vec (
+			( screenSize.x - ( grid.x * cardSizeWithMargin.x ) + marginSize.x ) / 2,
+			this._cardsTop ( screenSize, titleSize ) + marginSize.y / 2 );
+
+		/* Calculate the offset of bottom row cards */
+		const cardsOnBottomRow = count - ( grid.x * ( grid.y - 1 ) );
+		const bottomRowOffset = new Vec ( ( grid.x - cardsOnBottomRow ) * cardSizeWithMargin.x / 2, 0 );
+
+		/* Calculate the card positions */
+		const cells = d3.range ( count ).map ( i => new Vec ( i % grid.x, Math.floor ( i / grid.x ) ) );
+		const cardPositions = cells.map ( cell => new AnimParams (
+			cornerOffset.add ( cardSizeWithMargin.mult ( cell ) )
+				.add ( cell.y === grid.y - 1 ? bottomRowOffset : new Vec () ),
+			cardSize,
+			0 ) );
+
+		return {
+			grid: grid,
+			cardSize: cardSize,
+			canvasDimensions: canvasDimensions,
+			cardPositions: cardPositions,
+			hiddenCardPositions: this._hiddenPositions ( manager, grid, cells, cardSize, canvasDimensions ),
+			titleChoice: titleChoice,
+			titleSize: titleSize,
+			titlePos: titlePos,
+			scrollable: grid.y > GridManager.verticalCards,
+			snapPoints: null
+		};
+	}
+
+
+
+	/**
+	 * @param {GridManager} manager
+	 * @param {Vec} screenSize
+	 * @returns {Vec} The widest allowed grid which fits the screen.
+	 * @protected
+	 */
+	_calculateGrid ( manager, screenSize )
+	{
+		/* Get the ratio of the screen, excluding the title and margins */
+		const cardAreaRatio = ( screenSize.x / screenSize.y ) / ( 1 - GridManager.titleHeightFrac - 2 * GridManager.cardOuterMarginFrac - 2 * GridManager.titleMarginFrac );
+
+		/* Get the maximum number of horizontal cards */
+		const hCards = cardAreaRatio * GridManager.verticalCards / manager.cardRatioWithMargin;
+
+		/* Find the best option */
+		const count = manager.cards.size ();
+		for ( const widthOption of manager.gridWidthOptions )
+			if ( widthOption <= hCards )
+				return new Vec ( widthOption, Math.ceil ( count / widthOption ) );
+
+		/* Otherwise choose the minimum allowed grid width */
+		const minGridWidth = manager.gridWidthOptions [ manager.gridWidthOptions.length - 1 ];
+		return new Vec ( minGridWidth, Math.ceil ( count / minGridWidth ) );
+	}
+}
+
+
+
+/**
+ * @class ArcLayout
+ * @extends CardLayout
+ *
+ * @description Fan the cards out in an arc below the title, like a hand of cards, shrinking them until the hand fits the screen.
+ */
+class ArcLayout extends CardLayout
+{
+
+	/** @public {Number} The angle between the outermost cards, in degrees. */
+	spread;
+
+	/** @public {Number} The distance from the pivot to the center of each card, as a multiple of the card height. */
+	radius;
+
+
+
+	/**
+	 * @param {Number} [spread] The angle between the outermost cards, in degrees.
+	 * @param {Number} [radius] The distance from the pivot to the center of each card, as a multiple of the card height.
+	 */
+	constructor ( spread = 60, radius = 2.5 )
+	{
+		super ();
+		this.spread = spread;
+		this.radius = radius;
+	}
+
+
+
+	/**
+	 * @param {GridManager} manager
+	 * @param {Vec} screenSize
+	 * @returns {Object}
+	 * @public
+	 * @override
+	 */
+	calculate ( manager, screenSize )
+	{
+		/* Place the title, and find the angle of each card */
+		const count = manager.cards.size ();
+		const { titleChoice, titleSize, titlePos } = this._placeTitle ( manager, screenSize );
+		const angles = d3.range ( count ).map ( i => count > 1 ? this.spread * ( i / ( count - 1 ) - 0.5 ) : 0 );
+
+		/* Shrink the cards until the hand fits the width of the screen */
+		let { cardSize } = this._cardSize ( manager, screenSize );
+		const halfSpread = Vec.rad ( this.spread / 2 );
+		const handWidth = 2 * this.radius * cardSize.y * Math.sin ( halfSpread ) + Math.sqrt ( cardSize.x ** 2 + cardSize.y ** 2 );
+		cardSize = cardSize.mult ( Math.min ( 1, ( screenSize.x - 2 * GridManager.titleHorizontalMargin ) / handWidth ) );
+
+		/* Place the pivot so that the middle of the hand sits just below the title */
+		const radius = this.radius * cardSize.y;
+		const pivot = new Vec ( screenSize.x / 2, this._cardsTop ( screenSize, titleSize ) + cardSize.y / 2 + radius );
+
+		/* Rotate each card about the pivot */
+		const cardPositions = angles.map ( angle => new AnimParams (
+			pivot.add ( new Vec ( 0, -radius ).rotate ( Vec.rad ( angle ) ) ).sub ( cardSize.div ( 2 ) ),
+			cardSize,
+			angle ) );
+
+		/* Make the canvas tall enough for the outermost cards */
+		const handBottom = pivot.y - radius * Math.cos ( halfSpread ) + Math.sqrt ( cardSize.x ** 2 + cardSize.y ** 2 ) / 2;
+		const canvasDimensions = new Vec ( screenSize.x, Math.max ( screenSize.y, handBottom + screenSize.y * GridManager.cardOuterMarginFrac ) );
+
+		/* Hide the cards above and below the hand */
+		const grid = new Vec ( count, 1 );
+		const cells = d3.range ( count ).map ( i => new Vec ( i, 0 ) );
+
+		return {
+			grid: grid,
+			cardSize: cardSize,
+			canvasDimensions: canvasDimensions,
+			cardPositions: cardPositions,
+			hiddenCardPositions: this._hiddenPositions ( manager, grid, cells, cardSize, canvasDimensions ),
+			titleChoice: titleChoice,
+			titleSize: titleSize,
+			titlePos: titlePos,
+			scrollable: canvasDimensions.y > screenSize.y,
+			snapPoints: null
+		};
+	}
+}
+
+
+
+/**
+ * @class CarouselLayout
+ * @extends CardLayout
+ *
+ * @description Line the cards up in a single row below the title, as large as the screen allows,
+ * and scroll sideways between them with each card snapping to the center. Suited to phones.
+ */
+class CarouselLayout extends CardLayout
+{
+
+	/** @public {Number} The widest a card can be, as a fraction of the screen width, so that its neighbours peek in. */
+	maxWidthFrac;
+
+
+
+	/**
+	 * @param {Number} [maxWidthFrac] The widest a card can be, as a fraction of the screen width.
+	 */
+	constructor ( maxWidthFrac = 0.75 )
+	{
+		super ();
+		this.maxWidthFrac = maxWidthFrac;
+	}
+
+
+
+	/**
+	 * @param {GridManager} manager
+	 * @param {Vec} screenSize
+	 * @returns {Object}
+	 * @public
+	 * @override
+	 */
+	calculate ( manager, screenSize )
+	{
+		/* Place the title */
+		const count = manager.cards.size ();
+		const { titleChoice, titleSize, titlePos } = this._placeTitle ( manager, screenSize );
+		const top = this._cardsTop ( screenSize, titleSize );
+
+		/* Fill the space below the title, keeping the shape of the cards */
+		const base = this._cardSize ( manager, screenSize );
+		const ratio = base.cardSize.x / base.cardSize.y;
+		const margin = screenSize.y * GridManager.cardOuterMarginFrac;
+		const height = Math.min ( screenSize.y - top - margin, screenSize.x * this.maxWidthFrac / ratio );
+		const cardSize = new Vec ( height * ratio, height );
+		const gap = base.marginSize.x;
+
+		/* Center the first card, and line the rest up after it */
+		const left = ( screenSize.x - cardSize.x ) / 2;
+		const cardPositions = d3.range ( count ).map ( i => new AnimParams ( new Vec ( left + i * ( cardSize.x + gap ), top ), cardSize, 0 ) );
+		const snapPoints = cardPositions.map ( params => params.position.x + cardSize.x / 2 );
+
+		/* Hide the cards above and below the row */
+		const grid = new Vec ( count, 1 );
+		const cells = d3.range ( count ).map ( i => new Vec ( i, 0 ) );
+		const canvasDimensions = new Vec ( screenSize.x, screenSize.y );
+
+		return {
+			grid: grid,
+			cardSize: cardSize,
+			canvasDimensions: canvasDimensions,
+			cardPositions: cardPositions,
+			hiddenCardPositions: this._hiddenPositions ( manager, grid, cells, cardSize, canvasDimensions ),
+			titleChoice: titleChoice,
+			titleSize: titleSize,
+			titlePos: titlePos,
+			scrollable: false,
+			snapPoints: snapPoints
+		};
+	}
+}
+
+
+
+/**
+ * @class MasonryLayout
+ * @extends GridLayout
+ *
+ * @description Pack cards of mixed sizes into columns below the title, placing each card where it can sit highest.
+ * The number of columns is chosen as for the grid, and each card spans the number of columns given by its data-span attribute, which defaults to one.
+ */
+class MasonryLayout extends GridLayout
+{
+
+	/**
+	 * @param {GridManager} manager
+	 * @param {Vec} screenSize
+	 * @returns {Object}
+	 * @public
+	 * @override
+	 */
+	calculate ( manager, screenSize )
+	{
+		/* Find the number of columns and the size of a single column card */
+		const columns = this._calculateGrid ( manager, screenSize ).x;
+		const { cardSize, cardSizeWithMargin, marginSize } = this._cardSize ( manager, screenSize );
+		const ratio = cardSize.x / cardSize.y;
+
+		/* Place the title */
+		const { titleChoice, titleSize, titlePos } = this._placeTitle ( manager, screenSize );
+		const left = ( screenSize.x - columns * cardSizeWithMargin.x + marginSize.x ) / 2;
+		const heights = new Array ( columns ).fill ( this._cardsTop ( screenSize, titleSize ) + marginSize.y / 2 );
+
+		/* Place each card at the top of the columns where it sits highest */
+		const cells = [];
+		const cardPositions = manager.cards.nodes ().map ( card =>
+		{
+			/* Find the size of the card */
+			const span = Math.max ( 1, Math.min ( columns, parseInt ( card.dataset.span ?? 1 ) || 1 ) );
+			const width = span * cardSizeWithMargin.x - marginSize.x;
+			const size = new Vec ( width, width / ratio );
+
+			/* Find the columns where the card sits highest */
+			let column = 0;
+			for ( let c = 1; c + span <= columns; ++c )
+				if ( Math.max ( ...heights.slice ( c, c + span ) ) < Math.max ( ...heights.slice ( column, column + span ) ) )
+					column = c;
+			const top = Math.max ( ...heights.slice ( column, column + span ) );
+
+			/* Place the card, and raise the columns */
+			cells.push ( new Vec ( column, cells.filter ( cell => cell.x === column ).length ) );
+			heights.fill ( top + size.y + marginSize.y, column, column + span );
+			return new AnimParams ( new Vec ( left + column * cardSizeWithMargin.x, top ), size, 0 );
+		} );
+
+		/* Make the canvas tall enough for the longest column */
+		const grid = new Vec ( columns, Math.max ( 1, ...cells.map ( cell => cell.y + 1 ) ) );
+		const canvasDimensions = new Vec ( screenSize.x, Math.max ( ...heights ) - marginSize.y / 2 + screenSize.y * GridManager.cardOuterMarginFrac );
+
+		return {
+			grid: grid,
+			cardSize: cardSize,
+			canvasDimensions: canvasDimensions,
+			cardPositions: cardPositions,
+			hiddenCardPositions: this._hiddenPositions ( manager, grid, cells, cardSize, canvasDimensions ),
+			titleChoice: titleChoice,
+			titleSize: titleSize,
+			titlePos: titlePos,
+			scrollable: canvasDimensions.y > screenSize.y,
+			snapPoints: null
+		};
+	}
+}
@@ -0,0 +1,199 @@
+/**
+ * @class MotionPolicy
+ *
+ * @description Decides whether motion should be reduced. By default this follows the prefers-reduced-motion media query as it changes,
+ * but the user can override it either way. When motion is reduced, animations move instantly or cross-fade,
+ * but still take place in the same order, so that callbacks and state changes are unaffected.
+ */
+class MotionPolicy
+{
+
+	/**
+	 * @public {Readonly<{FULL: string, REDUCED: string}>}
+	 */
+	static modes = Object.freeze ( {
+		FULL : "FULL",
+		REDUCED : "REDUCED"
+	} );
+
+	/** @public {String} The media query which asks for reduced motion. */
+	static mediaQuery = "(prefers-reduced-motion: reduce)";
+
+	/** @public {String} The URL query parameter from which an override is read, as "full" or "reduced". */
+	static motionParameter = "motion";
+
+	/** @public {String} The local storage key under which the user's override is saved. */
+	static storageKey = "motion";
+
+	/** @public {String} The class set on the root element while motion is reduced, for the stylesheets. */
+	static reducedClass = "reduced-motion";
+
+	/** @public {Number} The longest a cross-fade takes, in ms. Animations which move are shortened to this when motion is reduced. */
+	static crossFadeDuration = 200;
+
+	/** @public {MotionPolicy} The policy which every animated component follows. */
+	static shared = MotionPolicy.fromUrl ();
+
+
+
+	/** @private {MediaQueryList|null} */
+	_query;
+
+	/** @private {String|null} One of MotionPolicy.modes, or null to follow the media query. */
+	_override;
+
+	/** @private {Boolean} Whether motion was reduced when listeners were last told. */
+	_reduced = false;
+
+	/** @private {Set<function(Boolean):void>} */
+	_listeners = new Set ();
+
+
+
+	/**
+	 * @param {String|null} [override = null] One of MotionPolicy.modes, or null to follow the media query.
+	 */
+	constructor ( override = null )
+	{
+		/* Follow the media query as it changes */
+		this._query = typeof window.matchMedia === "function" ? window.matchMedia ( MotionPolicy.mediaQuery ) : null;
+		this._query?.addEventListener ( "change", () => this._update () );
+
+		/* Apply the override */
+		this._override = MotionPolicy._checkMode ( override );
+		this._update ();
+	}
+
+
+
+	/**
+	 * @returns {Boolean} Whether motion should be reduced.
+	 * @public
+	 */
+	get reduced ()
+	{
+		if ( this._override )
+			return this._override === MotionPolicy.modes.REDUCED;
+		return !!this._query?.matches;
+	}
+
+	/**
+	 * @returns {String|null} One of MotionPolicy.modes, or null if the media query is followed.
+	 * @public
+	 */
+	get override ()
+	{
+		return this._override;
+	}
+
+	/**
+	 * @param {String|null} mode One of MotionPolicy.modes, or null to follow the media query. This is remembered for future visits.
+	 * @public
+	 */
+	set override ( mode )
+	{
+		this._override = MotionPolicy._checkMode ( mode );
+
+		/* Remember the choice, if storage is available. Without it, the choice only lasts for this visit. */
+		try
+		{
+			if ( mode )
+				window.localStorage.setItem ( MotionPolicy.storageKey, mode );
+			else
+				window.localStorage.removeItem ( MotionPolicy.storageKey );
+		}
+		catch
+		{
+		}
+
+		this._update ();
+	}
+
+
+
+	/**
+	 * @param {function(Boolean):void} listener Called with whether motion should be reduced, whenever that changes.
+	 * @public
+	 */
+	addListener ( listener )
+	{
+		this._listeners.add ( listener );
+	}
+
+	/**
+	 * @param {function(Boolean):void} listener
+	 * @public
+	 */
+	removeListener ( listener )
+	{
+		this._listeners.delete ( listener );
+	}
+
+
+
+	/**
+	 * @param {Number} duration The duration of an animation which moves, in ms.
+	 * @returns {Number} The duration it should take, which is no longer than a cross-fade when motion is reduced.
+	 * @public
+	 */
+	duration ( duration )
+	{
+		return this.reduced ? Math.min ( duration, MotionPolicy.crossFadeDuration ) : duration;
+	}
+
+
+
+	/**
+	 * @description Create a policy overridden by the URL's query string, or by the user's saved choice if the URL has none.
+	 *
+	 * @param {String} [url = window.location.href]
+	 * @returns {MotionPolicy}
+	 */
+	static fromUrl ( url = window.location.href )
+	{
+		/* Read the saved choice, if storage is available */
+		let saved = null;
+		try
+		{
+			saved = window.localStorage.getItem ( MotionPolicy.storageKey );
+		}
+		catch
+		{
+		}
+
+		/* Prefer the URL, ignoring anything unrecognised */
+		const mode = ( new URL ( url ).searchParams.get ( MotionPolicy.motionParameter ) ?? saved )?.toUpperCase ();
+		return new MotionPolicy ( Object.values ( MotionPolicy.modes ).includes ( mode ) ? mode : null );
+	}
+
+
+
+	/**
+	 * @param {String|null} mode
+	 * @returns {String|null} The same mode.
+	 * @private
+	 */
+	static _checkMode ( mode )
+	{
+		if ( mode !== null && !Object.values ( MotionPolicy.modes ).includes ( mode ) )
+			throw new Error ( "MotionPolicy: Unknown mode '" + mode + "'" );
+		return mode;
+	}
+
+
+
+	/**
+	 * @description Update the root element's class, and tell the listeners if whether motion is reduced has changed.
+	 * @private
+	 */
+	_update ()
+	{
+		const reduced = this.reduced;
+		document.documentElement.classList.toggle ( MotionPolicy.reducedClass, reduced );
+		if ( reduced === this._reduced )
+			return;
+		this._reduced = reduced;
+		for ( const listener of this._listeners )
+			listener ( reduced );
+	}
+}
@@ -1,6 +1,6 @@
 
 
-class PopupManager
+class PopupManager extends EventEmitter
 {
 
 	/**
@@ -11,9 +11,23 @@ class PopupManager
 		OPEN : "OPEN"
 	} );
 
+	/**
+	 * @public {Readonly<{POPUP_OPEN: string, POPUP_CLOSE: string}>}
+	 *
+	 * popupopen: The popup starts opening, or its contents are replaced while it is open. The detail has the id of the contents.
+	 * popupclose: The popup starts closing, or its contents are replaced while it is open. The detail has the id of the contents.
+	 */
+	static events = Object.freeze ( {
+		POPUP_OPEN : "popupopen",
+		POPUP_CLOSE : "popupclose"
+	} );
+
 	/** @public {Number} */
 	static animationDuration = 500;
 
+	/** @public {Spring} The spring which the popup slides with, which also decides how long sliding takes. */
+	static slideSpring = new Spring ( 300, 30 );
+
 	/** @public {Number} */
 	static backgroundBlur = 4;
 
@@ -49,8 +63,14 @@ class PopupManager
 	/** @private {HTMLElement} The next contents to show on the popup */
 	_nextContents = null;
 
-	/** @private {Boolean} */
-	_animationBusy = false;
+	/** @private {String|null} The id of the next contents */
+	_nextId = null;
+
+	/** @private {String|null} The id of the contents on the popup */
+	_currentId = null;
+
+	/** @private {AnimHandle|null} Waits for the end of the current transition */
+	_transition = null;
 
 	/** @private {HTMLElement} */
 	_focusBeforeOpening = null;
@@ -65,6 +85,8 @@ class PopupManager
 	 */
 	constructor ( canvas, popup, popupClose, gridManager )
 	{
+		super ();
+
 		/* Save the parameters */
 		this._canvas = canvas;
 		this._popup = popup;
@@ -74,16 +96,15 @@ class PopupManager
 		/* Set the state to closed */
 		this._currentState = this._nextState = PopupManager.states.CLOSED;
 
-		/* Create the overscroll detector, only if we are on mobile */
-		if ( GridManager.mobile )
-			this._overscrollDetector = new OverscrollDetector (
-				this._canvas,
-				overscroll =>
-				{
-					if ( this._currentState === PopupManager.states.OPEN && overscroll.y < 0 )
-						this.closePopup ();
-				},
-				new Vec ( Infinity, PopupManager.overscrollCloseAmount ) );
+		/* Create the overscroll detector, which only closes the popup with the overscrollClose capability */
+		this._overscrollDetector = new OverscrollDetector (
+			this._canvas,
+			overscroll =>
+			{
+				if ( Capabilities.shared.has ( "overscrollClose" ) && this._currentState === PopupManager.states.OPEN && overscroll.y < 0 )
+					this.closePopup ();
+			},
+			new Vec ( Infinity, PopupManager.overscrollCloseAmount ) );
 
 		/* Set the handler for the close button */
 		this._popupClose.on ( "click", () => this.closePopup () );
@@ -98,11 +119,13 @@ class PopupManager
 
 	/**
 	 * @param {HTMLElement} contents
+	 * @param {String|null} [id = null] A name for the contents, such as the id of their template, which is given to listeners.
 	 */
-	openPopup ( contents )
+	openPopup ( contents, id = null )
 	{
 		/* Set the next state */
 		this._nextContents = contents;
+		this._nextId = id;
 		this._nextState = PopupManager.states.OPEN;
 
 		/* Transition */
@@ -124,17 +147,20 @@ class PopupManager
 
 	/**
 	 * @description Transition to the next popup state.
+	 * A transition which is still in progress is reversed from wherever it has got to.
+	 * @returns {Promise<void>} Resolves once the transition has ended, or another transition has taken over.
 	 * @private
 	 */
-	_transitionPopup ()
+	async _transitionPopup ()
 	{
-		/* Don't transition of we are busy animating */
-		if ( this._animationBusy )
-			return;
-
 		/* Set new contents */
 		if ( this._nextContents )
 		{
+			/* Contents which are replaced while the popup is open are closed and opened again, as far as any listeners are concerned */
+			const replaced = this._currentState === PopupManager.states.OPEN && this._nextState === PopupManager.states.OPEN;
+			if ( replaced )
+				this._emit ( PopupManager.events.POPUP_CLOSE, { id : this._currentId } );
+
 			/* Clear the old contents */
 			while ( this._popup.node ().firstChild )
 				this._popup.node ().removeChild ( this._popup.node ().lastChild );
@@ -144,23 +170,47 @@ class PopupManager
 
 			/* Set there to be no next contents */
 			this._nextContents = null;
+			this._currentId = this._nextId;
+			if ( replaced )
+				this._emit ( PopupManager.events.POPUP_OPEN, { id : this._currentId } );
 		}
 
 		/* Animate */
 		if ( this._nextState !== this._currentState )
 		{
+			/* When motion is reduced, the popup fades rather than slides, and everything else changes instantly */
+			const reduced = MotionPolicy.shared.reduced;
+			const animationDuration = reduced ? 0 : PopupManager.animationDuration;
+
 			/* Actually animate */
-			setTimeout ( () => this._canvas
-				.style ( "visibility", "visible" )
-				.style ( "transition", "top" )
-				.style ( "transition-duration", PopupManager.animationDuration + "ms" )
-				.style ( "top", this._nextState === PopupManager.states.OPEN ? "0" : "100%" ) )
+			if ( reduced )
+			{
+				/* Start a hidden popup transparent, so that it fades in */
+				if ( this._canvas.style ( "visibility" ) === "hidden" )
+					this._canvas.style ( "transition", "none" )
+						.style ( "opacity", "0" );
+				setTimeout ( () => this._canvas
+					.style ( "visibility", "visible" )
+					.style ( "transition", "opacity" )
+					.style ( "transition-duration", MotionPolicy.crossFadeDuration + "ms" )
+					.style ( "transition-timing-function", "linear" )
+					.style ( "top", "0" )
+					.style ( "opacity", this._nextState === PopupManager.states.OPEN ? "1" : "0" ) );
+			}
+			else
+				setTimeout ( () => this._canvas
+					.style ( "visibility", "visible" )
+					.style ( "opacity", null )
+					.style ( "transition", "top" )
+					.style ( "transition-duration", PopupManager.slideSpring.duration + "ms" )
+					.style ( "transition-timing-function", PopupManager.slideSpring )
+					.style ( "top", this._nextState === PopupManager.states.OPEN ? "0" : "100%" ) )
 
 			/* Actually animate */
 			setTimeout ( () => this._popupClose
 				.style ( "transition", "transform" )
-				.style ( "transition-duration", PopupManager.animationDuration + "ms" )
-				.style ( "transition-delay", ( this._nextState === PopupManager.states.OPEN ? ( PopupManager.animationDuration / 2 ) : 0 ) + "ms" )
+				.style ( "transition-duration", animationDuration + "ms" )
+				.style ( "transition-delay", ( this._nextState === PopupManager.states.OPEN ? ( animationDuration / 2 ) : 0 ) + "ms" )
 				.style ( "transform", this._nextState === PopupManager.states.OPEN ? "translate(0,-100%)" : "translate(0,0)" ) )
 
 			/* Various operations depending on whether we are opening or closing */
@@ -172,7 +222,7 @@ class PopupManager
 				this._canvas.style ( "overflow", "hidden" )
 					.property ( "inert", true );
 				/* Make the grid canvas non-inert */
-				this._gridManager._canvas.property ( "inert", false );
+				this._gridManager.canvas.property ( "inert", false );
 				/* Restore the focus */
 				setTimeout ( () =>
 				{
@@ -192,7 +242,7 @@ class PopupManager
 				/* Make the canvas non-inert */
 				this._canvas.property ( "inert", false );
 				/* Make the  grid canvas inert */
-				this._gridManager._canvas.property ( "inert", true );
+				this._gridManager.canvas.property ( "inert", true );
 				/* Set the close button to be focused */
 				setTimeout ( () => this._popupClose.node ().focus () );
 			}
@@ -201,35 +251,37 @@ class PopupManager
 			if ( this._canvas.node ().scrollTop > 0 )
 				this._canvas.node ().scrollTo ( 0, 0 );
 
-			/* Blur the canvas */
-			setTimeout ( () => this._gridManager._canvas
+			/* Blur the canvas, unless motion is reduced */
+			setTimeout ( () => this._gridManager.canvas
 				.style ( "transition", "filter" )
-				.style ( "transition-duration", PopupManager.animationDuration + "ms" )
-				.style ( "filter", "blur(" + ( this._nextState === PopupManager.states.CLOSED ? 0 : PopupManager.backgroundBlur ) + "px)" ) );
-
-			/* Notify that an animation is occurring */
-			this._animationBusy = true;
+				.style ( "transition-duration", animationDuration + "ms" )
+				.style ( "filter", "blur(" + ( this._nextState === PopupManager.states.CLOSED || reduced ? 0 : PopupManager.backgroundBlur ) + "px)" ) );
 
-			/* Set the state */
+			/* Set the state, and tell any listeners */
 			this._currentState = this._nextState;
-
-			/* Set a timeout for the end of the animation */
-			setTimeout ( () =>
+			this._emit ( this._currentState === PopupManager.states.OPEN ? PopupManager.events.POPUP_OPEN : PopupManager.events.POPUP_CLOSE,
+				{ id : this._currentId } );
+
+			/* Wait for the end of the animation, unless another transition takes over */
+			this._transition?.cancel ();
+			const transitionDuration = reduced ? MotionPolicy.crossFadeDuration : Math.max ( PopupManager.animationDuration, PopupManager.slideSpring.duration );
+			const transition = this._transition = CardAnim.Delay ( this._canvas, "linear", transitionDuration ).animate ();
+			if ( !await transition.finished )
+				return;
+			this._transition = null;
+
+			/* Possibly hide the popup/enable scrolling */
+			if ( this._currentState === PopupManager.states.CLOSED )
 			{
-				/* Possibly hide the popup/enable scrolling */
-				if ( this._currentState === PopupManager.states.CLOSED )
-				{
-					this._canvas.style ( "visibility", "hidden" );
-					document.scrollingElement.style.overflowY = "auto";
-				} else
-				{
-					this._canvas.style ( "overflow", "auto" );
-				}
-
-				/* Check we do not need to transition again */
-				this._animationBusy = false;
-				this._transitionPopup ();
-			}, PopupManager.animationDuration );
+				/* A popup which faded out is moved back down, so that it can slide in next time */
+				this._canvas.style ( "visibility", "hidden" )
+					.style ( "transition", "none" )
+					.style ( "top", "100%" );
+				document.scrollingElement.style.overflowY = "auto";
+			} else
+			{
+				this._canvas.style ( "overflow", "auto" );
+			}
 		}
 	}
 
@@ -0,0 +1,180 @@
+/**
+ * @class Random
+ *
+ * @description A small seedable pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, so layouts can be reproduced and shared.
+ */
+class Random
+{
+
+	/** @public {String} The URL query parameter from which a seed is read. */
+	static seedParameter = "seed";
+
+	/** @public {Random} The generator shared by default between the Dealer and the GridManager. */
+	static shared = Random.fromUrl ();
+
+
+
+	/** @public {Number} The seed which this generator was created with. */
+	seed;
+
+	/** @private {Number} The internal 32 bit state. */
+	_state;
+
+
+
+	/**
+	 * @param {Number|String} [seed] The seed. Strings are hashed to a number. A random seed is generated if omitted.
+	 */
+	constructor ( seed = Random.generateSeed () )
+	{
+		this.seed = Random.hashSeed ( seed );
+		this._state = this.seed;
+	}
+
+
+
+	/**
+	 * @returns {Number} A number in the range [0, 1), like Math.random ().
+	 * @public
+	 */
+	next ()
+	{
+		this._state = ( this._state + 0x6D2B79F5 ) >>> 0;
+		let t = this._state;
+		t = Math.imul ( t ^ ( t >>> 15 ), t | 1 );
+		t ^= t + Math.imul ( t ^ ( t >>> 7 ), t | 61 );
+		return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+	}
+
+
+
+	/**
+	 * @returns {Number} A number in the range [-1, 1).
+	 * @public
+	 */
+	signed ()
+	{
+		return this.next () * 2 - 1;
+	}
+
+
+
+	/**
+	 * @param {Number} n
+	 * @returns {Number} An integer in the range [0, n).
+	 * @public
+	 */
+	int ( n )
+	{
+		return Math.floor ( this.next () * n );
+	}
+
+
+
+	/**
+	 * @description Advance the generator, as if next had been called some number of times.
+	 *
+	 * @param {Number} count The number of draws to skip.
+	 * @returns {Random} This generator.
+	 * @public
+	 */
+	skip ( count )
+	{
+		this._state = ( this._state + Math.imul ( 0x6D2B79F5, count ) ) >>> 0;
+		return this;
+	}
+
+
+
+	/**
+	 * @returns {Random} A new generator in the same state as this one, which will produce the same sequence.
+	 * @public
+	 */
+	clone ()
+	{
+		const random = new Random ( this.seed );
+		random._state = this._state;
+		return random;
+	}
+
+
+
+	/**
+	 * @description Shuffle the first count elements of an array in place, using a Fisher-Yates shuffle.
+	 *
+	 * @param {Array} array
+	 * @param {Number} [count = array.length] The number of leading elements to shuffle.
+	 * @returns {Array} The same array.
+	 * @public
+	 */
+	shuffle ( array, count = array.length )
+	{
+		for ( let i = count - 1; i > 0; i-- )
+		{
+			const j = this.int ( i + 1 );
+			[ array [ i ], array [ j ] ] = [ array [ j ], array [ i ] ];
+		}
+		return array;
+	}
+
+
+
+	/**
+	 * @param {String} [url = window.location.href]
+	 * @returns {String} The URL with this generator's seed set as a query parameter, so that the layout can be shared.
+	 * @public
+	 */
+	toUrl ( url = window.location.href )
+	{
+		const result = new URL ( url );
+		result.searchParams.set ( Random.seedParameter, String ( this.seed ) );
+		return result.href;
+	}
+
+
+
+	/**
+	 * @description Create a generator seeded from the URL's query string, or from a fallback seed if the URL has none.
+	 *
+	 * @param {Number|String|null} [fallbackSeed = null] The seed to use if the URL has none. A random seed is generated if null.
+	 * @param {String} [url = window.location.href]
+	 * @returns {Random}
+	 */
+	static fromUrl ( fallbackSeed = null, url = window.location.href )
+	{
+		const seed = new URL ( url ).searchParams.get ( Random.seedParameter );
+		return new Random ( seed ?? fallbackSeed ?? Random.generateSeed () );
+	}
+
+
+
+	/**
+	 * @returns {Number} A new, unpredictable 32 bit seed.
+	 */
+	static generateSeed ()
+	{
+		return Math.floor ( Math.random () * 4294967296 ) >>> 0;
+	}
+
+
+
+	/**
+	 * @description Turn a seed into an unsigned 32 bit integer. Numeric strings are parsed, and any other string is hashed (FNV-1a).
+	 *
+	 * @param {Number|String} seed
+	 * @returns {Number}
+	 */
+	static hashSeed ( seed )
+	{
+		/* Numbers and numeric strings are used directly */
+		if ( typeof seed === "number" || /^\d+$/.test ( seed ) )
+			return Number ( seed ) >>> 0;
+
+		/* Hash any other string */
+		let hash = 0x811C9DC5;
+		for ( let i = 0; i < seed.length; ++i )
+			hash = Math.imul ( hash ^ seed.charCodeAt ( i ), 0x01000193 );
+		return hash >>> 0;
+	}
+}
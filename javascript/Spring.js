@@ -0,0 +1,179 @@
+/**
+ * @class Spring
+ *
+ * @description An easing which follows a mass on a damped spring, as it is pulled from 0 to 1.
+ * A spring can be used anywhere an ease string is accepted, since it converts to a CSS linear() easing,
+ * or to a fallback ease where linear() is not supported. It should be given its settle duration.
+ */
+class Spring
+{
+
+	/** @public {Boolean} Whether CSS supports linear() easings. */
+	static linearSupported = typeof CSS !== "undefined" && CSS.supports ( "transition-timing-function", "linear(0, 1)" );
+
+	/** @public {Number} The number of points in a linear() easing. */
+	static linearPoints = 40;
+
+	/** @public {Number} The longest a spring can take to settle, in ms. */
+	static maxDuration = 5000;
+
+	/** @public {Number} The time step used to find when a spring settles, in ms. */
+	static settleStep = 1;
+
+
+
+	/** @public {Number} */
+	stiffness;
+
+	/** @public {Number} */
+	damping;
+
+	/** @public {Number} */
+	mass;
+
+	/** @public {Number} The initial velocity, in distances per second. */
+	velocity;
+
+	/** @public {Number} The distance from the end within which the spring counts as settled. */
+	restDistance;
+
+	/** @public {String} The ease to use where linear() is not supported. */
+	fallback;
+
+	/** @public {Number} The time the spring takes to settle, in ms. */
+	duration;
+
+
+
+	/**
+	 * @param {Number} [stiffness]
+	 * @param {Number} [damping]
+	 * @param {Number} [mass]
+	 * @param {Number} [velocity] The initial velocity, in distances per second.
+	 * @param {Number} [restDistance] The distance from the end within which the spring counts as settled.
+	 * @param {String} [fallback] The ease to use where linear() is not supported.
+	 */
+	constructor ( stiffness = 170, damping = 26, mass = 1, velocity = 0, restDistance = 0.001, fallback = "ease-out" )
+	{
+		this.stiffness = stiffness;
+		this.damping = damping;
+		this.mass = mass;
+		this.velocity = velocity;
+		this.restDistance = restDistance;
+		this.fallback = fallback;
+		this.duration = this._findDuration ();
+		Object.freeze ( this );
+	}
+
+
+
+	/**
+	 * @param {Number} time In ms.
+	 * @returns {Number} The position of the spring at the time, which starts at 0 and settles at 1.
+	 * @public
+	 */
+	positionAt ( time )
+	{
+		/* Work in seconds, with the natural frequency and damping ratio */
+		const t = time / 1000;
+		const w0 = Math.sqrt ( this.stiffness / this.mass );
+		const zeta = this.damping / ( 2 * Math.sqrt ( this.stiffness * this.mass ) );
+
+		/* Find the displacement from the end, which starts at -1 */
+		let displacement;
+		if ( zeta < 1 )
+		{
+			/* Underdamped, so the spring oscillates about the end */
+			const wd = w0 * Math.sqrt ( 1 - zeta ** 2 );
+			displacement = Math.exp ( -zeta * w0 * t ) * ( -Math.cos ( wd * t ) + ( this.velocity - zeta * w0 ) / wd * Math.sin ( wd * t ) );
+		}
+		else if ( zeta === 1 )
+		{
+			/* Critically damped */
+			displacement = Math.exp ( -w0 * t ) * ( -1 + ( this.velocity - w0 ) * t );
+		}
+		else
+		{
+			/* Overdamped, so the spring creeps towards the end */
+			const root = w0 * Math.sqrt ( zeta ** 2 - 1 );
+			const r1 = -zeta * w0 + root, r2 = -zeta * w0 - root;
+			const c2 = ( this.velocity + r1 ) / ( r2 - r1 );
+			displacement = ( -1 - c2 ) * Math.exp ( r1 * t ) + c2 * Math.exp ( r2 * t );
+		}
+		return 1 + displacement;
+	}
+
+
+
+	/**
+	 * @param {Number} [points = Spring.linearPoints]
+	 * @returns {String} A CSS linear() easing which follows the spring over its duration.
+	 * @public
+	 */
+	toLinear ( points = Spring.linearPoints )
+	{
+		const values = this.sample ( points ).map ( x => +x.toFixed ( 4 ) );
+		return "linear(" + values.join ( ", " ) + ")";
+	}
+
+
+
+	/**
+	 * @param {Number} count The number of samples, which must be at least 2.
+	 * @returns {Number[]} Evenly spaced positions of the spring over its duration, from exactly 0 to exactly 1.
+	 * @public
+	 */
+	sample ( count )
+	{
+		const samples = new Array ( count );
+		for ( let i = 0; i < count; ++i )
+			samples [ i ] = this.positionAt ( i / ( count - 1 ) * this.duration );
+		samples [ 0 ] = 0;
+		samples [ count - 1 ] = 1;
+		return samples;
+	}
+
+
+
+	/**
+	 * @description Create keyframes which follow the spring, for when linear() easings cannot be used.
+	 * They should be animated with a linear ease over the spring's duration.
+	 *
+	 * @param {AnimParams} from Complete start parameters.
+	 * @param {AnimParams} to Complete end parameters.
+	 * @param {Number} [count = Spring.linearPoints] The number of keyframes.
+	 * @returns {AnimKeyframes}
+	 * @public
+	 */
+	keyframes ( from, to, count = Spring.linearPoints )
+	{
+		const samples = this.sample ( count + 1 ).slice ( 1 );
+		return new AnimKeyframes ( samples.map ( x => AnimParams.interpolate ( from, to, x ) ) );
+	}
+
+
+
+	/**
+	 * @returns {String} The easing, for use wherever an ease string is accepted.
+	 * @public
+	 */
+	toString ()
+	{
+		return Spring.linearSupported ? this.toLinear () : this.fallback;
+	}
+
+
+
+	/**
+	 * @returns {Number} The time after which the spring stays within its rest distance of the end, in ms.
+	 * @private
+	 */
+	_findDuration ()
+	{
+		let settled = 0;
+		for ( let time = 0; time <= Spring.maxDuration; time += Spring.settleStep )
+			if ( Math.abs ( 1 - this.positionAt ( time ) ) > this.restDistance )
+				settled = time + Spring.settleStep;
+		return Math.min ( settled, Spring.maxDuration );
+	}
+}
@@ -0,0 +1,151 @@
+/**
+ * @class Stagger
+ *
+ * @description Staggers the start of each element's animation, in an order given by a comparator.
+ * Elements which the comparator finds equal start together, so that whole rows or columns can move as a wave.
+ */
+class Stagger
+{
+
+	/** @public {Number} The delay between each element and the next, in ms. */
+	delay;
+
+	/** @public {function(Object, Object):Number} Compares two items, each with an index, element and center, to order them. */
+	order;
+
+	/** @public {Number|null} The longest the whole stagger can take, in ms. The delay is shortened to fit. */
+	maxDuration;
+
+
+
+	/**
+	 * @param {Number} delay The delay between each element and the next, in ms.
+	 * @param {function(Object, Object):Number} [order = Stagger.index ()] Compares two items, each with an index, element and center, to order them.
+	 * @param {Number|null} [maxDuration = null] The longest the whole stagger can take, in ms.
+	 */
+	constructor ( delay, order = Stagger.index (), maxDuration = null )
+	{
+		this.delay = delay;
+		this.order = order;
+		this.maxDuration = maxDuration;
+		Object.freeze ( this );
+	}
+
+
+
+	/**
+	 * @param {Number|Stagger} stagger A stagger, or a delay to stagger elements by in order.
+	 * @returns {Stagger}
+	 * @public
+	 */
+	static from ( stagger )
+	{
+		return stagger instanceof Stagger ? stagger : new Stagger ( stagger );
+	}
+
+
+
+	/**
+	 * @description Find the delay before each element starts.
+	 *
+	 * @param {Object} selection A D3 selection of the elements.
+	 * @param {Vec[]|null} [centers = null] The center of each element to order by. Defaults to the centers they are currently animated to.
+	 * @returns {Number[]} The delay for each element, in the order of the selection.
+	 * @public
+	 */
+	delays ( selection, centers = null )
+	{
+		/* Describe each element */
+		const items = selection.nodes ().map ( ( element, i ) =>
+		{
+			const params = CardAnim._currentParams ( element );
+			return {
+				index : i,
+				element : element,
+				center : centers ? centers [ i ] : params.position.add ( params.size ? params.size.div ( 2 ) : new Vec ( 0 ) )
+			};
+		} );
+
+		/* Sort the elements, and give equal elements the same rank */
+		const sorted = items.slice ().sort ( this.order );
+		const ranks = new Array ( items.length );
+		let rank = 0;
+		sorted.forEach ( ( item, i ) =>
+		{
+			if ( i > 0 && this.order ( sorted [ i - 1 ], item ) !== 0 )
+				++rank;
+			ranks [ item.index ] = rank;
+		} );
+
+		/* Shorten the delay to fit within the maximum duration */
+		const step = this.maxDuration !== null && rank > 0 ? Math.min ( this.delay, this.maxDuration / rank ) : this.delay;
+		return ranks.map ( r => r * step );
+	}
+
+
+
+	/**
+	 * @returns {function(Object, Object):Number} An order which follows the selection.
+	 * @public
+	 */
+	static index ()
+	{
+		return ( a, b ) => a.index - b.index;
+	}
+
+	/**
+	 * @returns {function(Object, Object):Number} An order which is the reverse of the selection.
+	 * @public
+	 */
+	static reverse ()
+	{
+		return ( a, b ) => b.index - a.index;
+	}
+
+	/**
+	 * @param {Random} [random = Random.shared] The random number generator to shuffle with.
+	 * @returns {function(Object, Object):Number} An order which is shuffled, and is the same each time it is used.
+	 * @public
+	 */
+	static random ( random = Random.shared )
+	{
+		const keys = new Map ();
+		const key = item =>
+		{
+			if ( !keys.has ( item.index ) )
+				keys.set ( item.index, random.next () );
+			return keys.get ( item.index );
+		};
+		return ( a, b ) => key ( a ) - key ( b );
+	}
+
+	/**
+	 * @param {Vec} point
+	 * @returns {function(Object, Object):Number} An order which ripples outwards from a point.
+	 * @public
+	 */
+	static distance ( point )
+	{
+		return ( a, b ) => a.center.distanceTo ( point ) - b.center.distanceTo ( point );
+	}
+
+	/**
+	 * @param {Boolean} [reverse = false] Whether to go from the bottom row upwards.
+	 * @returns {function(Object, Object):Number} An order which moves down the rows, with each row moving together.
+	 * @public
+	 */
+	static rows ( reverse = false )
+	{
+		return ( a, b ) => ( Math.round ( a.center.y ) - Math.round ( b.center.y ) ) * ( reverse ? -1 : 1 );
+	}
+
+	/**
+	 * @param {Boolean} [reverse = false] Whether to go from the right column leftwards.
+	 * @returns {function(Object, Object):Number} An order which moves across the columns, with each column moving together.
+	 * @public
+	 */
+	static columns ( reverse = false )
+	{
+		return ( a, b ) => ( Math.round ( a.center.x ) - Math.round ( b.center.x ) ) * ( reverse ? -1 : 1 );
+	}
+}
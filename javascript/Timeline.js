@@ -0,0 +1,389 @@
+/**
+ * @class Timeline
+ *
+ * @description Plays an animation graph on a controllable clock, which can be paused, resumed, sped up, slowed down and seeked.
+ * The whole graph is laid out in time up front by AnimGraph, respecting each node's dependencies and duration,
+ * so deferred nodes are created when the timeline is, rather than when they are due to start.
+ * This requires the Web Animations API.
+ */
+class Timeline
+{
+
+	/** @public {CardAnim} The final node of the graph. */
+	root;
+
+	/** @public {Number} The total duration of the graph, in ms. */
+	duration;
+
+	/** @public {Promise<void>} Resolves once the timeline reaches its end. */
+	finished;
+
+	/** @private {{node: CardAnim, start: Number, end: Number}[]} Each node of the graph, in order of when it starts. */
+	_entries;
+
+	/** @private {Animation[]} The animations making up the timeline, which are always paused and moved along by hand. */
+	_animations = [];
+
+	/** @private {{time: Number, callback: function():void}[]} The callbacks of the nodes, in order of when they are due. */
+	_callbacks;
+
+	/** @private {Number} The number of callbacks which have been called. */
+	_callbacksDone = 0;
+
+	/** @private {Number} The time on the timeline when the clock was last changed. */
+	_time = 0;
+
+	/** @private {Number} The real time when the clock was last changed. */
+	_changedAt = performance.now ();
+
+	/** @private {Number} */
+	_rate = 1;
+
+	/** @private {Boolean} */
+	_paused;
+
+	/** @private {Boolean} */
+	_done = false;
+
+	/** @private {function():void} */
+	_resolve;
+
+
+
+	/**
+	 * @param {CardAnim|AnimGraph} root The final node of the graph, or a graph which has already been laid out, so that it is not laid out again.
+	 * @param {Boolean} [paused = false] Whether to start the timeline paused.
+	 */
+	constructor ( root, paused = false )
+	{
+		/* Check that the Web Animations API is available */
+		if ( !CardAnim.webAnimations )
+			throw new Error ( "Timeline.constructor: The Web Animations API is not supported" );
+
+		/* Lay out the graph */
+		const graph = root instanceof AnimGraph ? root : new AnimGraph ( root );
+		if ( graph.cycles.length )
+			throw new Error ( "Timeline.constructor: The animation graph contains a cycle" );
+		this.root = graph.root;
+		this.duration = graph.duration;
+		this._entries = graph.nodes
+			.map ( ( node, i ) => ( { node : node, start : graph.starts [ i ], end : graph.ends [ i ] } ) )
+			.sort ( ( a, b ) => a.start - b.start );
+		this._callbacks = this._entries
+			.filter ( entry => entry.node.callback )
+			.map ( entry => ( { time : entry.end, callback : entry.node.callback } ) )
+			.sort ( ( a, b ) => a.time - b.time );
+
+		/* Create its animations */
+		this._createAnimations ();
+
+		/* Start the clock */
+		this.finished = new Promise ( res => this._resolve = res );
+		this._paused = paused;
+		this._tick ();
+	}
+
+
+
+	/**
+	 * @returns {Number} The current time on the timeline, in ms.
+	 * @public
+	 */
+	get currentTime ()
+	{
+		const time = this._paused || this._done ? this._time : this._time + ( performance.now () - this._changedAt ) * this._rate;
+		return Math.min ( time, this.duration );
+	}
+
+	/**
+	 * @returns {Number} How fast the timeline plays, as a multiple of real time.
+	 * @public
+	 */
+	get playbackRate ()
+	{
+		return this._rate;
+	}
+
+	/**
+	 * @param {Number} rate How fast the timeline should play, as a multiple of real time.
+	 * @public
+	 */
+	set playbackRate ( rate )
+	{
+		this._setClock ( this.currentTime );
+		this._rate = rate;
+	}
+
+	/**
+	 * @returns {Boolean}
+	 * @public
+	 */
+	get paused ()
+	{
+		return this._paused;
+	}
+
+	/**
+	 * @returns {Boolean} Whether the timeline has reached its end.
+	 * @public
+	 */
+	get done ()
+	{
+		return this._done;
+	}
+
+
+
+	/**
+	 * @description Stop the clock.
+	 * @public
+	 */
+	pause ()
+	{
+		this._setClock ( this.currentTime );
+		this._paused = true;
+	}
+
+	/**
+	 * @description Start the clock again.
+	 * @public
+	 */
+	resume ()
+	{
+		this._setClock ( this.currentTime );
+		this._paused = false;
+	}
+
+
+
+	/**
+	 * @description Jump to a time on the timeline. The callbacks of any nodes which finish before then are called in order,
+	 * but callbacks are never called twice, even when seeking backwards.
+	 *
+	 * @param {Number} time In ms.
+	 * @public
+	 */
+	seek ( time )
+	{
+		this._setClock ( Math.max ( 0, Math.min ( time, this.duration ) ) );
+		this._update ();
+	}
+
+
+
+	/**
+	 * @description Create a paused animation for every step of every node, by following the parameters of each element through the timeline.
+	 * The end parameters are applied straight away, so that they hold once the timeline is done.
+	 * @private
+	 */
+	_createAnimations ()
+	{
+		/* Hold each element in its current parameters until its first node */
+		const current = new Map ();
+		const hold = ( element, params ) =>
+			this._animations.push ( element.animate ( [ CardAnim._paramsToStyle ( params ), CardAnim._paramsToStyle ( params ) ], { duration : 0, fill : "forwards" } ) );
+		const currentParams = element =>
+		{
+			if ( !current.has ( element ) )
+			{
+				CardAnim._stop ( element );
+				current.set ( element, CardAnim._currentParams ( element ) );
+				hold ( element, current.get ( element ) );
+			}
+			return current.get ( element );
+		};
+
+		/* Add the steps in order, so that later steps take priority */
+		for ( const { node, start } of this._entries )
+		{
+			/* Jump to the start parameters */
+			if ( node.startParams )
+				node.selection.data ( node.startParams ).join ().each ( function ( d )
+				{
+					current.set ( this, d.fillFrom ( currentParams ( this ) ) );
+				} );
+
+			/* Animate to the end parameters */
+			const animations = this._animations;
+			if ( node.endParams )
+				node.selection.data ( node.endParams ).join ().each ( function ( d )
+				{
+					const path = CardAnim._path ( currentParams ( this ), d );
+					animations.push ( this.animate ( CardAnim._keyframes ( path ), { delay : start, duration : node.duration, easing : node.ease, fill : "forwards" } ) );
+					current.set ( this, path.frames [ path.frames.length - 1 ] );
+				} );
+
+			/* Make sure jumps show from their start time onwards, even without end parameters */
+			else if ( node.startParams )
+				node.selection.each ( function ()
+				{
+					const style = CardAnim._paramsToStyle ( current.get ( this ) );
+					animations.push ( this.animate ( [ style, style ], { delay : start, duration : 0, fill : "forwards" } ) );
+				} );
+		}
+
+		/* Apply the end parameters, and pause everything */
+		for ( const [ element, params ] of current )
+			CardAnim._apply ( element, params );
+		for ( const animation of this._animations )
+			animation.pause ();
+	}
+
+
+
+	/**
+	 * @param {Number} time The new time on the timeline.
+	 * @private
+	 */
+	_setClock ( time )
+	{
+		this._time = time;
+		this._changedAt = performance.now ();
+	}
+
+
+
+	/**
+	 * @description Move the animations to the current time, call any callbacks which are due, and finish at the end.
+	 * @private
+	 */
+	_update ()
+	{
+		if ( this._done )
+			return;
+
+		/* Move the animations */
+		const time = this.currentTime;
+		for ( const animation of this._animations )
+			animation.currentTime = time;
+
+		/* Call the callbacks which are due */
+		while ( this._callbacksDone < this._callbacks.length && this._callbacks [ this._callbacksDone ].time <= time )
+			this._callbacks [ this._callbacksDone++ ].callback ();
+
+		/* Finish once the end is reached, leaving the end parameters which were applied at the start */
+		if ( time >= this.duration )
+		{
+			this._done = true;
+			this._setClock ( this.duration );
+			for ( const animation of this._animations )
+				animation.cancel ();
+			this._resolve ();
+		}
+	}
+
+
+
+	/**
+	 * @description Update on every frame until the timeline is done.
+	 * @private
+	 */
+	_tick ()
+	{
+		this._update ();
+		if ( !this._done )
+			requestAnimationFrame ( () => this._tick () );
+	}
+}
+
+
+
+/**
+ * @class TimelineScrubber
+ *
+ * @description A small overlay with controls for a timeline, and any notes about it, which removes itself once the timeline is done.
+ */
+class TimelineScrubber
+{
+
+	/** @public {Number[]} The playback rates to choose from. */
+	static rates = [ 0.1, 0.25, 0.5, 1, 2 ];
+
+
+
+	/** @private {Timeline} */
+	_timeline;
+
+	/** @private {Object} A D3 selection for the overlay. */
+	_overlay;
+
+	/** @private {Object} A D3 selection for the pause button. */
+	_pauseButton;
+
+	/** @private {Object} A D3 selection for the range input. */
+	_range;
+
+	/** @private {Object} A D3 selection for the time readout. */
+	_readout;
+
+
+
+	/**
+	 * @param {Timeline} timeline
+	 * @param {Element} [parent = document.body]
+	 * @param {String[]} [notes = []] Messages to show alongside the controls, such as problems with the animation graph.
+	 */
+	constructor ( timeline, parent = document.body, notes = [] )
+	{
+		this._timeline = timeline;
+
+		/* Create the overlay */
+		this._overlay = d3.select ( parent ).append ( "div" )
+			.classed ( "timeline-scrubber", true );
+
+		/* Add a button to pause and resume */
+		this._pauseButton = this._overlay.append ( "button" )
+			.on ( "click", () => timeline.paused ? timeline.resume () : timeline.pause () );
+
+		/* Add a range input to seek, which pauses while it is dragged */
+		this._range = this._overlay.append ( "input" )
+			.attr ( "type", "range" )
+			.attr ( "min", 0 )
+			.attr ( "max", timeline.duration )
+			.attr ( "step", 1 )
+			.on ( "pointerdown", () => timeline.pause () )
+			.on ( "input", event => timeline.seek ( parseFloat ( event.target.value ) ) );
+
+		/* Add a select for the playback rate */
+		this._overlay.append ( "select" )
+			.on ( "change", event => timeline.playbackRate = parseFloat ( event.target.value ) )
+			.selectAll ( "option" )
+			.data ( TimelineScrubber.rates )
+			.join ( "option" )
+			.attr ( "value", d => d )
+			.property ( "selected", d => d === timeline.playbackRate )
+			.text ( d => d + "x" );
+
+		/* Add a readout of the time */
+		this._readout = this._overlay.append ( "span" );
+
+		/* Add the notes */
+		this._overlay.selectAll ( ".timeline-note" )
+			.data ( notes )
+			.join ( "span" )
+			.classed ( "timeline-note", true )
+			.text ( d => d );
+
+		/* Keep the controls up to date, and remove them once the timeline is done */
+		this._update ();
+		timeline.finished.then ( () => this._overlay.remove () );
+	}
+
+
+
+	/**
+	 * @description Update the controls on every frame until the timeline is done.
+	 * @private
+	 */
+	_update ()
+	{
+		if ( this._timeline.done )
+			return;
+
+		const time = this._timeline.currentTime;
+		this._pauseButton.text ( this._timeline.paused ? "Play" : "Pause" );
+		this._range.property ( "value", time );
+		this._readout.text ( Math.round ( time ) + " / " + Math.round ( this._timeline.duration ) + "ms" );
+		requestAnimationFrame ( () => this._update () );
+	}
+}
@@ -3,11 +3,26 @@
 uglifyjs -c -m -o ka.min.js --warn --keep-fnames --keep-fargs -b ascii_only=true -b beautify=false -- \
   fittext.js \
   Vec.js \
+  Random.js \
   OverscrollDetector.js \
+  MotionPolicy.js \
+  Capabilities.js \
+  EventEmitter.js \
+  Spring.js \
   Animations.js \
+  AnimGraph.js \
+  Timeline.js \
+  Stagger.js \
+  CardThrows.js \
+  DealPatterns.js \
   Dealer.js \
+  DeckRenderer.js \
   CardFaceManager.js \
+  Layouts.js \
   GridManager.js \
+  CardDragger.js \
+  CardTilt.js \
+  CardNavigator.js \
   PopupManager.js \
   Countdown.js \
 1> /dev/null
@@ -38,15 +38,26 @@
           el.style.fontSize = Math.max(Math.min(el.clientWidth / (compressor*10), parseFloat(settings.maxFontSize)), parseFloat(settings.minFontSize)) + 'px';
       };
 
+      // Resize at most once per frame
+      var frame = null;
+      var schedule = function () {
+        if (frame === null)
+          frame = requestAnimationFrame(function () {
+            frame = null;
+            resizer();
+          });
+      };
+
       // Call once to set.
-      setTimeout ( () => resizer() );
-
-      // Bind events
-      // If you have any js library which support Events, replace this part
-      // and remove addEvent function (or use original jQuery version)
-      addEvent(window, 'resize', resizer);
-      addEvent(window, 'orientationchange', resizer);
-      setInterval ( () => resizer (), 1000 );
+      schedule();
+
+      // Resize whenever the element does, or else whenever the window does
+      if (window.ResizeObserver)
+        new ResizeObserver(schedule).observe(el);
+      else {
+        addEvent(window, 'resize', schedule);
+        addEvent(window, 'orientationchange', schedule);
+      }
     };
 
     if (el.length)
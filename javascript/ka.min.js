@@ -1 +1 @@
-!function(){function b(el,type,fn){el.addEventListener?el.addEventListener(type,fn,!1):el.attachEvent("on"+type,fn)}window.fitText=function(el,kompressor,options){function j(el){function n(){el.style.fontSize=Math.max(Math.min(el.clientWidth/(10*t),parseFloat(e.maxFontSize)),parseFloat(e.minFontSize))+"px"}var t=kompressor||1;setTimeout(()=>n()),b(window,"resize",n),b(window,"orientationchange",n),setInterval(()=>n(),1e3)}var e=function(obj,ext){for(var t in ext)ext.hasOwnProperty(t)&&(obj[t]=ext[t]);return obj}({minFontSize:-1/0,maxFontSize:1/0},options);if(el.length)for(var t=0;t<el.length;t++)j(el[t]);else j(el);return el}}();class Vec{x;y;constructor(x=0,y=x){this.x=x,this.y=y,Object.freeze(this)}clone(){return new Vec(this.x,this.y)}equals(other){return this.x===other.x&&this.y===other.y}add(other){return new Vec(this.x+other.x,this.y+other.y)}sub(other){return new Vec(this.x-other.x,this.y-other.y)}mult(other){return"number"==typeof other?new Vec(this.x*other,this.y*other):new Vec(this.x*other.x,this.y*other.y)}div(other){return"number"==typeof other?new Vec(this.x/other,this.y/other):new Vec(this.x/other.x,this.y/other.y)}neg(){return new Vec(-this.x,-this.y)}clamp(lo,hi){return new Vec(Math.min(Math.max(this.x,lo.x),hi.x),Math.min(Math.max(this.y,lo.y),hi.y))}norm(){return this.div(this.length())}length(){return Math.sqrt(this.x**2+this.y**2)}distanceTo(other){return this.sub(other).length()}vectorTo(other){return other.sub(this)}directionTo(other){return this.vectorTo(other).norm()}rotate(rad){return new Vec(this.x*Math.cos(rad)-this.y*Math.sin(rad),this.x*Math.sin(rad)+this.y*Math.cos(rad))}interpolateTo(other){const t=d3.interpolateObject(this,other);return i=>Vec.from(t(i))}static interpolateVecArray(from,to){const t=d3.interpolate(from,to),a=x=>Array.isArray(x)?x.map(e=>a(e)):Vec.from(x);return i=>a(t(i))}static from(object){return"number"==typeof object.x&&"number"==typeof object.y?new Vec(object.x,object.y):new Vec(parseFloat(object.x),parseFloat(object.y))}static parse(x,y=x){return new Vec(parseFloat(x),parseFloat(y))}static rad(deg){return deg*(Math.PI/180)}static deg(rad){return 180*Math.PI/rad}}class OverscrollDetector{target;_callback;_threshold;_touchStart;_scrollStart;constructor(target,callback,threshold=new Vec(0)){this.target=target,this._callback=callback,this._threshold=threshold,this.target.on("touchstart",e=>this._resetPositions(e)),this.target.on("touchmove",e=>this._detectOverscroll(e))}_resetPositions(e){this._touchStart=new Vec(e.touches[0].clientX,e.touches[0].clientY),this._scrollStart=new Vec(this.target.property("scrollLeft"),this.target.property("scrollTop"))}_detectOverscroll(e){var e=new Vec(e.touches[0].clientX,e.touches[0].clientY),t=new Vec(this.target.property("scrollLeft"),this.target.property("scrollTop")),i=t.div(new Vec(this.target.property("scrollWidth")-this.target.property("clientWidth")||1,this.target.property("scrollHeight")-this.target.property("clientHeight")||1)),i=(this._touchStart=new Vec((i.x<=0||1<=i.x?this._touchStart:e).x,(i.y<=0||1<=i.y?this._touchStart:e).y),this._scrollStart=new Vec((0===i.x||1===i.x?this._scrollStart:t).x,(0===i.y||1===i.y?this._scrollStart:t).y),t.sub(this._scrollStart).add(e.sub(this._touchStart)).neg());new Vec(Math.abs(i.x)>this._threshold.x?i.x:0,Math.abs(i.y)>this._threshold.y?i.y:0).equals(new Vec)||this._callback(i)}}class AnimParams{position;size;rotation;constructor(position=null,size=null,rotation=null){this.position=position,this.size=size,this.rotation=rotation,Object.freeze(this)}}class CardAnim{static durationEpsilon=50;selection;startParams;endParams;ease;duration;dependsOn;callback;constructor(selection,startParams,endParams,ease,duration,dependsOn=[],callback=null){let t;if(startParams){if(t=Array.isArray(startParams),endParams&&Array.isArray(endParams)!==t)throw new Error("CardAnim.constructor: startParams and endParams must both be an array, or both objects")}else t=!!endParams&&Array.isArray(endParams);if(t&&(startParams&&selection.size()!==startParams.length||endParams&&selection.size()!==endParams.length))throw new Error("CardAnim.constructor: Assertion 'selection.size () == startParams.length == endParams.length' failed");this.selection=selection,this.startParams=startParams?t?startParams.slice():new Array(selection.size()).fill(startParams):null,this.endParams=endParams?t?endParams.slice():new Array(selection.size()).fill(endParams):null,this.ease=ease,this.duration=duration,this.dependsOn=dependsOn.slice(),this.callback=callback}animate(promises=new Map){if(!promises.has(this)){var t=[];for(const e of this.dependsOn)e.animate(promises),t.push(promises.get(e));promises.set(this,Promise.all(t).then(()=>this._animate()))}return promises}followedBy(anim){return anim.dependsOn.push(this),anim}addDependency(anim){return this.dependsOn.push(anim),this}continueTo(endParams,ease=null,duration=null){return new CardAnim(this.selection,null,endParams,ease??this.ease,duration??this.duration,[this])}singleContinueTo(index,endParams,ease=null,duration=null){return new CardAnim(this.selection.filter((d,i)=>i===index),null,endParams,ease??this.ease,duration??this.duration,[this])}addCallback(f){const t=this.callback;return this.callback=t?()=>{t(),f()}:f,this}_animate(){const i=transform=>Array.from(transform.matchAll(/(\w+)\((.+?)\)/gm)).reduce((agg,[,fn,val])=>({...agg,[fn]:val}),{}),t=selection=>selection.style("transform",function(d){var t=i(this.style.transform),e=d.position??(t.translate3d?Vec.parse.apply(null,t.translate3d.split(",").slice(0,2)):new Vec(0)),d=d.rotation??(t.rotate?parseFloat(t.rotate):0);return`translate3d(${e.x}px,${e.y}px, 0) translate(50%, 50%) rotate(${d}deg) translate(-50%, -50%)`}).style("width",function(d){return d.size?d.size.x+"px":this.style.width}).style("height",function(d){return d.size?d.size.y+"px":this.style.height});return this.startParams&&t(this.selection.data(this.startParams).join().style("transition-duration","0s")),this.endParams&&setTimeout(()=>t(this.selection.data(this.endParams).join().style("transition-property","transform, width, height").style("transition-duration",this.duration+"ms").style("transition-timing-function",this.ease))),new Promise(res=>setTimeout(res,this.duration+CardAnim.durationEpsilon)).then(()=>{this.callback&&this.callback()})}static Delay(selection,ease,duration,dependsOn=[]){return new DelayAnim(selection,ease,duration,dependsOn)}}class DelayAnim extends CardAnim{constructor(selection,ease,duration,dependsOn=[]){super(selection,null,null,ease,duration,dependsOn)}_animate(){return new Promise(res=>setTimeout(res,this.duration)).then(()=>{this.callback&&this.callback()})}}class Line{p1;p2;domMin;domMax;a;b;c;static epsilon=.001;constructor(p1,p2){this._reset(p1,p2)}_reset(p1,p2){this.p1=p1,this.p2=p2,this.a=p1.y-p2.y,this.b=p2.x-p1.x,this.c=p1.x*p2.y-p2.x*p1.y,this.domMin=new Vec(Math.min(p1.x,p2.x),Math.min(p1.y,p2.y)),this.domMax=new Vec(Math.max(p1.x,p2.x),Math.max(p1.y,p2.y))}rotate(center,angle){this._reset(this.p1.sub(center).rotate(angle).add(center),this.p2.sub(center).rotate(angle).add(center))}translate(amount){this._reset(this.p1.add(amount),this.p2.add(amount))}intercept(other){var t=(this.b*other.c-other.b*this.c)/(this.a*other.b-this.b*other.a),e=(this.a*other.c-other.a*this.c)/(this.b*other.a-this.a*other.b);return isFinite(t)&&isFinite(e)&&t>this.domMin.x-Line.epsilon&&t<this.domMax.x+Line.epsilon&&t>other.domMin.x-Line.epsilon&&t<other.domMax.x+Line.epsilon&&e>this.domMin.y-Line.epsilon&&e<this.domMax.y+Line.epsilon&&e>other.domMin.y-Line.epsilon&&e<other.domMax.y+Line.epsilon?new Vec(t,e):null}implicit(point){return this.a*point.x+this.b*point.y+this.c}}class Rect{boarders;center;size;constructor(center,size){this.center=center;size=(this.size=size).div(2);this.boarders=[new Line(center.add(new Vec(-size.x,-size.y)),center.add(new Vec(size.x,-size.y))),new Line(center.add(new Vec(-size.x,size.y)),center.add(new Vec(size.x,size.y))),new Line(center.add(new Vec(-size.x,size.y)),center.add(new Vec(-size.x,-size.y))),new Line(center.add(new Vec(size.x,size.y)),center.add(new Vec(size.x,-size.y)))]}corners(){return[this.boarders[0].p1,this.boarders[0].p2,this.boarders[1].p1,this.boarders[1].p2]}translate(amount){this.center=this.center.add(amount);for(const t of this.boarders)t.translate(amount);return this}rotate(angle){for(const t of this.boarders)t.rotate(this.center,angle);return this}containsPoint(point){return this.boarders[0].implicit(point)*this.boarders[1].implicit(point)<=0&&this.boarders[2].implicit(point)*this.boarders[3].implicit(point)<=0}overlaps(rect){return this.containsPoint(rect.boarders[0].p1)||this.containsPoint(rect.boarders[0].p2)||this.containsPoint(rect.boarders[1].p1)||this.containsPoint(rect.boarders[1].p2)||rect.containsPoint(this.boarders[0].p1)||rect.containsPoint(this.boarders[0].p2)||rect.containsPoint(this.boarders[1].p1)||rect.containsPoint(this.boarders[1].p2)}allIntercepts(rect){if(rect===this)return this.corners();var t=[];for(const i of this.boarders)for(const a of rect.boarders){var e=i.intercept(a);e&&t.push(e)}return t}}class Dealer{_cards;_cardSize;_dealPos;_dealSize;_dealOrigin;constructor(cards,cardSize,dealPos,dealSize,dealOrigin){this._cards=cards,this._cardSize=cardSize,this._dealPos=dealPos,this._dealSize=dealSize,this._dealOrigin=dealOrigin}createAnimation(dealDelay,dealDuration,transJitter=.1,rotJitter=10,iters=10){var a=new Vec(Math.ceil(this._dealSize.x/this._cardSize.x),Math.ceil(this._dealSize.y/this._cardSize.y));if(a.x*a.y>this._cards.size())throw new Error("Dealer.createAnimation: Could not cover the dealer area with the cards provided");var s=a.mult(this._cardSize).sub(this._dealSize).div(a.add(new Vec(1)));const r=new Array(this._cards.size());for(let e=0;e<a.x;++e)for(let t=0;t<a.y;++t)r[a.y*e+t]=new AnimParams(this._dealPos.sub(s).add(this._cardSize.sub(s).mult(new Vec(e,t))),this._cardSize,0);for(let t=a.x*a.y;t<this._cards.size();++t)r[t]=new AnimParams(this._dealPos.add(this._dealSize.sub(this._cardSize).mult(Math.random())),this._cardSize,0);this._generateNoise(r,transJitter,rotJitter,iters);for(let t=a.x*a.y-1;0<t;t--){var e=Math.floor(Math.random()*(t+1));[r[t],r[e]]=[r[e],r[t]]}const n=new Array(this._cards.size());for(let t=0;t<this._cards.size();++t)n[t]=new AnimParams(this._dealOrigin,this._cardSize,0);const t=new Array(this._cards.size());return this._cards.each(function(d,i){t[i]=new CardAnim(d3.select(this),n[i],null,"ease-out",i*dealDelay).continueTo(r[i],"ease-out",dealDuration)}),CardAnim.Delay(this._cards,"ease-out",0,t)}_generateNoise(endParams,transJitter,rotJitter,iters){var i=new Rect(this._dealPos.add(this._dealSize.div(2)),this._dealSize),a=endParams.map(param=>new Rect(param.position.add(this._cardSize.div(2)),this._cardSize)),s=[],r=a.map(_=>[]);for(let e=0;e<a.length;++e){var t={rect1:a[e],rect2:i,points:a[e].allIntercepts(i),oldPoints:null};s.push(t),r[e].push(t);for(let t=e;t<a.length;++t){var n={rect1:a[e],rect2:a[t],points:a[e].allIntercepts(a[t]),oldPoints:null};s.push(n),r[e].push(n),r[t].push(n)}}for(let t=0;t<iters;++t)for(let t=0;t<a.length;++t){var o=()=>2*Math.random()-1,c=new Vec(o(),o()).mult(this._cardSize.x+.5*this._cardSize.y*transJitter).clamp(this._dealPos.sub(a[t].center),this._dealPos.add(this._dealSize).sub(a[t].center)),o=o()*rotJitter;a[t].translate(c).rotate(Vec.rad(o));for(const l of r[t])l.oldPoints=l.points,l.points=l.rect1.allIntercepts(l.rect2);let e=!1;for(const d of s){for(const h of d.points)if(i.containsPoint(h)){let t=!1;for(const p of a)if(t=!(d.rect1===p)&&!(d.rect2===p)&&p.containsPoint(h))break;if(e=!t)break}if(e)break}if(e){a[t].rotate(-Vec.rad(o)).translate(c.neg());for(const u of r[t])u.points=u.oldPoints}else endParams[t]=new AnimParams(endParams[t].position.add(c),endParams[t].size,endParams[t].rotation+o)}}}class CardFaceManager{static cardFlipDelay=150;static cardFlipDuration=400;_cards;constructor(cards){this._cards=cards,this._cards.each(function(){d3.select(this).select(".card-inner").on("click",function(){(this.classList.contains("card-inactive")||this.classList.contains("shake"))&&this.classList.add("clicked")}).on("animationend",function(){this.classList.remove("clicked")})})}flip(numFlips,cardFlipDelay=CardFaceManager.cardFlipDelay,cardFlipDuration=CardFaceManager.cardFlipDuration){this._cards.each(function(d,i){const t=d3.select(this).select(".card-inner"),e=t.select(".card-face"),a=t.select(".card-back");a.style("visibility","visible").style("transition","transform "+cardFlipDuration+"ms").style("transition-timing-function","ease").style("transition-delay",i*cardFlipDelay+"ms").style("transform",i<numFlips?"rotateY(180deg)":"rotateY(0deg)"),e.style("visibility","visible").style("transition","transform "+cardFlipDuration+"ms").style("transition-timing-function","ease").style("transition-delay",i*cardFlipDelay+"ms").style("transform",i<numFlips?"rotateY(360deg)":"rotateY(180deg)"),setTimeout(()=>{t.classed("card-inactive",numFlips<=i).classed("card-active",i<numFlips),(i<numFlips?a:e).style("visibility","hidden")},i*cardFlipDelay+cardFlipDuration)})}}class GridManager{static states=Object.freeze({GRID:"GRID",HIDDEN:"HIDDEN"});static mobile=GridManager.mobileCheck();static titleMarginFrac=.07;static titleHorizontalMargin=50;static titleHeightFrac=.2;static cardOuterMarginFrac=.02;static verticalCardsDesktop=1.3;static verticalCardsMobile=1.1;static verticalCards=GridManager.mobile?GridManager.verticalCardsMobile:GridManager.verticalCardsDesktop;static dealDelay=80;static dealDuration=400;static initialGridFormationDuration=500;static gridReshuffleDuration=400;static hideShowCardDuration=250;static mobileSmoothingDuration=400;static positionUpdateInterval=1500;_currentScreenSize;_currentGrid;_currentTitle;_animationBusy=!1;_canvas;_cards;_titles;_cardRatio;_cardRatioWithMargin;_cardMarginFrac;_titleRatios;_gridWidthOptions;_setupCallback;_dealer;_currentState;_nextState;_cachedScreenSize=new Vec(window.innerWidth,window.innerHeight);static heightChangeThreshold=.2;constructor(canvas,cards,titles,cardSize,cardMargin,titleSizes,gridWidthOptions,setupCallback){if(this._canvas=canvas,this._titles=titles,this._cards=cards,this._gridWidthOptions=gridWidthOptions.slice().sort((l,r)=>r-l),this._setupCallback=setupCallback,this._cardRatio=cardSize.x/cardSize.y,this._cardRatioWithMargin=(cardSize.x+cardMargin.x)/(cardSize.y+cardMargin.y),this._cardMarginFrac=cardSize.add(cardMargin).div(cardSize),this._titles.size()!==titleSizes.length)throw new Error("GridManager.constructor: titles and titleSizes should be the same length");this._titleRatios=titleSizes.map(size=>size.x/size.y),this._titles=this._titles.data(this._titleRatios).sort((l,r)=>r-l),this._titleRatios.sort((l,r)=>r-l),this._cards.raise(),this._currentScreenSize=this.getScreenSize();canvas=this._calculateLayout(this._currentScreenSize);this._currentGrid=canvas.grid,this._currentTitle=canvas.titleChoice,this._currentState=null,this._nextState=GridManager.states.GRID,this._canvas.style("width",canvas.canvasDimensions.x+"px").style("height",canvas.canvasDimensions.y+"px"),document.scrollingElement.overflowY=this._currentGrid.y<=GridManager.verticalCards?"hidden":"",document.scrollingElement.scrollTop=0,this._titles.style("visibility","hidden"),d3.select(this._titles.nodes()[this._currentTitle]).style("transition-duration","0s").style("left",canvas.titlePos.x+"px").style("top",canvas.titlePos.y+"px").style("width",canvas.titleSize.x+"px").style("height",canvas.titleSize.y+"px"),this._dealer=new Dealer(this._cards,canvas.cardSize,canvas.titlePos,canvas.titleSize,new Vec(-canvas.cardSize.x,canvas.titlePos.y)),this._animationBusy=!0,this._dealer.createAnimation(GridManager.dealDelay,GridManager.dealDuration).addCallback(()=>{d3.select(this._titles.nodes()[this._currentTitle]).style("visibility","visible"),this._animationBusy=!1,this.updatePositions(),window.addEventListener("resize",()=>this.updatePositions()),setInterval(()=>this.updatePositions(),GridManager.positionUpdateInterval)}).animate()}hideCards(){this._nextState=GridManager.states.HIDDEN,this.updatePositions()}showCards(){this._nextState=GridManager.states.GRID,this.updatePositions()}updatePositions(prevAnimationDuration=0){var t=this.getScreenSize();if(!(this._animationBusy||this._nextState===this._currentState&&t.equals(this._currentScreenSize))){this._currentScreenSize=t;const r=this._calculateLayout(this._currentScreenSize),n=!this._currentGrid.equals(r.grid);t=this._currentTitle!==r.titleChoice;const o=d3.select(this._titles.nodes()[r.titleChoice]);var e,i,a,s=d3.select(this._titles.nodes()[this._currentTitle]);if(this._currentState===GridManager.states.HIDDEN?(new CardAnim(this._cards,r.hiddenCardPositions,null,"ease-in-out",0).animate(),this._canvas.style("transition-duration","0s").style("width",r.canvasDimensions.x+"px").style("height",r.canvasDimensions.y+"px"),o.style("transition-duration","0s").style("visibility","visible").style("left",r.titlePos.x+"px").style("top",r.titlePos.y+"px").style("width",r.titleSize.x+"px").style("height",r.titleSize.y+"px")):t&&(a=parseFloat(this._canvas.style("width")),i=parseFloat(s.style("height")),e=parseFloat(s.style("top")),i=new Vec(this._titleRatios[r.titleChoice]*i,i),a=new Vec((a-i.x)/2,e),o.style("transition-duration","0s").style("visibility","visible").style("left",a.x+"px").style("top",a.y+"px").style("width",i.x+"px").style("height",i.y+"px")),t&&s.style("transition-duration","0s").style("visibility","hidden"),this._currentState!==GridManager.states.HIDDEN||this._nextState!==GridManager.states.HIDDEN){this._animationBusy=!0;let t=r.cardPositions,e=GridManager.mobile?GridManager.mobileSmoothingDuration:prevAnimationDuration/2,i="ease-in-out";this._nextState===GridManager.states.HIDDEN?[t,e,i]=[r.hiddenCardPositions,GridManager.hideShowCardDuration,"ease-in"]:this._currentState===GridManager.states.HIDDEN?[e,i]=[GridManager.hideShowCardDuration,"ease-out"]:this._currentState?n&&(e=GridManager.gridReshuffleDuration):e=GridManager.initialGridFormationDuration,this._currentState!==GridManager.states.HIDDEN&&setTimeout(()=>o.style("transition-property","left, top, width, height").style("transition-duration",e+"ms").style("transition-timing-function","ease-in-out").style("left",r.titlePos.x+"px").style("top",r.titlePos.y+"px").style("width",r.titleSize.x+"px").style("height",r.titleSize.y+"px")),new CardAnim(this._cards,null,t,i,e).addCallback(()=>{this._setupCallback&&this._setupCallback(),this._setupCallback=null,n&&GridManager.mobile&&(document.scrollingElement.scrollTop=0),document.scrollingElement.overflowY=r.grid.y<=GridManager.verticalCards?"hidden":"",this._animationBusy=!1,this.updatePositions(e)}).animate(),setTimeout(()=>this._canvas.style("transition-property","width, height").style("transition-duration",e+"ms").style("transition-timing-function","ease-in-out").style("width",r.canvasDimensions.x+"px").style("height",r.canvasDimensions.y+"px"))}this._currentState=this._nextState,this._currentGrid=r.grid,this._currentTitle=r.titleChoice}}_calculateLayout(screenSize,hiddenCardPositionJitter=1,hiddenCardAngleJitter=45){var i=this._calculateGrid(screenSize),t=screenSize.y*(1-GridManager.titleHeightFrac-2*GridManager.cardOuterMarginFrac-2*GridManager.titleMarginFrac)/GridManager.verticalCards,a=new Vec(this._cardRatioWithMargin*t,t),s=a.div(this._cardMarginFrac),t=a.sub(s),e=new Vec(screenSize.x,screenSize.y*(GridManager.titleHeightFrac+2*GridManager.titleMarginFrac+2*GridManager.cardOuterMarginFrac)+a.y*i.y),r=screenSize.y*GridManager.titleHeightFrac,n=(screenSize.x-2*GridManager.titleHorizontalMargin)/r;let o=null;for(let t=0;t<this._titleRatios.length&&null===o;++t)(this._titleRatios[t]<n||t===this._titleRatios.length-1)&&(o=t);var r=Math.min(this._titleRatios[o]*r,screenSize.x-2*GridManager.titleHorizontalMargin),r=new Vec(r,r/this._titleRatios[o]),c=new Vec((screenSize.x-r.x)/2,screenSize.y*GridManager.titleMarginFrac),l=new Vec((screenSize.x-i.x*a.x+t.x)/2,r.y+screenSize.y*(GridManager.cardOuterMarginFrac+2*GridManager.titleMarginFrac)+t.y/2),screenSize=this._cards.size()-i.x*(i.y-1),d=new Vec((i.x-screenSize)*a.x/2,0),h=[];for(let e=0;e<i.y;++e)for(let t=0;t<i.x&&e*i.x+t<this._cards.size();++t)h.push(new AnimParams(l.add(a.mult(new Vec(t,e))).add(e===i.y-1?d:new Vec),s,0));var p=i.x>i.y,t=Math.sqrt(s.x**2+s.y**2),u=p?[new Vec(0,-t).interpolateTo(new Vec(e.x-s.x,-t)),new Vec(0,e.y+t-s.y).interpolateTo(new Vec(e.x-s.x,e.y+t-s.y))]:[new Vec(-t,0).interpolateTo(new Vec(-t,e.y-s.y)),new Vec(e.x+t-s.x,0).interpolateTo(new Vec(e.x+t-s.x,e.y-s.y))],m=[];for(let e=0;e<i.y;++e)for(let t=0;t<i.x&&e*i.x+t<this._cards.size();++t){var y=e*i.x+t,g=p?e>i.y/2-.5+.1*(-1)**t:t>i.x/2-.5+.1*(-1)**e,_=p?t/(i.x-1):e/(i.y-1),x=()=>2*Math.random()-1,w=new Vec(hiddenCardPositionJitter*(s.x+s.y)*.5*x()).mult(new Vec(p?1:0,p?0:1)),x=hiddenCardAngleJitter*x();m[y]=new AnimParams(u[g?1:0](_).add(w),s,x)}return{grid:i,cardSize:s,canvasDimensions:e,cardPositions:h,hiddenCardPositions:m,titleChoice:o,titleSize:r,titlePos:c}}_calculateGrid(screenSize){var t=screenSize.x/screenSize.y/(1-GridManager.titleHeightFrac-2*GridManager.cardOuterMarginFrac-2*GridManager.titleMarginFrac)*GridManager.verticalCards/this._cardRatioWithMargin;for(const e of this._gridWidthOptions)if(e<=t)return new Vec(e,Math.ceil(this._cards.size()/e));screenSize=this._gridWidthOptions[this._gridWidthOptions.length-1];return new Vec(screenSize,Math.ceil(this._cards.size()/screenSize))}static mobileCheck(){let t=!1;var e;return e=navigator.userAgent||navigator.vendor||window.opera,t=/(android|bb\d+|meego).+mobile|avantgo|bada\/|blackberry|blazer|compal|elaine|fennec|hiptop|iemobile|ip(hone|od)|iris|kindle|lge |maemo|midp|mmp|mobile.+firefox|netfront|opera m(ob|in)i|palm( os)?|phone|p(ixi|re)\/|plucker|pocket|psp|series(4|6)0|symbian|treo|up\.(browser|link)|vodafone|wap|windows ce|xda|xiino/i.test(e)||/1207|6310|6590|3gso|4thp|50[1-6]i|770s|802s|a wa|abac|ac(er|oo|s\-)|ai(ko|rn)|al(av|ca|co)|amoi|an(ex|ny|yw)|aptu|ar(ch|go)|as(te|us)|attw|au(di|\-m|r |s )|avan|be(ck|ll|nq)|bi(lb|rd)|bl(ac|az)|br(e|v)w|bumb|bw\-(n|u)|c55\/|capi|ccwa|cdm\-|cell|chtm|cldc|cmd\-|co(mp|nd)|craw|da(it|ll|ng)|dbte|dc\-s|devi|dica|dmob|do(c|p)o|ds(12|\-d)|el(49|ai)|em(l2|ul)|er(ic|k0)|esl8|ez([4-7]0|os|wa|ze)|fetc|fly(\-|_)|g1 u|g560|gene|gf\-5|g\-mo|go(\.w|od)|gr(ad|un)|haie|hcit|hd\-(m|p|t)|hei\-|hi(pt|ta)|hp( i|ip)|hs\-c|ht(c(\-| |_|a|g|p|s|t)|tp)|hu(aw|tc)|i\-(20|go|ma)|i230|iac( |\-|\/)|ibro|idea|ig01|ikom|im1k|inno|ipaq|iris|ja(t|v)a|jbro|jemu|jigs|kddi|keji|kgt( |\/)|klon|kpt |kwc\-|kyo(c|k)|le(no|xi)|lg( g|\/(k|l|u)|50|54|\-[a-w])|libw|lynx|m1\-w|m3ga|m50\/|ma(te|ui|xo)|mc(01|21|ca)|m\-cr|me(rc|ri)|mi(o8|oa|ts)|mmef|mo(01|02|bi|de|do|t(\-| |o|v)|zz)|mt(50|p1|v )|mwbp|mywa|n10[0-2]|n20[2-3]|n30(0|2)|n50(0|2|5)|n7(0(0|1)|10)|ne((c|m)\-|on|tf|wf|wg|wt)|nok(6|i)|nzph|o2im|op(ti|wv)|oran|owg1|p800|pan(a|d|t)|pdxg|pg(13|\-([1-8]|c))|phil|pire|pl(ay|uc)|pn\-2|po(ck|rt|se)|prox|psio|pt\-g|qa\-a|qc(07|12|21|32|60|\-[2-7]|i\-)|qtek|r380|r600|raks|rim9|ro(ve|zo)|s55\/|sa(ge|ma|mm|ms|ny|va)|sc(01|h\-|oo|p\-)|sdk\/|se(c(\-|0|1)|47|mc|nd|ri)|sgh\-|shar|sie(\-|m)|sk\-0|sl(45|id)|sm(al|ar|b3|it|t5)|so(ft|ny)|sp(01|h\-|v\-|v )|sy(01|mb)|t2(18|50)|t6(00|10|18)|ta(gt|lk)|tcl\-|tdg\-|tel(i|m)|tim\-|t\-mo|to(pl|sh)|ts(70|m\-|m3|m5)|tx\-9|up(\.b|g1|si)|utst|v400|v750|veri|vi(rg|te)|vk(40|5[0-3]|\-v)|vm40|voda|vulc|vx(52|53|60|61|70|80|81|83|85|98)|w3c(\-| )|webc|whit|wi(g |nc|nw)|wmlb|wonu|x700|yas\-|your|zeto|zte\-/i.test(e.substr(0,4))?!0:t}getScreenSize(){return!GridManager.mobile||window.innerWidth!==this._cachedScreenSize.x||Math.abs(window.innerHeight-this._cachedScreenSize.y)/this._cachedScreenSize.y>GridManager.heightChangeThreshold?this._cachedScreenSize=new Vec(window.innerWidth,window.innerHeight):this._cachedScreenSize=new Vec(window.innerWidth,this._cachedScreenSize.y),this._cachedScreenSize}}class PopupManager{static states=Object.freeze({CLOSED:"CLOSED",OPEN:"OPEN"});static animationDuration=500;static backgroundBlur=4;static overscrollCloseAmount=100;_gridManager;_overscrollDetector;_canvas;_popup;_popupClose;_currentState;_nextState;_nextContents=null;_animationBusy=!1;_focusBeforeOpening=null;constructor(canvas,popup,popupClose,gridManager){this._canvas=canvas,this._popup=popup,this._popupClose=popupClose,this._gridManager=gridManager,this._currentState=this._nextState=PopupManager.states.CLOSED,GridManager.mobile&&(this._overscrollDetector=new OverscrollDetector(this._canvas,overscroll=>{this._currentState===PopupManager.states.OPEN&&overscroll.y<0&&this.closePopup()},new Vec(1/0,PopupManager.overscrollCloseAmount))),this._popupClose.on("click",()=>this.closePopup()),window.addEventListener("keyup",e=>{"Escape"===e.key&&this.closePopup()})}openPopup(contents){this._nextContents=contents,this._nextState=PopupManager.states.OPEN,this._transitionPopup()}closePopup(){this._nextState=PopupManager.states.CLOSED,this._transitionPopup()}_transitionPopup(){if(!this._animationBusy){if(this._nextContents){for(;this._popup.node().firstChild;)this._popup.node().removeChild(this._popup.node().lastChild);this._popup.node().appendChild(this._nextContents),this._nextContents=null}this._nextState!==this._currentState&&(setTimeout(()=>this._canvas.style("visibility","visible").style("transition","top").style("transition-duration",PopupManager.animationDuration+"ms").style("top",this._nextState===PopupManager.states.OPEN?"0":"100%")),setTimeout(()=>this._popupClose.style("transition","transform").style("transition-duration",PopupManager.animationDuration+"ms").style("transition-delay",(this._nextState===PopupManager.states.OPEN?PopupManager.animationDuration/2:0)+"ms").style("transform",this._nextState===PopupManager.states.OPEN?"translate(0,-100%)":"translate(0,0)")),this._nextState===PopupManager.states.CLOSED?(this._gridManager.showCards(),this._canvas.style("overflow","hidden").property("inert",!0),this._gridManager._canvas.property("inert",!1),setTimeout(()=>{var t=new Vec(window.scrollX,window.scrollY);this._focusBeforeOpening?.focus(),window.scroll(t.x,t.y)})):(this._focusBeforeOpening=document.activeElement,this._gridManager.hideCards(),document.scrollingElement.style.overflowY="hidden",this._canvas.property("inert",!1),this._gridManager._canvas.property("inert",!0),setTimeout(()=>this._popupClose.node().focus())),0<this._canvas.node().scrollTop&&this._canvas.node().scrollTo(0,0),setTimeout(()=>this._gridManager._canvas.style("transition","filter").style("transition-duration",PopupManager.animationDuration+"ms").style("filter","blur("+(this._nextState===PopupManager.states.CLOSED?0:PopupManager.backgroundBlur)+"px)")),this._animationBusy=!0,this._currentState=this._nextState,setTimeout(()=>{this._currentState===PopupManager.states.CLOSED?(this._canvas.style("visibility","hidden"),document.scrollingElement.style.overflowY="auto"):this._canvas.style("overflow","auto"),this._animationBusy=!1,this._transitionPopup()},PopupManager.animationDuration))}}}function setupCountdown(target,days,hours,minutes,seconds,padNumbers=!1){const e=Date.parse(target);let i=null;target=()=>{var t=Math.max(e-Date.now(),0);0===t&&i?(clearInterval(i),setTimeout(()=>location.reload(),1e3)):(t/=1e3,seconds.text(String(~~t%60).padStart(padNumbers?2:1,"0")),t/=60,minutes.text(String(~~t%60).padStart(padNumbers?2:1,"0")),t/=60,hours.text(String(~~t%24).padStart(padNumbers?2:1,"0")),t/=24,days.text(String(~~t).padStart(padNumbers?2:1,"0")))};return target(),i=e>Date.now()?setInterval(target,1e3):i}
\ No newline at end of file
+!function(){function g(el,type,fn){el.addEventListener?el.addEventListener(type,fn,!1):el.attachEvent("on"+type,fn)}window.fitText=function(el,kompressor,options){function o(el){function A(){null===t&&(t=requestAnimationFrame(function(){t=null,el.style.fontSize=Math.max(Math.min(el.clientWidth/(10*e),parseFloat(a.maxFontSize)),parseFloat(a.minFontSize))+"px"}))}var e=kompressor||1,t=null;A(),window.ResizeObserver?new ResizeObserver(A).observe(el):(g(window,"resize",A),g(window,"orientationchange",A))}var a=function(obj,ext){for(var e in ext)ext.hasOwnProperty(e)&&(obj[e]=ext[e]);return obj}({minFontSize:-1/0,maxFontSize:1/0},options);if(el.length)for(var e=0;e<el.length;e++)o(el[e]);else o(el);return el}}();class Vec{x;y;constructor(x=0,y=x){this.x=x,this.y=y,Object.freeze(this)}clone(){return new Vec(this.x,this.y)}equals(other){return this.x===other.x&&this.y===other.y}add(other){return new Vec(this.x+other.x,this.y+other.y)}sub(other){return new Vec(this.x-other.x,this.y-other.y)}mult(other){return"number"==typeof other?new Vec(this.x*other,this.y*other):new Vec(this.x*other.x,this.y*other.y)}div(other){return"number"==typeof other?new Vec(this.x/other,this.y/other):new Vec(this.x/other.x,this.y/other.y)}neg(){return new Vec(-this.x,-this.y)}clamp(lo,hi){return new Vec(Math.min(Math.max(this.x,lo.x),hi.x),Math.min(Math.max(this.y,lo.y),hi.y))}norm(){return this.div(this.length())}length(){return Math.sqrt(this.x**2+this.y**2)}distanceTo(other){return this.sub(other).length()}vectorTo(other){return other.sub(this)}directionTo(other){return this.vectorTo(other).norm()}rotate(rad){return new Vec(this.x*Math.cos(rad)-this.y*Math.sin(rad),this.x*Math.sin(rad)+this.y*Math.cos(rad))}interpolateTo(other){const e=d3.interpolateObject(this,other);return i=>Vec.from(e(i))}static interpolateVecArray(from,to){const t=d3.interpolate(from,to),a=x=>Array.isArray(x)?x.map(e=>a(e)):Vec.from(x);return i=>a(t(i))}static from(object){return"number"==typeof object.x&&"number"==typeof object.y?new Vec(object.x,object.y):new Vec(parseFloat(object.x),parseFloat(object.y))}static parse(x,y=x){return new Vec(parseFloat(x),parseFloat(y))}static rad(deg){return deg*(Math.PI/180)}static deg(rad){return 180*Math.PI/rad}}class Random{static seedParameter="seed";static shared=Random.fromUrl();seed;_state;constructor(seed=Random.generateSeed()){this.seed=Random.hashSeed(seed),this._state=this.seed}next(){this._state=this._state+1831565813>>>0;var e=this._state,e=Math.imul(e^e>>>15,1|e);return(((e^=e+Math.imul(e^e>>>7,61|e))^e>>>14)>>>0)/4294967296}signed(){return 2*this.next()-1}int(n){return Math.floor(this.next()*n)}skip(count){return this._state=this._state+Math.imul(1831565813,count)>>>0,this}clone(){var e=new Random(this.seed);return e._state=this._state,e}shuffle(array,count=array.length){for(let e=count-1;0<e;e--){var t=this.int(e+1);[array[e],array[t]]=[array[t],array[e]]}return array}toUrl(url=window.location.href){url=new URL(url);return url.searchParams.set(Random.seedParameter,String(this.seed)),url.href}static fromUrl(fallbackSeed=null,url=window.location.href){url=new URL(url).searchParams.get(Random.seedParameter);return new Random(url??fallbackSeed??Random.generateSeed())}static generateSeed(){return Math.floor(4294967296*Math.random())>>>0}static hashSeed(seed){if("number"==typeof seed||/^\d+$/.test(seed))return Number(seed)>>>0;let t=2166136261;for(let e=0;e<seed.length;++e)t=Math.imul(t^seed.charCodeAt(e),16777619);return t>>>0}}class OverscrollDetector{target;_callback;_threshold;_touchStart;_scrollStart;constructor(target,callback,threshold=new Vec(0)){this.target=target,this._callback=callback,this._threshold=threshold,this.target.on("touchstart",e=>this._resetPositions(e)),this.target.on("touchmove",e=>this._detectOverscroll(e))}_resetPositions(e){this._touchStart=new Vec(e.touches[0].clientX,e.touches[0].clientY),this._scrollStart=new Vec(this.target.property("scrollLeft"),this.target.property("scrollTop"))}_detectOverscroll(e){var e=new Vec(e.touches[0].clientX,e.touches[0].clientY),t=new Vec(this.target.property("scrollLeft"),this.target.property("scrollTop")),a=t.div(new Vec(this.target.property("scrollWidth")-this.target.property("clientWidth")||1,this.target.property("scrollHeight")-this.target.property("clientHeight")||1)),a=(this._touchStart=new Vec((a.x<=0||1<=a.x?this._touchStart:e).x,(a.y<=0||1<=a.y?this._touchStart:e).y),this._scrollStart=new Vec((0===a.x||1===a.x?this._scrollStart:t).x,(0===a.y||1===a.y?this._scrollStart:t).y),t.sub(this._scrollStart).add(e.sub(this._touchStart)).neg());new Vec(Math.abs(a.x)>this._threshold.x?a.x:0,Math.abs(a.y)>this._threshold.y?a.y:0).equals(new Vec)||this._callback(a)}}class MotionPolicy{static modes=Object.freeze({FULL:"FULL",REDUCED:"REDUCED"});static mediaQuery="(prefers-reduced-motion: reduce)";static motionParameter="motion";static storageKey="motion";static reducedClass="reduced-motion";static crossFadeDuration=200;static shared=MotionPolicy.fromUrl();_query;_override;_reduced=!1;_listeners=new Set;constructor(override=null){this._query="function"==typeof window.matchMedia?window.matchMedia(MotionPolicy.mediaQuery):null,this._query?.addEventListener("change",()=>this._update()),this._override=MotionPolicy._checkMode(override),this._update()}get reduced(){return this._override?this._override===MotionPolicy.modes.REDUCED:!!this._query?.matches}get override(){return this._override}set override(mode){this._override=MotionPolicy._checkMode(mode);try{mode?window.localStorage.setItem(MotionPolicy.storageKey,mode):window.localStorage.removeItem(MotionPolicy.storageKey)}catch{}this._update()}addListener(listener){this._listeners.add(listener)}removeListener(listener){this._listeners.delete(listener)}duration(duration){return this.reduced?Math.min(duration,MotionPolicy.crossFadeDuration):duration}static fromUrl(url=window.location.href){let e=null;try{e=window.localStorage.getItem(MotionPolicy.storageKey)}catch{}url=(new URL(url).searchParams.get(MotionPolicy.motionParameter)??e)?.toUpperCase();return new MotionPolicy(Object.values(MotionPolicy.modes).includes(url)?url:null)}static _checkMode(mode){if(null===mode||Object.values(MotionPolicy.modes).includes(mode))return mode;throw new Error("MotionPolicy: Unknown mode '"+mode+"'")}_update(){var e=this.reduced;if(document.documentElement.classList.toggle(MotionPolicy.reducedClass,e),e!==this._reduced){this._reduced=e;for(const t of this._listeners)t(e)}}}class Capabilities{static flags={largeCards:"(max-width: 600px), (max-height: 500px)",smoothLayout:"(pointer: coarse)",overscrollClose:"(pointer: coarse)",stableHeight:"(hover: none) and (pointer: coarse)",hoverEffects:"(hover: hover) and (pointer: fine)"};static shared=new Capabilities;_queries=new Map;_listeners=new Set;constructor(flags=Capabilities.flags){for(const[t,a]of Object.entries(flags)){var e="function"==typeof window.matchMedia?window.matchMedia(a):null;e?.addEventListener("change",()=>this._update(t)),this._queries.set(t,e)}}has(flag){if(this._queries.has(flag))return!!this._queries.get(flag)?.matches;throw new Error("Capabilities.has: No flag named '"+flag+"'")}addListener(listener){this._listeners.add(listener)}removeListener(listener){this._listeners.delete(listener)}_update(flag){var e=this.has(flag);for(const t of this._listeners)t(flag,e)}}class EventEmitter{static events=Object.freeze({});_handlers=new Map;on(type,handler){return this._checkType(type,"on"),this._handlers.has(type)||this._handlers.set(type,new Set),this._handlers.get(type).add(handler),this}off(type,handler){return this._checkType(type,"off"),this._handlers.get(type)?.delete(handler),this}_emit(type,detail={}){this._checkType(type,"_emit");for(const e of[...this._handlers.get(type)??[]])try{e(detail)}catch(e){queueMicrotask(()=>{throw e})}}_checkType(type,method){if(!Object.values(this.constructor.events).includes(type))throw new Error(this.constructor.name+`.${method}: No event named '${type}'`)}}class Spring{static linearSupported="undefined"!=typeof CSS&&CSS.supports("transition-timing-function","linear(0, 1)");static linearPoints=40;static maxDuration=5e3;static settleStep=1;stiffness;damping;mass;velocity;restDistance;fallback;duration;constructor(stiffness=170,damping=26,mass=1,velocity=0,restDistance=.001,fallback="ease-out"){this.stiffness=stiffness,this.damping=damping,this.mass=mass,this.velocity=velocity,this.restDistance=restDistance,this.fallback=fallback,this.duration=this._findDuration(),Object.freeze(this)}positionAt(time){var e,t,time=time/1e3,a=Math.sqrt(this.stiffness/this.mass),r=this.damping/(2*Math.sqrt(this.stiffness*this.mass));let i;return 1+(i=r<1?(e=a*Math.sqrt(1-r**2),Math.exp(-r*a*time)*(-Math.cos(e*time)+(this.velocity-r*a)/e*Math.sin(e*time))):1==r?Math.exp(-a*time)*((this.velocity-a)*time-1):(e=a*Math.sqrt(r**2-1),(-1-(a=(this.velocity+(t=-r*a+e))/((r=-r*a-e)-t)))*Math.exp(t*time)+a*Math.exp(r*time)))}toLinear(points=Spring.linearPoints){return"linear("+this.sample(points).map(x=>+x.toFixed(4)).join(", ")+")"}sample(count){var t=new Array(count);for(let e=0;e<count;++e)t[e]=this.positionAt(e/(count-1)*this.duration);return t[0]=0,t[count-1]=1,t}keyframes(from,to,count=Spring.linearPoints){count=this.sample(count+1).slice(1);return new AnimKeyframes(count.map(x=>AnimParams.interpolate(from,to,x)))}toString(){return Spring.linearSupported?this.toLinear():this.fallback}_findDuration(){let t=0;for(let e=0;e<=Spring.maxDuration;e+=Spring.settleStep)Math.abs(1-this.positionAt(e))>this.restDistance&&(t=e+Spring.settleStep);return Math.min(t,Spring.maxDuration)}}class AnimParams{position;size;rotation;scale;tilt;opacity;zIndex;constructor(position=null,size=null,rotation=null,scale=null,tilt=null,opacity=null,zIndex=null){this.position=position,this.size=size,this.rotation=rotation,this.scale=scale,this.tilt=tilt,this.opacity=opacity,this.zIndex=zIndex,Object.freeze(this)}fillFrom(other){return new AnimParams(this.position??other.position,this.size??other.size,this.rotation??other.rotation,this.scale??other.scale,this.tilt??other.tilt,this.opacity??other.opacity,this.zIndex??other.zIndex)}static interpolate(from,to,t){var e=(a,b)=>a+(b-a)*t,r=(a,b)=>a&&b?a.add(b.sub(a).mult(t)):b??a;return new AnimParams(r(from.position,to.position),r(from.size,to.size),e(from.rotation,to.rotation),e(from.scale,to.scale),r(from.tilt,to.tilt),e(from.opacity,to.opacity),null!==from.zIndex&&null!==to.zIndex?Math.round(e(from.zIndex,to.zIndex)):to.zIndex??from.zIndex)}}class AnimKeyframes{frames;offsets;eases;constructor(frames,offsets=null,eases=null){if(offsets&&offsets.length!==frames.length||eases&&eases.length!==frames.length)throw new Error("AnimKeyframes.constructor: Assertion 'frames.length == offsets.length == eases.length' failed");this.frames=frames.slice(),this.offsets=offsets?offsets.slice():frames.map((_,i)=>(i+1)/frames.length),this.eases=eases?eases.slice():new Array(frames.length).fill("linear"),Object.freeze(this)}get last(){return this.frames[this.frames.length-1]}}class CardAnim{static durationEpsilon=50;static webAnimations="undefined"!=typeof Element&&"function"==typeof Element.prototype.animate;static perspective="80vh";static _running=new WeakMap;static _params=new WeakMap;static _recording=null;static _keywordEases=new Map([["ease",[.25,.1,.25,1]],["ease-in",[.42,0,1,1]],["ease-out",[0,0,.58,1]],["ease-in-out",[.42,0,.58,1]]]);selection;startParams;endParams;ease;duration;dependsOn;callback;constructor(selection,startParams,endParams,ease,duration,dependsOn=[],callback=null){let e;if(startParams){if(e=Array.isArray(startParams),endParams&&Array.isArray(endParams)!==e)throw new Error("CardAnim.constructor: startParams and endParams must both be an array, or both objects")}else e=!!endParams&&Array.isArray(endParams);if(e&&(startParams&&selection.size()!==startParams.length||endParams&&selection.size()!==endParams.length))throw new Error("CardAnim.constructor: Assertion 'selection.size () == startParams.length == endParams.length' failed");this.selection=selection,this.startParams=startParams?e?startParams.slice():new Array(selection.size()).fill(startParams):null,this.endParams=endParams?e?endParams.slice():new Array(selection.size()).fill(endParams):null,this.ease=ease,this.duration=duration,this.dependsOn=dependsOn.slice(),this.callback=callback,CardAnim._recording?.add(this)}animate(){return new AnimHandle(this)}play(){return this.animate().finished}followedBy(anim){return anim.dependsOn.push(this),anim}addDependency(anim){return this.dependsOn.push(anim),this}continueTo(endParams,ease=null,duration=null){return new CardAnim(this.selection,null,endParams,ease??this.ease,duration??this.duration,[this])}singleContinueTo(index,endParams,ease=null,duration=null){return new CardAnim(this.selection.filter((d,i)=>i===index),null,endParams,ease??this.ease,duration??this.duration,[this])}addCallback(f){const e=this.callback;return this.callback=e?()=>{e(),f()}:f,this}_animate(handle){if(!CardAnim.webAnimations)return this._animateTransitions(handle);this.startParams&&this.selection.data(this.startParams).join().each(function(d){CardAnim._stop(this),CardAnim._apply(this,d)});const a=[],r=this;if(this.endParams){const i=MotionPolicy.shared.reduced,s={duration:handle.finishing?0:MotionPolicy.shared.duration(this.duration),easing:i?"linear":this.ease};this.selection.data(this.endParams).join().each(function(d){CardAnim._stop(this);let e=CardAnim._path(CardAnim._currentParams(this),d);i&&(e=CardAnim._crossFadePath(e)),CardAnim._apply(this,e.frames[e.frames.length-1]);const t=this.animate(CardAnim._keyframes(e),s);CardAnim._running.set(this,{animation:t,path:e,handle:handle,node:r}),a.push(handle.track(this,t.finished.catch(()=>{}).then(()=>{CardAnim._running.get(this)?.animation===t&&CardAnim._running.delete(this)})))})}return(a.length?Promise.all(a):handle.wait(this.duration)).then(()=>{this.callback&&!handle.interrupted(this)&&this.callback()})}_animateTransitions(handle){this.startParams&&this.selection.data(this.startParams).join().each(function(d){CardAnim._stop(this),CardAnim._apply(this,d)});var e=MotionPolicy.shared.duration(this.duration);const r=handle.wait((this.endParams?e:this.duration)+CardAnim.durationEpsilon);if(this.endParams){const i=handle.finishing?0:e,s=this.ease,n=MotionPolicy.shared.reduced,o=this;this.selection.data(this.endParams).join().each(function(d){CardAnim._stop(this);let t=CardAnim._path(CardAnim._currentParams(this),d);n&&(t=CardAnim._crossFadePath(t));const a=[];for(let e=1;e<t.frames.length;++e)a.push(setTimeout(()=>{d3.select(this).style("transition-property","transform, width, height, opacity").style("transition-duration",(t.offsets[e]-t.offsets[e-1])*i+"ms").style("transition-timing-function",t.eases[e]??s),CardAnim._apply(this,t.frames[e],!1)},t.offsets[e-1]*i));CardAnim._running.set(this,{timers:a,path:t,handle:handle,node:o}),handle.track(this,r.then(()=>{CardAnim._running.get(this)?.timers===a&&CardAnim._running.delete(this)}))})}return r.then(()=>{this.callback&&!handle.interrupted(this)&&this.callback()})}static _path(from,to){if(!(to instanceof AnimKeyframes))return{frames:[from,to.fillFrom(from)],offsets:[0,1],eases:[null,null]};var e=[from];for(const t of to.frames)e.push(t.fillFrom(e[e.length-1]));return{frames:e,offsets:[0,...to.offsets],eases:[null,...to.eases]}}static _crossFadePath(path){var e,t=path.frames[0],path=path.frames[path.frames.length-1];const a=CardAnim._paramsToStyle(t),r=CardAnim._paramsToStyle(path);return["transform","width","height"].every(property=>a[property]===r[property])?{frames:[t,path],offsets:[0,1],eases:[null,"linear"],crossFade:!0}:{frames:[t,(e=params=>new AnimParams(null,null,null,null,null,0).fillFrom(params))(t),e(path),path],offsets:[0,.5,.5,1],eases:[null,"linear","linear","linear"],crossFade:!0}}static _keyframes(path){return path.frames.map((frame,i)=>({...CardAnim._paramsToStyle(frame),offset:path.offsets[i],easing:path.eases[i+1]??"linear"}))}static _pointOnPath(path,progress){let e=1;for(;e<path.frames.length-1&&path.offsets[e]<progress;)++e;var t=path.offsets[e]-path.offsets[e-1],t=0<t?(progress-path.offsets[e-1])/t:1;return AnimParams.interpolate(path.frames[e-1],path.frames[e],CardAnim._easeAt(path.eases[e]??"linear",t))}static _easeAt(ease,t){var ease=String(ease).trim(),e=CardAnim._keywordEases.get(ease)??ease.match(/^cubic-bezier\((.*)\)$/)?.[1].split(",").map(parseFloat);if(e){var[i,e,s,n]=e,o=(a,b,s)=>3*a*s*(1-s)**2+3*b*s*s*(1-s)+s**3;let a=0,r=1;for(let e=0;e<30;++e){var d=(a+r)/2;o(i,s,d)<t?a=d:r=d}return o(e,n,(a+r)/2)}e=ease.match(/^linear\((.*)\)$/);if(!e)return t;var r=e[1].split(",").flatMap(entry=>{const[e,...t]=entry.trim().split(/\s+/).map(parseFloat);return t.length?t.map(p=>({value:e,position:p/100})):[{value:e,position:null}]});r[0].position??=0,r[r.length-1].position??=1;for(let t=1,a=0;t<r.length;++t)if(null!==r[t].position){r[t].position=Math.max(r[t].position,r[a].position);for(let e=a+1;e<t;++e)r[e].position=r[a].position+(r[t].position-r[a].position)*(e-a)/(t-a);a=t}n=r.findIndex(point=>point.position>t);return n<=0?(0===n?r[0]:r[r.length-1]).value:([ease,e]=[r[n-1],r[n]],ease.value+(e.value-ease.value)*(t-ease.position)/(e.position-ease.position))}static _paramsToStyle(params){var e={transform:`translate3d(${params.position.x}px,${params.position.y}px, 0) translate(50%, 50%) perspective(${CardAnim.perspective}) `+`rotate(${params.rotation}deg) rotateX(${params.tilt.x}deg) rotateY(${params.tilt.y}deg) scale(${params.scale}) translate(-50%, -50%)`,opacity:String(params.opacity)};return params.size&&(e.width=params.size.x+"px",e.height=params.size.y+"px"),null!==params.zIndex&&(e.zIndex=String(params.zIndex)),e}static _currentParams(element){var e=CardAnim._params.get(element);return e||(e=element.style.transform,e=Array.from(e.matchAll(/(\w+)\((.+?)\)/gm)).reduce((agg,[,fn,val])=>({...agg,[fn]:val}),{}),new AnimParams(e.translate3d?Vec.parse.apply(null,e.translate3d.split(",").slice(0,2)):new Vec(0),element.style.width&&element.style.height?new Vec(parseFloat(element.style.width),parseFloat(element.style.height)):null,e.rotate?parseFloat(e.rotate):0,e.scale?parseFloat(e.scale):1,new Vec(e.rotateX?parseFloat(e.rotateX):0,e.rotateY?parseFloat(e.rotateY):0),element.style.opacity?parseFloat(element.style.opacity):1,element.style.zIndex?parseInt(element.style.zIndex):null))}static _apply(element,params,instant=!0){params=params.fillFrom(CardAnim._currentParams(element));return CardAnim._params.set(element,params),instant&&(element.style.transitionDuration="0s"),Object.assign(element.style,CardAnim._paramsToStyle(params)),params}static _stop(element){var e,t=CardAnim._running.get(element);t&&(CardAnim._running.delete(element),t.handle.interrupt(t.node),t.timers?(t.timers.forEach(clearTimeout),t.path.crossFade&&CardAnim._apply(element,t.path.frames[t.path.frames.length-1])):(e=t.path.crossFade?1:t.animation.effect.getComputedTiming().progress??1,CardAnim._apply(element,CardAnim._pointOnPath(t.path,e)),t.animation.cancel()))}static _finish(element){var e=CardAnim._running.get(element);e&&(e.timers?(e.timers.forEach(clearTimeout),CardAnim._running.delete(element),CardAnim._apply(element,e.path.frames[e.path.frames.length-1])):e.animation.finish())}static Delay(selection,ease,duration,dependsOn=[]){return new DelayAnim(selection,ease,duration,dependsOn)}static Deferred(selection,factory,dependsOn=[]){return new DeferredAnim(selection,factory,dependsOn)}static all(anims){return Promise.all(anims.map(anim=>anim.play())).then(completed=>completed.every(c=>c))}static async sequence(steps){for(const e of steps)if(!await("function"==typeof e?e():e).play())return!1;return!0}static race(anims){const t=anims.map(anim=>anim.animate());return Promise.race(t.map(handle=>handle.finished.then(()=>handle))).then(winner=>{for(const e of t)e!==winner&&e.cancel();return winner.root})}}class DelayAnim extends CardAnim{constructor(selection,ease,duration,dependsOn=[]){super(selection,null,null,ease,duration,dependsOn)}_animate(handle){return handle.wait(this.duration).then(()=>{this.callback&&!handle.interrupted(this)&&this.callback()})}}class DeferredAnim extends CardAnim{factory;constructor(selection,factory,dependsOn=[]){super(selection,null,null,null,0,dependsOn),this.factory=factory}_animate(handle){const e=this.factory();return handle.schedule(e).then(()=>{handle.interrupted(e)?handle.interrupt(this):this.callback&&this.callback()})}}class AnimHandle{static states=Object.freeze({RUNNING:"RUNNING",FINISHING:"FINISHING",FINISHED:"FINISHED",CANCELLED:"CANCELLED"});root;finished;_state=AnimHandle.states.RUNNING;_promises=new Map;_waits=new Set;_elements=new Set;_interrupted=new Set;constructor(root){this.root=root,this.finished=this.schedule(root).then(()=>(this._interrupted.has(root)&&(this._state=AnimHandle.states.CANCELLED),this.cancelled?!1:(this._state=AnimHandle.states.FINISHED,!0)))}get state(){return this._state}get cancelled(){return this._state===AnimHandle.states.CANCELLED}get finishing(){return this._state===AnimHandle.states.FINISHING}cancel(){if(this._state!==AnimHandle.states.FINISHED&&this._state!==AnimHandle.states.CANCELLED){this._state=AnimHandle.states.CANCELLED;for(const e of this._elements)CardAnim._stop(e);for(const t of this._waits)t()}}finish(){if(this._state===AnimHandle.states.RUNNING){this._state=AnimHandle.states.FINISHING;for(const e of this._elements)CardAnim._finish(e);for(const t of this._waits)t()}}retarget(endParams,ease=null,duration=null){return this.cancel(),new CardAnim(this.root.selection,null,endParams,ease??this.root.ease,duration??this.root.duration).animate()}schedule(node){var e;return this._promises.has(node)?this._promises.get(node):(e=Promise.all(node.dependsOn.map(dep=>this.schedule(dep))).then(()=>(node.dependsOn.some(dep=>this._interrupted.has(dep))&&this.interrupt(node),this.interrupted(node)?void 0:node._animate(this))),this._promises.set(node,e),e)}interrupt(node){this._interrupted.add(node)}interrupted(node){return this.cancelled||this._interrupted.has(node)}wait(duration){return this._state!==AnimHandle.states.RUNNING?Promise.resolve():new Promise(res=>{const e=()=>{clearTimeout(t),this._waits.delete(e),res()},t=setTimeout(e,duration);this._waits.add(e)})}track(element,finished){return this._elements.add(element),finished.then(()=>this._elements.delete(element)),finished}}class AnimGraph{static edgeTypes=Object.freeze({DEPENDS_ON:"DEPENDS_ON",CREATES:"CREATES"});root;nodes=[];edges=[];starts=[];ends=[];duration;criticalPath=[];cycles=[];_indices=new Map;_creators=new Map;constructor(root){this.root=root,this._visit(root,0,new Set),this.cycles=this.cycles.map(cycle=>cycle.map(node=>this._indices.get(node))),this.duration=this.ends[this._indices.get(root)];for(let e=this._indices.get(root);void 0!==e;e=this._waitedFor(e))this.criticalPath.unshift(e)}orphans(created){return Array.from(created).filter(node=>!this._indices.has(node))}toJSON(){return{duration:this.duration,criticalPath:this.criticalPath,cycles:this.cycles,nodes:this.nodes.map((node,i)=>({id:i,type:node.constructor.name,elements:node.selection.size(),ease:null===node.ease?null:String(node.ease),duration:node.duration,start:this.starts[i],end:this.ends[i],startParams:!!node.startParams,endParams:!!node.endParams,callback:!!node.callback})),edges:this.edges}}toDot(){const t=new Set(this.criticalPath),a=new Set(this.cycles.flat()),r=["digraph AnimGraph {","\trankdir=LR;","\tnode [shape=box, fontname=monospace];"];this.nodes.forEach((node,i)=>{var node=`${node.constructor.name} #${i}\\n${this.starts[i]}-${this.ends[i]}ms`,e=[t.has(i)?"style=bold":null,a.has(i)?"color=red":null].filter(s=>s);r.push(`	n${i} [label="${node}"${e.map(s=>", "+s).join("")}];`)});for(const s of this.edges){var e=[s.type===AnimGraph.edgeTypes.CREATES?"style=dashed":null,t.has(s.from)&&t.has(s.to)&&this.criticalPath.indexOf(s.to)===this.criticalPath.indexOf(s.from)+1?"penwidth=2":null].filter(s=>s);r.push(`	n${s.from} -> n${s.to}${e.length?" ["+e.join(", ")+"]":""};`)}return r.push("}"),r.join("\n")}static record(f){const e=CardAnim._recording;var t=CardAnim._recording=new Set;try{return{result:f(),created:t}}finally{(CardAnim._recording=e)&&t.forEach(node=>e.add(node))}}_visit(node,origin,visiting,creator=null){if(this._indices.has(node))return this.ends[this._indices.get(node)];var e;if(visiting.has(node))return e=Array.from(visiting),this.cycles.push(e.slice(e.indexOf(node))),null;visiting.add(node),creator&&this._creators.set(node,creator);let t=origin;var a=[];for(const n of node.dependsOn){const r=this._visit(n,origin,visiting,creator);null!==r&&(t=Math.max(t,r),a.push(n))}let r=t+node.duration,i=null;node instanceof DeferredAnim&&(i=node.factory(),r=Math.max(t,this._visit(i,t,visiting,node)??t)),visiting.delete(node);var s=this.nodes.length;this._indices.set(node,s),this.nodes.push(node),this.starts.push(t),this.ends.push(r);for(const o of a)this.edges.push({from:this._indices.get(o),to:s,type:AnimGraph.edgeTypes.DEPENDS_ON});return i&&this._indices.has(i)&&this.edges.push({from:this._indices.get(i),to:s,type:AnimGraph.edgeTypes.CREATES}),r}_waitedFor(index){var e=edges=>edges.reduce((latest,edge)=>void 0===latest||this.ends[edge.from]>this.ends[latest]?edge.from:latest,void 0),t=e(this.edges.filter(edge=>edge.to===index));if(void 0!==t)return t;const a=this._creators.get(this.nodes[index]);return a?e(this.edges.filter(edge=>edge.to===this._indices.get(a)&&edge.type===AnimGraph.edgeTypes.DEPENDS_ON)):void 0}}class Timeline{root;duration;finished;_entries;_animations=[];_callbacks;_callbacksDone=0;_time=0;_changedAt=performance.now();_rate=1;_paused;_done=!1;_resolve;constructor(root,paused=!1){if(!CardAnim.webAnimations)throw new Error("Timeline.constructor: The Web Animations API is not supported");const e=root instanceof AnimGraph?root:new AnimGraph(root);if(e.cycles.length)throw new Error("Timeline.constructor: The animation graph contains a cycle");this.root=e.root,this.duration=e.duration,this._entries=e.nodes.map((node,i)=>({node:node,start:e.starts[i],end:e.ends[i]})).sort((a,b)=>a.start-b.start),this._callbacks=this._entries.filter(entry=>entry.node.callback).map(entry=>({time:entry.end,callback:entry.node.callback})).sort((a,b)=>a.time-b.time),this._createAnimations(),this.finished=new Promise(res=>this._resolve=res),this._paused=paused,this._tick()}get currentTime(){var e=this._paused||this._done?this._time:this._time+(performance.now()-this._changedAt)*this._rate;return Math.min(e,this.duration)}get playbackRate(){return this._rate}set playbackRate(rate){this._setClock(this.currentTime),this._rate=rate}get paused(){return this._paused}get done(){return this._done}pause(){this._setClock(this.currentTime),this._paused=!0}resume(){this._setClock(this.currentTime),this._paused=!1}seek(time){this._setClock(Math.max(0,Math.min(time,this.duration))),this._update()}_createAnimations(){const t=new Map,e=(element,params)=>this._animations.push(element.animate([CardAnim._paramsToStyle(params),CardAnim._paramsToStyle(params)],{duration:0,fill:"forwards"})),a=element=>(t.has(element)||(CardAnim._stop(element),t.set(element,CardAnim._currentParams(element)),e(element,t.get(element))),t.get(element));for(const{node:s,start:n}of this._entries){s.startParams&&s.selection.data(s.startParams).join().each(function(d){t.set(this,d.fillFrom(a(this)))});const o=this._animations;s.endParams?s.selection.data(s.endParams).join().each(function(d){d=CardAnim._path(a(this),d);o.push(this.animate(CardAnim._keyframes(d),{delay:n,duration:s.duration,easing:s.ease,fill:"forwards"})),t.set(this,d.frames[d.frames.length-1])}):s.startParams&&s.selection.each(function(){var e=CardAnim._paramsToStyle(t.get(this));o.push(this.animate([e,e],{delay:n,duration:0,fill:"forwards"}))})}for(var[r,i]of t)CardAnim._apply(r,i);for(const l of this._animations)l.pause()}_setClock(time){this._time=time,this._changedAt=performance.now()}_update(){if(!this._done){var e=this.currentTime;for(const t of this._animations)t.currentTime=e;for(;this._callbacksDone<this._callbacks.length&&this._callbacks[this._callbacksDone].time<=e;)this._callbacks[this._callbacksDone++].callback();if(e>=this.duration){this._done=!0,this._setClock(this.duration);for(const a of this._animations)a.cancel();this._resolve()}}}_tick(){this._update(),this._done||requestAnimationFrame(()=>this._tick())}}class TimelineScrubber{static rates=[.1,.25,.5,1,2];_timeline;_overlay;_pauseButton;_range;_readout;constructor(timeline,parent=document.body,notes=[]){this._timeline=timeline,this._overlay=d3.select(parent).append("div").classed("timeline-scrubber",!0),this._pauseButton=this._overlay.append("button").on("click",()=>timeline.paused?timeline.resume():timeline.pause()),this._range=this._overlay.append("input").attr("type","range").attr("min",0).attr("max",timeline.duration).attr("step",1).on("pointerdown",()=>timeline.pause()).on("input",event=>timeline.seek(parseFloat(event.target.value))),this._overlay.append("select").on("change",event=>timeline.playbackRate=parseFloat(event.target.value)).selectAll("option").data(TimelineScrubber.rates).join("option").attr("value",d=>d).property("selected",d=>d===timeline.playbackRate).text(d=>d+"x"),this._readout=this._overlay.append("span"),this._overlay.selectAll(".timeline-note").data(notes).join("span").classed("timeline-note",!0).text(d=>d),this._update(),timeline.finished.then(()=>this._overlay.remove())}_update(){var e;this._timeline.done||(e=this._timeline.currentTime,this._pauseButton.text(this._timeline.paused?"Play":"Pause"),this._range.property("value",e),this._readout.text(Math.round(e)+" / "+Math.round(this._timeline.duration)+"ms"),requestAnimationFrame(()=>this._update()))}}class Stagger{delay;order;maxDuration;constructor(delay,order=Stagger.index(),maxDuration=null){this.delay=delay,this.order=order,this.maxDuration=maxDuration,Object.freeze(this)}static from(stagger){return stagger instanceof Stagger?stagger:new Stagger(stagger)}delays(selection,centers=null){selection=selection.nodes().map((element,i)=>{var e=CardAnim._currentParams(element);return{index:i,element:element,center:centers?centers[i]:e.position.add(e.size?e.size.div(2):new Vec(0))}});const e=selection.slice().sort(this.order),t=new Array(selection.length);let a=0;e.forEach((item,i)=>{0<i&&0!==this.order(e[i-1],item)&&++a,t[item.index]=a});const s=null!==this.maxDuration&&0<a?Math.min(this.delay,this.maxDuration/a):this.delay;return t.map(r=>r*s)}static index(){return(a,b)=>a.index-b.index}static reverse(){return(a,b)=>b.index-a.index}static random(random=Random.shared){const e=new Map,t=item=>(e.has(item.index)||e.set(item.index,random.next()),e.get(item.index));return(a,b)=>t(a)-t(b)}static distance(point){return(a,b)=>a.center.distanceTo(point)-b.center.distanceTo(point)}static rows(reverse=!1){return(a,b)=>(Math.round(a.center.y)-Math.round(b.center.y))*(reverse?-1:1)}static columns(reverse=!1){return(a,b)=>(Math.round(a.center.x)-Math.round(b.center.x))*(reverse?-1:1)}}class CardThrow{createAnimation(card,startParams,endParams,ease,delay,duration){return new CardAnim(card,startParams,null,ease,delay).continueTo(endParams,ease,duration)}}class BallisticThrow extends CardThrow{arc;spin;overshoot;overshootRotation;lift;settle;stops;constructor(arc=.15,spin=360,overshoot=.06,overshootRotation=4,lift=.08,settle=.3,stops=6){super(),this.arc=arc,this.spin=spin,this.overshoot=overshoot,this.overshootRotation=overshootRotation,this.lift=lift,this.settle=settle,this.stops=stops}createAnimation(card,startParams,endParams,ease,delay,duration){var t=startParams.size??endParams.size,a=endParams.size??t;const r=startParams.position.add(t.div(2));var e=endParams.position.add(a.div(2)),i=r.distanceTo(e);if(!i)return super.createAnimation(card,startParams,endParams,ease,delay,duration);var s=r.directionTo(e),n=s.x<0?-1:1;const o=e.add(s.mult(this.overshoot*(a.x+a.y)/2));e=new Vec(s.y,-s.x).mult(s.x<0?-1:1);const d=r.add(o).div(2).add(e.mult(this.arc*i));var l=(startParams.rotation??0)-n*this.spin,c=(endParams.rotation??0)+n*this.overshootRotation,h=1-this.settle,m=[],p=[],g=[];for(let e=1;e<=this.stops;++e){var _=e/this.stops,f=1-(1-_)**2,y=t.add(a.sub(t).mult(f));m.push(new AnimParams((u=>r.mult((1-u)**2).add(d.mult(2*u*(1-u))).add(o.mult(u**2)))(f).sub(y.div(2)),y,l+(c-l)*f,1+this.lift*Math.sin(Math.PI*_))),p.push(_*h),g.push("linear")}return m.push(endParams),p.push(1),g.push("ease-in-out"),new CardAnim(card,new AnimParams(startParams.position,t,l,1).fillFrom(startParams),null,ease,delay).continueTo(new AnimKeyframes(m,p,g),"linear",duration)}}class DealPattern{createParams(dealer){throw new Error("DealPattern.createParams: Not implemented")}createAnimation(dealer,params,dealDelay,dealDuration,cardThrow=new CardThrow){const e=DealPattern._staggerDelays(dealer,params,dealDelay);return this._createStaggeredAnimation(dealer.cards,params,i=>e[i],dealDuration,"ease-out",cardThrow)}_createStaggeredAnimation(cards,params,delay,duration,ease,cardThrow){const t=params.endParams.slice(),r=new Set;let e=!1;params.jitteredParams&&params.jitteredParams.then(jittered=>jittered.forEach((p,i)=>{t[i]=p,r.has(i)&&!e&&new CardAnim(d3.select(cards.nodes()[i]),null,p,ease,duration).animate()}));var s=d3.range(cards.size()).sort((a,b)=>delay(a)-delay(b));const n=new Array(cards.size()),o=(s.forEach((i,stack)=>n[i]=new AnimParams(null,null,null,null,null,null,stack).fillFrom(params.startParams[i])),new Array(cards.size()));return cards.each(function(d,i){const e=d3.select(this);params.jitteredParams?o[i]=CardAnim.Deferred(e,()=>cardThrow.createAnimation(e,n[i],t[i],ease,0,duration),[new CardAnim(e,n[i],null,ease,delay(i)).addCallback(()=>r.add(i))]):o[i]=cardThrow.createAnimation(e,n[i],t[i],ease,delay(i),duration)}),CardAnim.Delay(cards,ease,0,o).addCallback(()=>e=!0)}static _staggerDelays(dealer,params,dealDelay){params=params.endParams.map(p=>p.position.add(p.size?p.size.div(2):new Vec(0)));return Stagger.from(dealDelay).delays(dealer.cards,params)}_centeredParams(center,size,rotation){return new AnimParams(center.sub(size.div(2)),size,rotation)}}class CoverDealPattern extends DealPattern{transJitter;rotJitter;iters;fallback;background;constructor(transJitter=.1,rotJitter=10,iters=10,fallback=null,background=!0){super(),this.transJitter=transJitter,this.rotJitter=rotJitter,this.iters=iters,this.fallback=fallback,this.background=background}createParams(dealer){var e,t=new Array(dealer.cards.size()).fill(new AnimParams(dealer.dealOrigin,dealer.cardSize,0)),a=this.fallback??Dealer.coverFallback;return this.background?(e=dealer.createCoverParamsAsync(this.transJitter,this.rotJitter,this.iters,a))?{startParams:t,...e}:null:(e=dealer.createCoverParams(this.transJitter,this.rotJitter,this.iters,a))?{startParams:t,endParams:e}:null}}class FanDealPattern extends DealPattern{spread;radius;constructor(spread=70,radius=1.2){super(),this.spread=spread,this.radius=radius}createParams(dealer){var t=dealer.cardSize.y*this.radius,a=dealer.dealPos.add(dealer.dealSize.div(2)).add(new Vec(0,t)),r=dealer.cards.size(),i=new Array(r);for(let e=0;e<r;++e){var s=1<r?this.spread*(e/(r-1)-.5):0;i[e]=this._centeredParams(a.add(new Vec(0,-t).rotate(Vec.rad(s))),dealer.cardSize,s)}return{startParams:new Array(r).fill(new AnimParams(dealer.dealOrigin,dealer.cardSize,0)),endParams:i}}}class CascadeDealPattern extends DealPattern{rotJitter;constructor(rotJitter=5){super(),this.rotJitter=rotJitter}createParams(dealer){var e=new AnimParams(dealer.dealPos.sub(new Vec(0,dealer.cardSize.y)),dealer.cardSize,0),t=dealer.cards.size(),a=new Array(t);for(let e=0;e<t;++e)a[e]=new AnimParams(dealer.dealPos.add(dealer.dealSize.sub(dealer.cardSize).mult(1<t?e/(t-1):.5)),dealer.cardSize,dealer.random.signed()*this.rotJitter);return{startParams:new Array(t).fill(e),endParams:a}}}class SpiralDealPattern extends DealPattern{turns;constructor(turns=1.25){super(),this.turns=turns}createParams(dealer){var t=dealer.dealPos.add(dealer.dealSize.div(2)),a=dealer.dealSize.sub(dealer.cardSize).div(2),r=dealer.cards.size(),i=new Array(r);for(let e=0;e<r;++e){var s=1<r?e/(r-1):0,n=s*this.turns*360;i[e]=this._centeredParams(t.add(new Vec(Math.cos(Vec.rad(n)),Math.sin(Vec.rad(n))).mult(a.mult(s))),dealer.cardSize,n)}return{startParams:new Array(r).fill(this._centeredParams(t,dealer.cardSize,0)),endParams:i}}}class RiffleDealPattern extends DealPattern{stackOffset;pileTilt;constructor(stackOffset=.005,pileTilt=10){super(),this.stackOffset=stackOffset,this.pileTilt=pileTilt}createParams(dealer){var t=dealer.dealPos.add(dealer.dealSize.div(2)),a=new Vec(Math.max(dealer.dealSize.x-dealer.cardSize.x,dealer.cardSize.x)/2,0),r=new Vec(0,-dealer.cardSize.y*this.stackOffset),i=dealer.cards.size(),s=new Array(i),n=new Array(i);for(let e=0;e<i;++e){var o=e%2?1:-1;s[e]=this._centeredParams(t.add(a.mult(o)).add(r.mult(Math.floor(e/2))),dealer.cardSize,-o*this.pileTilt),n[e]=this._centeredParams(t.add(r.mult(e)),dealer.cardSize,2*dealer.random.signed())}return{startParams:s,endParams:n}}createAnimation(dealer,params,dealDelay,dealDuration,cardThrow=new CardThrow){const e=DealPattern._staggerDelays(dealer,params,dealDelay);return this._createStaggeredAnimation(dealer.cards,params,i=>e[i]/2,dealDuration/2,"ease-in-out",cardThrow)}}class Line{p1;p2;domMin;domMax;a;b;c;static epsilon=.001;constructor(p1,p2){this._reset(p1,p2)}_reset(p1,p2){this.p1=p1,this.p2=p2,this.a=p1.y-p2.y,this.b=p2.x-p1.x,this.c=p1.x*p2.y-p2.x*p1.y,this.domMin=new Vec(Math.min(p1.x,p2.x),Math.min(p1.y,p2.y)),this.domMax=new Vec(Math.max(p1.x,p2.x),Math.max(p1.y,p2.y))}rotate(center,angle){this._reset(this.p1.sub(center).rotate(angle).add(center),this.p2.sub(center).rotate(angle).add(center))}translate(amount){this._reset(this.p1.add(amount),this.p2.add(amount))}intercept(other){var e,t;return!(this.domMin.x>other.domMax.x+2*Line.epsilon||other.domMin.x>this.domMax.x+2*Line.epsilon||this.domMin.y>other.domMax.y+2*Line.epsilon||other.domMin.y>this.domMax.y+2*Line.epsilon)&&(e=(this.b*other.c-other.b*this.c)/(this.a*other.b-this.b*other.a),t=(this.a*other.c-other.a*this.c)/(this.b*other.a-this.a*other.b),isFinite(e))&&isFinite(t)&&e>this.domMin.x-Line.epsilon&&e<this.domMax.x+Line.epsilon&&e>other.domMin.x-Line.epsilon&&e<other.domMax.x+Line.epsilon&&t>this.domMin.y-Line.epsilon&&t<this.domMax.y+Line.epsilon&&t>other.domMin.y-Line.epsilon&&t<other.domMax.y+Line.epsilon?new Vec(e,t):null}implicit(point){return this.a*point.x+this.b*point.y+this.c}}class Rect{boarders;center;size;constructor(center,size,rotation=0){this.center=center;var size=(this.size=size).div(2),e=(x,y)=>center.add(rotation?new Vec(x,y).rotate(rotation):new Vec(x,y));this.boarders=[new Line(e(-size.x,-size.y),e(size.x,-size.y)),new Line(e(-size.x,size.y),e(size.x,size.y)),new Line(e(-size.x,size.y),e(-size.x,-size.y)),new Line(e(size.x,size.y),e(size.x,-size.y))]}corners(){return[this.boarders[0].p1,this.boarders[0].p2,this.boarders[1].p1,this.boarders[1].p2]}bounds(){var e=this.corners();return{min:new Vec(Math.min(...e.map(c=>c.x)),Math.min(...e.map(c=>c.y))),max:new Vec(Math.max(...e.map(c=>c.x)),Math.max(...e.map(c=>c.y)))}}translate(amount){this.center=this.center.add(amount);for(const e of this.boarders)e.translate(amount);return this}rotate(angle){for(const e of this.boarders)e.rotate(this.center,angle);return this}containsPoint(point){return this.boarders[0].implicit(point)*this.boarders[1].implicit(point)<=0&&this.boarders[2].implicit(point)*this.boarders[3].implicit(point)<=0}overlaps(rect){return this.containsPoint(rect.boarders[0].p1)||this.containsPoint(rect.boarders[0].p2)||this.containsPoint(rect.boarders[1].p1)||this.containsPoint(rect.boarders[1].p2)||rect.containsPoint(this.boarders[0].p1)||rect.containsPoint(this.boarders[0].p2)||rect.containsPoint(this.boarders[1].p1)||rect.containsPoint(this.boarders[1].p2)}allIntercepts(rect){if(rect===this)return this.corners();var e=[];for(const a of this.boarders)for(const r of rect.boarders){var t=a.intercept(r);t&&e.push(t)}return e}static fromParams(params){return new Rect(params.position.add(params.size.div(2)),params.size,Vec.rad(params.rotation??0))}}class SpatialHash{cellSize;_cells=new Map;_bounds=new Map;_itemKeys=new Map;constructor(cellSize){this.cellSize=cellSize}insert(item,bounds){var e=this._keys(bounds);this._bounds.set(item,bounds),this._itemKeys.set(item,e);for(const t of e)this._cells.has(t)||this._cells.set(t,new Set),this._cells.get(t).add(item)}remove(item){for(const e of this._itemKeys.get(item))this._cells.get(e).delete(item);this._bounds.delete(item),this._itemKeys.delete(item)}boundsOf(item){return this._bounds.get(item)}query(bounds){var e=new Set;for(const t of this._keys(bounds))for(const a of this._cells.get(t)??[])SpatialHash.overlaps(this._bounds.get(a),bounds)&&e.add(a);return e}queryPoint(point){return this._cells.get(this._key(Math.floor(point.x/this.cellSize),Math.floor(point.y/this.cellSize)))??[]}static overlaps(a,b,epsilon=2*Line.epsilon){return a.min.x<=b.max.x+epsilon&&b.min.x<=a.max.x+epsilon&&a.min.y<=b.max.y+epsilon&&b.min.y<=a.max.y+epsilon}_keys(bounds){var a=[],r=Line.epsilon;for(let t=Math.floor((bounds.min.x-r)/this.cellSize);t<=Math.floor((bounds.max.x+r)/this.cellSize);++t)for(let e=Math.floor((bounds.min.y-r)/this.cellSize);e<=Math.floor((bounds.max.y+r)/this.cellSize);++e)a.push(this._key(t,e));return a}_key(x,y){return 65536*(x+32768)+(y+32768)}}class Dealer{static random=Random.shared;static patterns={cover:new CoverDealPattern,fan:new FanDealPattern,cascade:new CascadeDealPattern,spiral:new SpiralDealPattern,riffle:new RiffleDealPattern};static pattern="cover";static throws={straight:new CardThrow,ballistic:new BallisticThrow};static cardThrow="straight";static coverFallbacks=Object.freeze({SCALE:"SCALE",PARTIAL:"PARTIAL",NONE:"NONE"});static coverFallback=Dealer.coverFallbacks.SCALE;static noiseDrawsPerMove=3;static noiseSliceDuration=8;_cards;_cardSize;_dealPos;_dealSize;_dealOrigin;_random;constructor(cards,cardSize,dealPos,dealSize,dealOrigin,random=Dealer.random){this._cards=cards,this._cardSize=cardSize,this._dealPos=dealPos,this._dealSize=dealSize,this._dealOrigin=dealOrigin,this._random=random}get cards(){return this._cards}set cards(cards){this._cards=cards}get cardSize(){return this._cardSize}get dealPos(){return this._dealPos}get dealSize(){return this._dealSize}get dealOrigin(){return this._dealOrigin}get random(){return this._random}createAnimation(dealDelay,dealDuration,pattern=Dealer.pattern,cardThrow=Dealer.cardThrow,jitter=!0){var e=MotionPolicy.shared.reduced,pattern=Dealer.getPattern(pattern),cardThrow=e?new CardThrow:Dealer.getThrow(cardThrow),t=pattern.createParams(this);return t?pattern.createAnimation(this,jitter?t:{...t,jitteredParams:null},e?0:dealDelay,dealDuration,cardThrow):null}createGatherAnimation(gatherDelay,gatherDuration,point=this._dealPos.add(this._dealSize.div(2)),stackOffset=.005,rotJitter=2){var t=point.sub(this._cardSize.div(2)).add(new Vec(0,this._cardSize.y*stackOffset*(this._cards.size()-1)/2));const a=new Array(this._cards.size());for(let e=0;e<a.length;++e)a[e]=new AnimParams(t.sub(new Vec(0,this._cardSize.y*stackOffset*e)),this._cardSize,this._random.signed()*rotJitter,null,null,null,e);const e=Stagger.from(MotionPolicy.shared.reduced?0:gatherDelay).delays(this._cards),r=new Array(this._cards.size());return this._cards.each(function(d,i){r[i]=CardAnim.Delay(d3.select(this),"ease-in-out",e[i]).continueTo(a[i],"ease-in-out",gatherDuration)}),CardAnim.Delay(this._cards,"ease-in-out",0,r)}createCoverParams(transJitter=.1,rotJitter=10,iters=10,fallback=Dealer.coverFallback){fallback=this._createGridParams(fallback);if(!fallback)return null;if(fallback.jitter)for(var e=this._generateNoise(fallback.endParams,fallback.cardSize,transJitter,rotJitter,iters,this._random);!e.next().done;);return this._random.shuffle(fallback.endParams,fallback.shuffleCount),fallback.endParams}createCoverParamsAsync(transJitter=.1,rotJitter=10,iters=10,fallback=Dealer.coverFallback){fallback=this._createGridParams(fallback);if(!fallback)return null;var e=this._random.clone();fallback.jitter&&this._random.skip(Dealer.noiseDrawsPerMove*fallback.endParams.length*iters);const t=this._random.shuffle(Array.from(fallback.endParams.keys()),fallback.shuffleCount);var a=params=>t.map(i=>params[i]),transJitter=fallback.jitter?Dealer._runWhenIdle(this._generateNoise(fallback.endParams.slice(),fallback.cardSize,transJitter,rotJitter,iters,e)):Promise.resolve(fallback.endParams);return{endParams:a(fallback.endParams),jitteredParams:transJitter.then(a)}}_createGridParams(fallback){var t=this._cards.size();let a=this._cardSize,r=new Vec(Math.ceil(this._dealSize.x/a.x),Math.ceil(this._dealSize.y/a.y)),e=!0;if(r.x*r.y>t)switch(fallback){case Dealer.coverFallbacks.SCALE:if(0===t)return{endParams:[],cardSize:a,shuffleCount:0,jitter:!1};a=a.mult(this._coverScale(t)),r=new Vec(Math.ceil(this._dealSize.x/a.x),Math.ceil(this._dealSize.y/a.y));break;case Dealer.coverFallbacks.PARTIAL:r=this._partialGrid(t),e=!1;break;case Dealer.coverFallbacks.NONE:return null;default:throw new Error("Dealer.createCoverParams: No cover fallback named '"+fallback+"'")}var i=r.mult(a).sub(this._dealSize).div(r.add(new Vec(1))),s=new Array(t);for(let t=0;t<r.x;++t)for(let e=0;e<r.y;++e)s[r.y*t+e]=new AnimParams(this._dealPos.sub(i).add(a.sub(i).mult(new Vec(t,e))),a,0);for(let e=r.x*r.y;e<t;++e)s[e]=new AnimParams(this._dealPos.add(this._dealSize.sub(a).mult(this._random.next())),a,0);return{endParams:s,cardSize:a,shuffleCount:r.x*r.y,jitter:e}}analyseCoverage(params,resolution=64){return Dealer.analyseRectCoverage(params.map(param=>Rect.fromParams(param)),new Rect(this._dealPos.add(this._dealSize.div(2)),this._dealSize),resolution)}_coverScale(count){let t=1/0;for(let e=1;e<=count;++e)t=Math.min(t,Math.max(this._dealSize.x/(e*this._cardSize.x),this._dealSize.y/(Math.floor(count/e)*this._cardSize.y)));return Math.max(t*(1+Line.epsilon),1)}_partialGrid(count){let t=new Vec(0),a=0;for(let e=1;e<=count;++e){var r=Math.floor(count/e),i=Math.min(e*this._cardSize.x,this._dealSize.x)*Math.min(r*this._cardSize.y,this._dealSize.y);i>a&&(t=new Vec(e,r),a=i)}return t}static registerPattern(name,pattern){Dealer.patterns[name]=pattern}static getPattern(pattern){if(pattern instanceof DealPattern)return pattern;if(Object.hasOwn(Dealer.patterns,pattern))return Dealer.patterns[pattern];throw new Error("Dealer.getPattern: No deal pattern named '"+pattern+"'")}static registerThrow(name,cardThrow){Dealer.throws[name]=cardThrow}static getThrow(cardThrow){if(cardThrow instanceof CardThrow)return cardThrow;if(Object.hasOwn(Dealer.throws,cardThrow))return Dealer.throws[cardThrow];throw new Error("Dealer.getThrow: No card throw named '"+cardThrow+"'")}static analyseRectCoverage(rects,area,resolution=64){var a={min:area.center.sub(area.size.div(2)),max:area.center.add(area.size.div(2))},e=Math.max(area.size.x,area.size.y),r=new Vec(Math.max(Math.ceil(resolution*area.size.x/e),1),Math.max(Math.ceil(resolution*area.size.y/e),1)),s=area.size.div(r);const n=new SpatialHash(Math.max(e/Math.sqrt(rects.length||1),Line.epsilon));rects.forEach((rect,i)=>n.insert(i,rect.bounds()));let o=0;var d=[];for(let t=0;t<r.y;++t){var l=new Array(r.x);for(let e=0;e<r.x;++e){var c=a.min.add(s.mult(new Vec(e+.5,t+.5)));l[e]=!1;for(const i of n.queryPoint(c))if(rects[i].containsPoint(c)){l[e]=!0;break}l[e]&&++o}d.push(l)}var h=[];let u=new Map;for(let t=0;t<=r.y;++t){var m,p,g,_,f=new Map;for(let e=0;t<r.y&&e<r.x;++e)if(!d[t][e]){for(var y=e;e+1<r.x&&!d[t][e+1];)++e;var v=y+","+e;f.set(v,u.get(v)??{start:y,end:e,top:t})}for([m,p]of u)f.has(m)||(g=a.min.add(s.mult(new Vec(p.start,p.top))),_=s.mult(new Vec(p.end-p.start+1,t-p.top)),h.push(new Rect(g.add(_.div(2)),_)));u=f}return{fraction:o/(r.x*r.y),uncovered:h}}*_generateNoise(endParams,cardSize,transJitter,rotJitter,iters,random){const t=new Rect(this._dealPos.add(this._dealSize.div(2)),this._dealSize),e=t.bounds(),r=endParams.map(param=>Rect.fromParams(param)),s=r.length,n=new SpatialHash(Math.max(cardSize.x,cardSize.y)),o=(r.forEach((rect,i)=>n.insert(i,rect.bounds())),r.map(_=>new Array(s+1)));o.push(new Array(s+1));var d=(i,j,points)=>o[i][j]=o[j][i]=points,l=(i,j)=>i===j?r[i].corners():SpatialHash.overlaps(n.boundsOf(i),j===s?e:n.boundsOf(j))?r[i].allIntercepts(j===s?t:r[j]):[];const a=(point,i,j)=>{if(!t.containsPoint(point))return!0;for(const e of n.queryPoint(point))if(e!==i&&e!==j&&r[e].containsPoint(point))return!0;return!1},c=(i,j,within=null)=>{for(const e of o[i][j])if((!within||within.containsPoint(e))&&!a(e,i,j))return!1;return!0};for(let t=0;t<s;++t)for(let e=t;e<=s;++e)d(t,e,l(t,e));var h=()=>{for(let t=0;t<s;++t)for(let e=t;e<=s;++e)if(!c(t,e))return!1;return!0};let u=h();for(let e=0;e<iters;++e)for(let t=0;t<s;++t){yield;var m=()=>random.signed(),p=new Vec(m(),m()).mult(cardSize.x+.5*cardSize.y*transJitter).clamp(this._dealPos.sub(r[t].center),this._dealPos.add(this._dealSize).sub(r[t].center)),m=m()*rotJitter,g=r[t],f=n.boundsOf(t),y=(r[t]=new Rect(g.center.add(p),cardSize,Vec.rad(endParams[t].rotation+m)),n.remove(t),n.insert(t,r[t].bounds()),o[t].slice());for(let e=0;e<=s;++e)d(t,e,l(t,e));let a=!1;if(u){for(let e=0;e<=s&&!a;++e)a=!c(t,e);var v=Array.from(n.query(f)).filter(i=>i!==t);for(let t=0;t<v.length&&!a;++t){a=!c(v[t],v[t],g)||!c(v[t],s,g);for(let e=t+1;e<v.length&&!a;++e)a=!c(v[t],v[e],g)}}else a=!h();if(a){r[t]=g,n.remove(t),n.insert(t,f);for(let e=0;e<=s;++e)d(t,e,y[e])}else u=!0,endParams[t]=new AnimParams(endParams[t].position.add(p),endParams[t].size,endParams[t].rotation+m)}return endParams}static _runWhenIdle(generator){const a=window.requestIdleCallback?slice=>window.requestIdleCallback(slice):slice=>setTimeout(()=>{const e=performance.now()+Dealer.noiseSliceDuration;slice({timeRemaining:()=>Math.max(e-performance.now(),0)})});return new Promise(resolve=>{const t=deadline=>{let e;for(;!(e=generator.next()).done&&0<deadline.timeRemaining(););e.done?resolve(e.value):a(t)};a(t)})}}class DeckRenderer{static actionTypes=Object.freeze({POPUP:"popup",LINK:"link",INFO:"info"});static manifestId="deck-manifest";static defaultBack="assets/back.webp";static _cardinals=["zero","one","two","three","four","five","six","seven","eight","nine","ten","eleven","twelve","thirteen","fourteen","fifteen","sixteen","seventeen","eighteen","nineteen","twenty"];static _ordinals=["zeroth","first","second","third","fourth","fifth","sixth","seventh","eighth","ninth","tenth","eleventh","twelfth","thirteenth","fourteenth","fifteenth","sixteenth","seventeenth","eighteenth","nineteenth","twentieth"];manifest;cards;_canvas;constructor(canvas,manifest){this._canvas=canvas,(this.manifest=manifest).cards.forEach((card,i)=>DeckRenderer._checkCard(card,i));const a=manifest.cards.length;this.cards=this._canvas.selectAll(null).data(manifest.cards).join("div").classed("card",!0).attr(GridManager.cardIdAttribute,card=>card.face).attr("data-span",card=>card.span??null),this.cards.each(function(card,i){var e=d3.select(this).append("a").classed("card-inner",!0).classed("shake",!DeckRenderer._isActive(card)).attr("aria-disabled",DeckRenderer._isActive(card)?null:"true").attr("href","javascript:"),t=(card.action?.type===DeckRenderer.actionTypes.LINK&&DeckRenderer._isActive(card)&&e.attr("href",card.action.href).attr("target",card.action.target??null),e.append("div").classed("card-back",!0)),t=(t.append("img").classed("card-img",!0).attr("src",card.back??manifest.back??DeckRenderer.defaultBack).attr("alt",""),card.action?.type===DeckRenderer.actionTypes.INFO&&t.append("div").classed("card-info",!0).node().appendChild(document.getElementById(card.action.template).content.cloneNode(!0)),e.append("div").classed("card-face",!0));t.append("img").classed("card-img",!0).attr("src",card.face).attr("alt",`The ${DeckRenderer._ordinal(i+1)} of ${DeckRenderer._cardinal(a)} playing cards. `+card.alt),card.template&&t.node().appendChild(document.getElementById(card.template).content.cloneNode(!0))}),this._canvas.attr("aria-description",this.describe())}static read(id=DeckRenderer.manifestId){var e=document.getElementById(id);if(e)return JSON.parse(e.textContent);throw new Error(`DeckRenderer.read: No manifest element '${id}'`)}get size(){return this.manifest.cards.length}describe(){const e=[`There are ${DeckRenderer._cardinal(this.size)} playing cards.`];return this.manifest.cards.forEach((card,i)=>{card.label&&e.push(`The ${DeckRenderer._ordinal(i+1)} card says '${card.label}'.`)}),e.join(" ")}bindActions(popupManager,gridManager){const t=this.manifest.cards;this.cards.select(".card-inner").each(function(d,i){const e=t[i];e.action&&DeckRenderer._isActive(e)&&(e.action.type===DeckRenderer.actionTypes.POPUP?d3.select(this).on("click.action",()=>popupManager.openPopup(document.getElementById(e.action.template).content.cloneNode(!0),e.action.template)):e.action.type===DeckRenderer.actionTypes.INFO?d3.select(this).on("click.action",()=>gridManager.focusCard(i)):d3.select(this).on("click.action",function(event){0!==event.button||event.ctrlKey||event.metaKey||event.shiftKey||event.altKey||(event.preventDefault(),gridManager.exitTo(this.href,this.target||"_self"))}))})}static _isActive(card){return card.active??!!card.action}static _checkCard(card,index){if(!card.face||!card.alt)throw new Error(`DeckRenderer: Card ${index} must have a face and alt text`);if(card.action){if(card.action.type===DeckRenderer.actionTypes.POPUP&&!document.getElementById(card.action.template))throw new Error(`DeckRenderer: Card ${index} opens a popup from a missing template '${card.action.template}'`);if(card.action.type===DeckRenderer.actionTypes.INFO&&!document.getElementById(card.action.template))throw new Error(`DeckRenderer: Card ${index} shows information from a missing template '${card.action.template}'`);if(card.action.type===DeckRenderer.actionTypes.LINK&&!card.action.href)throw new Error(`DeckRenderer: Card ${index} links nowhere`);if(!Object.values(DeckRenderer.actionTypes).includes(card.action.type))throw new Error(`DeckRenderer: Card ${index} has an unknown action type '${card.action.type}'`)}if(card.template&&!document.getElementById(card.template))throw new Error(`DeckRenderer: Card ${index} uses a missing template '${card.template}'`)}static _cardinal(n){return DeckRenderer._cardinals[n]??String(n)}static _ordinal(n){return DeckRenderer._ordinals[n]||n+(11<=n%100&&n%100<=13?"th":["th","st","nd","rd"][n%10]??"th")}}class CardFaceManager extends EventEmitter{static events=Object.freeze({CARD_FLIP:"cardflip"});static cardFlipDelay=150;static cardFlipDuration=400;_cards;constructor(cards){super(),this._cards=cards,new CardAnim(this._cards.selectAll(".card-back"),CardFaceManager._faceParams(0),null,"linear",0).animate(),new CardAnim(this._cards.selectAll(".card-face"),CardFaceManager._faceParams(180),null,"linear",0).animate(),this._cards.each(function(){d3.select(this).select(".card-inner").on("click",function(){(this.classList.contains("card-inactive")||this.classList.contains("shake"))&&this.classList.add("clicked")}).on("animationend",function(){this.classList.remove("clicked")})})}flip(numFlips,cardFlipDelay=CardFaceManager.cardFlipDelay,cardFlipDuration=CardFaceManager.cardFlipDuration){const s=Stagger.from(MotionPolicy.shared.reduced?0:cardFlipDelay).delays(this._cards),n=this;this._cards.each(function(d,i){const e=d3.select(this).select(".card-inner"),t=this,a=i<numFlips;var r=CardAnim.Delay(e,"linear",s[i]);CardFaceManager.turn(e,a,cardFlipDuration,[r]).addCallback(()=>{e.classed("card-inactive",!a).classed("card-active",a),n._emit(CardFaceManager.events.CARD_FLIP,{card:t,index:i,faceUp:a})}).animate()})}static turn(cardInner,faceUp,duration=CardFaceManager.cardFlipDuration,dependsOn=[]){const e=cardInner.select(".card-face"),t=cardInner.select(".card-back");return t.style("visibility","visible"),e.style("visibility","visible"),CardAnim.Delay(cardInner,"linear",0,[new CardAnim(t,null,CardFaceManager._faceParams(faceUp?180:0),"ease",duration,dependsOn),new CardAnim(e,null,CardFaceManager._faceParams(faceUp?360:180),"ease",duration,dependsOn)]).addCallback(()=>{(faceUp?t:e).style("visibility","hidden")})}static _faceParams(rotation){return new AnimParams(null,null,null,null,new Vec(0,rotation))}}class CardLayout{hiddenPositionJitter=1;hiddenAngleJitter=45;calculate(manager,screenSize){throw new Error("CardLayout.calculate: Not implemented")}_cardSize(manager,screenSize){screenSize=screenSize.y*(1-GridManager.titleHeightFrac-2*GridManager.cardOuterMarginFrac-2*GridManager.titleMarginFrac)/GridManager.verticalCards,screenSize=new Vec(manager.cardRatioWithMargin*screenSize,screenSize),manager=screenSize.div(manager.cardMarginFrac);return{cardSize:manager,cardSizeWithMargin:screenSize,marginSize:screenSize.sub(manager)}}_placeTitle(manager,screenSize){var t=manager.titleRatios,manager=screenSize.y*GridManager.titleHeightFrac,a=(screenSize.x-2*GridManager.titleHorizontalMargin)/manager;let r=null;for(let e=0;e<t.length&&null===r;++e)(t[e]<a||e===t.length-1)&&(r=e);manager=Math.min(t[r]*manager,screenSize.x-2*GridManager.titleHorizontalMargin),manager=new Vec(manager,manager/t[r]),screenSize=new Vec((screenSize.x-manager.x)/2,screenSize.y*GridManager.titleMarginFrac);return{titleChoice:r,titleSize:manager,titlePos:screenSize}}_cardsTop(screenSize,titleSize){return titleSize.y+screenSize.y*(GridManager.cardOuterMarginFrac+2*GridManager.titleMarginFrac)}_hiddenPositions(manager,grid,cells,cardSize,canvasDimensions){const a=grid.x>grid.y;var e=Math.sqrt(cardSize.x**2+cardSize.y**2);const r=a?[new Vec(0,-e).interpolateTo(new Vec(canvasDimensions.x-cardSize.x,-e)),new Vec(0,canvasDimensions.y+e-cardSize.y).interpolateTo(new Vec(canvasDimensions.x-cardSize.x,canvasDimensions.y+e-cardSize.y))]:[new Vec(-e,0).interpolateTo(new Vec(-e,canvasDimensions.y-cardSize.y)),new Vec(canvasDimensions.x+e-cardSize.x,0).interpolateTo(new Vec(canvasDimensions.x+e-cardSize.x,canvasDimensions.y-cardSize.y))];return cells.map(({x,y})=>{var e=a?y>grid.y/2-.5+.1*(-1)**x:x>grid.x/2-.5+.1*(-1)**y,t=a?grid.x:grid.y,x=1<t?(a?x:y)/(t-1):.5,y=()=>manager.random.signed(),t=new Vec(this.hiddenPositionJitter*(cardSize.x+cardSize.y)*.5*y()).mult(new Vec(a?1:0,a?0:1)),y=this.hiddenAngleJitter*y();return new AnimParams(r[e?1:0](x).add(t),cardSize,y)})}}class GridLayout extends CardLayout{calculate(manager,screenSize){var e=manager.cards.size();const t=this._calculateGrid(manager,screenSize),{cardSize:a,cardSizeWithMargin:r,marginSize:s}=this._cardSize(manager,screenSize);var n=new Vec(screenSize.x,screenSize.y*(GridManager.titleHeightFrac+2*GridManager.titleMarginFrac+2*GridManager.cardOuterMarginFrac)+r.y*t.y),{titleChoice:o,titleSize:d,titlePos:l}=this._placeTitle(manager,screenSize);const c=new Vec((screenSize.x-t.x*r.x+s.x)/2,this._cardsTop(screenSize,d)+s.y/2);screenSize=e-t.x*(t.y-1);const h=new Vec((t.x-screenSize)*r.x/2,0);screenSize=d3.range(e).map(i=>new Vec(i%t.x,Math.floor(i/t.x))),e=screenSize.map(cell=>new AnimParams(c.add(r.mult(cell)).add(cell.y===t.y-1?h:new Vec),a,0));return{grid:t,cardSize:a,canvasDimensions:n,cardPositions:e,hiddenCardPositions:this._hiddenPositions(manager,t,screenSize,a,n),titleChoice:o,titleSize:d,titlePos:l,scrollable:t.y>GridManager.verticalCards,snapPoints:null}}_calculateGrid(manager,screenSize){var e=screenSize.x/screenSize.y/(1-GridManager.titleHeightFrac-2*GridManager.cardOuterMarginFrac-2*GridManager.titleMarginFrac)*GridManager.verticalCards/manager.cardRatioWithMargin,t=manager.cards.size();for(const a of manager.gridWidthOptions)if(a<=e)return new Vec(a,Math.ceil(t/a));screenSize=manager.gridWidthOptions[manager.gridWidthOptions.length-1];return new Vec(screenSize,Math.ceil(t/screenSize))}}class ArcLayout extends CardLayout{spread;radius;constructor(spread=60,radius=2.5){super(),this.spread=spread,this.radius=radius}calculate(manager,screenSize){const e=manager.cards.size();var{titleChoice:t,titleSize:a,titlePos:r}=this._placeTitle(manager,screenSize),s=d3.range(e).map(i=>1<e?this.spread*(i/(e-1)-.5):0);let n=this._cardSize(manager,screenSize)["cardSize"];var o=Vec.rad(this.spread/2),d=2*this.radius*n.y*Math.sin(o)+Math.sqrt(n.x**2+n.y**2);n=n.mult(Math.min(1,(screenSize.x-2*GridManager.titleHorizontalMargin)/d));const l=this.radius*n.y,c=new Vec(screenSize.x/2,this._cardsTop(screenSize,a)+n.y/2+l);var d=s.map(angle=>new AnimParams(c.add(new Vec(0,-l).rotate(Vec.rad(angle))).sub(n.div(2)),n,angle)),s=c.y-l*Math.cos(o)+Math.sqrt(n.x**2+n.y**2)/2,o=new Vec(screenSize.x,Math.max(screenSize.y,s+screenSize.y*GridManager.cardOuterMarginFrac)),s=new Vec(e,1),h=d3.range(e).map(i=>new Vec(i,0));return{grid:s,cardSize:n,canvasDimensions:o,cardPositions:d,hiddenCardPositions:this._hiddenPositions(manager,s,h,n,o),titleChoice:t,titleSize:a,titlePos:r,scrollable:o.y>screenSize.y,snapPoints:null}}}class CarouselLayout extends CardLayout{maxWidthFrac;constructor(maxWidthFrac=.75){super(),this.maxWidthFrac=maxWidthFrac}calculate(manager,screenSize){var e=manager.cards.size(),{titleChoice:t,titleSize:a,titlePos:r}=this._placeTitle(manager,screenSize);const s=this._cardsTop(screenSize,a);var n=this._cardSize(manager,screenSize),o=n.cardSize.x/n.cardSize.y,d=screenSize.y*GridManager.cardOuterMarginFrac,d=Math.min(screenSize.y-s-d,screenSize.x*this.maxWidthFrac/o);const l=new Vec(d*o,d),c=n.marginSize.x,h=(screenSize.x-l.x)/2;o=d3.range(e).map(i=>new AnimParams(new Vec(h+i*(l.x+c),s),l,0)),d=o.map(params=>params.position.x+l.x/2),n=new Vec(e,1),e=d3.range(e).map(i=>new Vec(i,0)),screenSize=new Vec(screenSize.x,screenSize.y);return{grid:n,cardSize:l,canvasDimensions:screenSize,cardPositions:o,hiddenCardPositions:this._hiddenPositions(manager,n,e,l,screenSize),titleChoice:t,titleSize:a,titlePos:r,scrollable:!1,snapPoints:d}}}class MasonryLayout extends GridLayout{calculate(manager,screenSize){const r=this._calculateGrid(manager,screenSize).x,{cardSize:e,cardSizeWithMargin:i,marginSize:s}=this._cardSize(manager,screenSize),n=e.x/e.y;var{titleChoice:t,titleSize:a,titlePos:o}=this._placeTitle(manager,screenSize);const d=(screenSize.x-r*i.x+s.x)/2,l=new Array(r).fill(this._cardsTop(screenSize,a)+s.y/2),c=[];var h=manager.cards.nodes().map(card=>{var t=Math.max(1,Math.min(r,parseInt(card.dataset.span??1)||1)),card=t*i.x-s.x,card=new Vec(card,card/n);let a=0;for(let e=1;e+t<=r;++e)Math.max(...l.slice(e,e+t))<Math.max(...l.slice(a,a+t))&&(a=e);var e=Math.max(...l.slice(a,a+t));return c.push(new Vec(a,c.filter(cell=>cell.x===a).length)),l.fill(e+card.y+s.y,a,a+t),new AnimParams(new Vec(d+a*i.x,e),card,0)}),u=new Vec(r,Math.max(1,...c.map(cell=>cell.y+1))),m=new Vec(screenSize.x,Math.max(...l)-s.y/2+screenSize.y*GridManager.cardOuterMarginFrac);return{grid:u,cardSize:e,canvasDimensions:m,cardPositions:h,hiddenCardPositions:this._hiddenPositions(manager,u,c,e,m),titleChoice:t,titleSize:a,titlePos:o,scrollable:m.y>screenSize.y,snapPoints:null}}}class GridManager extends EventEmitter{static states=Object.freeze({GRID:"GRID",HIDDEN:"HIDDEN",FOCUSED:"FOCUSED"});static events=Object.freeze({DEAL_START:"dealstart",DEAL_END:"dealend",STATE_CHANGE:"statechange",LAYOUT_CHANGE:"layoutchange",CARD_ORDER:"cardorder"});static random=Random.shared;static layouts={grid:new GridLayout,arc:new ArcLayout,carousel:new CarouselLayout,masonry:new MasonryLayout};static breakpoints=[{maxWidth:1/0,layout:"grid"}];static titleMarginFrac=.07;static titleHorizontalMargin=50;static titleHeightFrac=.2;static cardOuterMarginFrac=.02;static verticalCardsDesktop=1.3;static verticalCardsMobile=1.1;static get verticalCards(){return Capabilities.shared.has("largeCards")?GridManager.verticalCardsMobile:GridManager.verticalCardsDesktop}static dealDelay=80;static dealDuration=400;static gatherDelay=30;static gatherDuration=400;static initialGridFormationDuration=500;static gridReshuffleSpring=new Spring(400,28);static hideShowCardDuration=250;static focusSpring=new Spring(350,24);static focusSizeFrac=.8;static focusDimOpacity=.3;static focusZIndex=20;static focusedClass="focused";static mobileSmoothingDuration=400;static orderStorageKey="card-order";static cardIdAttribute="data-card-id";static animDebugParameter="animdebug";static animDebug=new URL(window.location.href).searchParams.has(GridManager.animDebugParameter);static introBudget=2500;_currentScreenSize;_currentGrid;_currentLayout;_currentTitle;_dealing=!1;_layoutAnimation=null;_layoutStale=!1;_canvas;_cards;_cardNodes;_order;_currentPositions;_titles;_cardRatio;_cardRatioWithMargin;_cardMarginFrac;_titleRatios;_gridWidthOptions;_setupCallback;_random;_dealer;_currentState;_nextState;_nextFocus=null;_currentFocus=null;_viewportProbe;_updateFrame=null;constructor(canvas,cards,titles,cardSize,cardMargin,titleSizes,gridWidthOptions,setupCallback,random=GridManager.random){if(super(),this._canvas=canvas,this._titles=titles,this._cards=cards,this._gridWidthOptions=gridWidthOptions.slice().sort((l,r)=>r-l),this._setupCallback=setupCallback,this._random=random,this._cardRatio=cardSize.x/cardSize.y,this._cardRatioWithMargin=(cardSize.x+cardMargin.x)/(cardSize.y+cardMargin.y),this._cardMarginFrac=cardSize.add(cardMargin).div(cardSize),this._titles.size()!==titleSizes.length)throw new Error("GridManager.constructor: titles and titleSizes should be the same length");this._titleRatios=titleSizes.map(size=>size.x/size.y),this._titles=this._titles.data(this._titleRatios).sort((l,r)=>r-l),this._titleRatios.sort((l,r)=>r-l),this._cards.raise(),this._cardNodes=this._cards.nodes(),this._order=GridManager._loadOrder(this._cardIds())??d3.range(this._cardNodes.length),this._cards=d3.selectAll(this._order.map(i=>this._cardNodes[i])).order(),this._viewportProbe=d3.select(document.body).append("div").attr("aria-hidden","true").style("position","fixed").style("top","0").style("left","0").style("width","100vw").style("height","100vh").style("height","100lvh").style("visibility","hidden").style("pointer-events","none"),this._currentScreenSize=this.getScreenSize();canvas=this._calculateLayout(this._currentScreenSize);this._currentGrid=canvas.grid,this._currentLayout=canvas.layout,this._currentPositions=canvas.cardPositions,this._currentTitle=canvas.titleChoice,this._currentState=null,this._nextState=GridManager.states.GRID,this._canvas.style("width",canvas.canvasDimensions.x+"px").style("height",canvas.canvasDimensions.y+"px"),this._setSnapPoints(canvas),document.scrollingElement.overflowY=canvas.scrollable?"":"hidden",document.scrollingElement.scrollTop=0,this._titles.style("visibility","hidden"),d3.select(this._titles.nodes()[this._currentTitle]).style("transition-duration","0s").style("left",canvas.titlePos.x+"px").style("top",canvas.titlePos.y+"px").style("width",canvas.titleSize.x+"px").style("height",canvas.titleSize.y+"px"),this._dealer=new Dealer(this._cards,canvas.cardSize,canvas.titlePos,canvas.titleSize,new Vec(-canvas.cardSize.x,canvas.titlePos.y),this._random),Capabilities.shared.addListener(()=>{this._layoutStale=!0,this._scheduleUpdate()}),d3.select(window).on("keydown.focus",event=>{"Escape"===event.key&&this._nextState===GridManager.states.FOCUSED&&this.unfocusCard()}),this._canvas.node().addEventListener("click",event=>{this._nextState!==GridManager.states.FOCUSED||event.target.closest?.("."+GridManager.focusedClass+" .card-info a")||(event.preventDefault(),event.stopPropagation(),this.unfocusCard())},{capture:!0}),MotionPolicy.shared.addListener(reduced=>{reduced&&this._layoutAnimation?.finish()}),this._deal().then(()=>this._observeViewport())}get canvas(){return this._canvas}get cards(){return this._cards}get titleRatios(){return this._titleRatios}get cardRatioWithMargin(){return this._cardRatioWithMargin}get cardMarginFrac(){return this._cardMarginFrac}get gridWidthOptions(){return this._gridWidthOptions}get random(){return this._random}get settled(){return!this._dealing&&!this._layoutAnimation&&this._currentState===GridManager.states.GRID}get cardPositions(){return this._currentPositions}get focusedCard(){return this._nextState===GridManager.states.FOCUSED?this._nextFocus:null}get order(){return this._order.slice()}reorder(order){if(!GridManager._isOrder(order,this._cardNodes.length))throw new Error("GridManager.reorder: The order must contain each card index once");this._order=order.slice(),this._cards=d3.selectAll(this._order.map(i=>this._cardNodes[i])).order(),this._dealer.cards=this._cards;try{const e=this._cardIds();window.localStorage.setItem(GridManager.orderStorageKey,JSON.stringify(this._order.map(i=>e[i])))}catch{}return this._emit(GridManager.events.CARD_ORDER,{order:this.order}),this._layoutStale=!0,this.updatePositions()}async reshuffle(){var e;this.settled&&(e=this._calculateLayout(this._currentScreenSize),await this._gather(e,e.titlePos.add(e.titleSize.div(2))),await this._deal())}async exitTo(href,target="_self"){var e,t;this.settled?(e=this._calculateLayout(this._currentScreenSize),t=new Vec(e.canvasDimensions.x/2,document.scrollingElement.scrollTop+window.innerHeight/2),await this._gather(e,t),this._followLink(href,target)?await this._deal():window.addEventListener("pageshow",()=>this._deal(),{once:!0})):this._followLink(href,target)}async _deal(){const e=GridManager.animDebug&&CardAnim.webAnimations;var t,a,r=()=>this._dealer.createAnimation(GridManager.dealDelay,GridManager.dealDuration,Dealer.pattern,Dealer.cardThrow,!e),i=GridManager.animDebug?this._checkDeal(r):null,r=(GridManager.animDebug?i?.graph.root:r())??CardAnim.Delay(this._cards,"ease-out",0);if(i?.cycles.length)throw new Error(`GridManager._deal: The deal animation contains ${i.cycles.length} cycles`);this._dealing=!0,this._emit(GridManager.events.DEAL_START),e?(t=new Timeline(i?.graph??r),a=[],i?.orphans.length&&a.push(i.orphans.length+" nodes will never be animated"),i?.introDuration>GridManager.introBudget&&a.push(`Dealing and forming the grid takes ${i.introDuration}ms, over the budget of ${GridManager.introBudget}ms`),new TimelineScrubber(t,document.body,a),await t.finished):await r.play(),d3.select(this._titles.nodes()[this._currentTitle]).style("visibility","visible"),this._dealing=!1,this._emit(GridManager.events.DEAL_END),this.updatePositions()}_checkDeal(create){var{result:create,created:e}=AnimGraph.record(create);return create?{graph:create=new AnimGraph(create),cycles:create.cycles,orphans:create.orphans(e),introDuration:create.duration+GridManager.initialGridFormationDuration}:null}async _gather(layout,pileCenter){var e=this._currentState;this._dealing=!0,this._currentState=null,this._emit(GridManager.events.STATE_CHANGE,{from:e,to:null,focusedCard:null}),this._dealer=new Dealer(this._cards,layout.cardSize,layout.titlePos,layout.titleSize,pileCenter.sub(layout.cardSize.div(2)),this._random),await this._dealer.createGatherAnimation(GridManager.gatherDelay,GridManager.gatherDuration,pileCenter).play()}_followLink(href,target){return"_self"!==target&&(target=window.open(href,target))?!(target.opener=null):(window.location.assign(href),!1)}hideCards(){this._nextState=GridManager.states.HIDDEN,this.updatePositions()}showCards(){this._nextState=GridManager.states.GRID,this.updatePositions()}async focusCard(index){if(!Number.isInteger(index)||index<0||index>=this._cardNodes.length)throw new Error("GridManager.focusCard: No card with index "+index);this._dealing||this._currentState===GridManager.states.HIDDEN||this._nextState!==GridManager.states.GRID&&this._nextState!==GridManager.states.FOCUSED||this._nextState===GridManager.states.FOCUSED&&this._nextFocus===index||(this._nextState=GridManager.states.FOCUSED,this._nextFocus=index,this._layoutStale=!0,await this.updatePositions())}async unfocusCard(){this._nextState===GridManager.states.FOCUSED&&(this._nextState=GridManager.states.GRID,await this.updatePositions())}async updatePositions(prevAnimationDuration=0){var i=this.getScreenSize();if(!(this._dealing||this._nextState===this._currentState&&i.equals(this._currentScreenSize)&&!this._layoutStale)){this._currentScreenSize=i;i=this._layoutStale;this._layoutStale=!1;const h=this._calculateLayout(this._currentScreenSize);var s=!this._currentGrid.equals(h.grid)||this._currentLayout!==h.layout,e=this._currentTitle!==h.titleChoice;const u=d3.select(this._titles.nodes()[h.titleChoice]);var t,a=d3.select(this._titles.nodes()[this._currentTitle]),n=this._nextState===GridManager.states.FOCUSED?this._nextFocus:null,o=n!==this._currentFocus,d=this._currentState===GridManager.states.HIDDEN&&!this._layoutAnimation;this._layoutAnimation&&(prevAnimationDuration=Math.max(prevAnimationDuration,this._layoutAnimation.root.duration),this._layoutAnimation.cancel(),this._layoutAnimation=null),d?(new CardAnim(this._cards,h.hiddenCardPositions,null,"ease-in-out",0).animate(),this._canvas.style("transition-duration","0s").style("width",h.canvasDimensions.x+"px").style("height",h.canvasDimensions.y+"px"),this._setSnapPoints(h),u.style("transition-duration","0s").style("visibility","visible").style("left",h.titlePos.x+"px").style("top",h.titlePos.y+"px").style("width",h.titleSize.x+"px").style("height",h.titleSize.y+"px")):e&&(c=parseFloat(this._canvas.style("width")),t=parseFloat(a.style("height")),l=parseFloat(a.style("top")),t=new Vec(this._titleRatios[h.titleChoice]*t,t),c=new Vec((c-t.x)/2,l),u.style("transition-duration","0s").style("visibility","visible").style("left",c.x+"px").style("top",c.y+"px").style("width",t.x+"px").style("height",t.y+"px")),e&&a.style("transition-duration","0s").style("visibility","hidden");let r=null;if(!d||this._nextState!==GridManager.states.HIDDEN){let e=h.cardPositions,t=Capabilities.shared.has("smoothLayout")?GridManager.mobileSmoothingDuration:prevAnimationDuration/2,a="ease-in-out";this._nextState===GridManager.states.HIDDEN?[e,t,a]=[h.hiddenCardPositions,GridManager.hideShowCardDuration,"ease-in"]:this._currentState===GridManager.states.HIDDEN?[t,a]=[GridManager.hideShowCardDuration,"ease-out"]:this._currentState?o?[t,a]=[GridManager.focusSpring.duration,GridManager.focusSpring]:(s||i)&&([t,a]=[GridManager.gridReshuffleSpring.duration,GridManager.gridReshuffleSpring]):t=GridManager.initialGridFormationDuration,this._nextState===GridManager.states.FOCUSED?e=this._focusPositions(h):this._currentState===GridManager.states.FOCUSED&&(e=e.map((p,i)=>new AnimParams(p.position,p.size,p.rotation,null,null,1,this._order[i]===this._currentFocus?0:null)));const m=MotionPolicy.shared.reduced?0:t;d||setTimeout(()=>u.style("transition-property","left, top, width, height").style("transition-duration",m+"ms").style("transition-timing-function","ease-in-out").style("left",h.titlePos.x+"px").style("top",h.titlePos.y+"px").style("width",h.titleSize.x+"px").style("height",h.titleSize.y+"px")),r=this._layoutAnimation=new CardAnim(this._cards,null,e,a,t).animate(),setTimeout(()=>this._canvas.style("transition-property","width, height").style("transition-duration",m+"ms").style("transition-timing-function","ease-in-out").style("width",h.canvasDimensions.x+"px").style("height",h.canvasDimensions.y+"px")),this._setSnapPoints(h)}o&&this._turnFocus(n);var[l,c]=[this._currentState,this._currentGrid];this._currentState=this._nextState,this._currentFocus=n,this._currentGrid=h.grid,this._currentLayout=h.layout,this._currentPositions=h.cardPositions,this._currentTitle=h.titleChoice,l===this._currentState&&!o||this._emit(GridManager.events.STATE_CHANGE,{from:l,to:this._currentState,focusedCard:n}),s&&this._emit(GridManager.events.LAYOUT_CHANGE,{from:c,to:h.grid,layout:h.layout}),r&&await r.finished&&(this._setupCallback&&this._setupCallback(),this._setupCallback=null,s&&Capabilities.shared.has("stableHeight")&&(document.scrollingElement.scrollTop=0),document.scrollingElement.overflowY=h.scrollable?"":"hidden",this._layoutAnimation=null,this.updatePositions(r.root.duration))}}_focusPositions(layout){var e=layout.cardSize.x/layout.cardSize.y,t=Math.min(this._currentScreenSize.y,this._currentScreenSize.x/e)*GridManager.focusSizeFrac;const a=new Vec(t*e,t),r=new Vec(this._canvas.node().scrollLeft+this._currentScreenSize.x/2,document.scrollingElement.scrollTop+window.innerHeight/2);return layout.cardPositions.map((p,i)=>this._order[i]===this._nextFocus?new AnimParams(r.sub(a.div(2)),a,0,1,null,1,GridManager.focusZIndex):new AnimParams(p.position,p.size,p.rotation,null,null,GridManager.focusDimOpacity))}_turnFocus(nextFocus){null!==this._currentFocus&&CardFaceManager.turn(d3.select(this._cardNodes[this._currentFocus]).select(".card-inner"),this._cardNodes[this._currentFocus].querySelector(".card-inner").classList.contains("card-active")).animate(),null!==nextFocus&&CardFaceManager.turn(d3.select(this._cardNodes[nextFocus]).select(".card-inner"),!1).animate(),this._cards.classed(GridManager.focusedClass,(d,i)=>this._order[i]===nextFocus).property("inert",(d,i)=>null!==nextFocus&&this._order[i]!==nextFocus),null!==nextFocus&&this._cardNodes[nextFocus].querySelector(".card-inner").focus({preventScroll:!0})}static registerLayout(name,layout){GridManager.layouts[name]=layout}static getLayout(l){if(l instanceof CardLayout)return l;if(GridManager.layouts[l])return GridManager.layouts[l];throw new Error("GridManager.getLayout: No layout named '"+l+"'")}static chooseLayout(screenSize){var e=GridManager.breakpoints.find(b=>screenSize.x<=b.maxWidth)??GridManager.breakpoints[GridManager.breakpoints.length-1];return GridManager.getLayout(e.layout)}_calculateLayout(screenSize){var e=GridManager.chooseLayout(screenSize);return{layout:e,...e.calculate(this,screenSize)}}_setSnapPoints(layout){layout=layout.snapPoints??[];this._canvas.classed("carousel",0<layout.length),layout.length||(this._canvas.node().scrollLeft=0),this._canvas.selectAll(".canvas-snap").data(layout).join("div").classed("canvas-snap",!0).style("left",x=>x-this._currentScreenSize.x/2+"px").style("width",this._currentScreenSize.x+"px")}getScreenSize(){return Capabilities.shared.has("stableHeight")?new Vec(window.innerWidth,this._viewportProbe.node().clientHeight||window.innerHeight):new Vec(window.innerWidth,window.innerHeight)}_cardIds(){return this._cardNodes.map((node,i)=>node.getAttribute(GridManager.cardIdAttribute)??String(i))}static _loadOrder(ids){let e;try{e=JSON.parse(window.localStorage.getItem(GridManager.orderStorageKey))}catch{return null}var t;return Array.isArray(e)&&(t=e.map(id=>ids.indexOf(id)),GridManager._isOrder(t,ids.length))?t:null}static _isOrder(order,count){return Array.isArray(order)&&order.length===count&&new Set(order).size===count&&order.every(i=>Number.isInteger(i)&&0<=i&&i<count)}_observeViewport(){var e;window.ResizeObserver&&((e=new ResizeObserver(()=>this._scheduleUpdate())).observe(this._canvas.node()),e.observe(this._viewportProbe.node())),(window.visualViewport||window).addEventListener("resize",()=>this._scheduleUpdate())}_scheduleUpdate(){null===this._updateFrame&&(this._updateFrame=requestAnimationFrame(()=>{this._updateFrame=null,this.updatePositions()}))}}class CardDragger{static dragThreshold=5;static holdDuration=400;static liftScale=1.08;static liftZIndex=10;static tiltPerPixel=.5;static maxTilt=12;static tiltEasing=.25;static reflowDuration=250;static draggingClass="dragging";_gridManager;_drag=null;_reflow=null;constructor(gridManager){this._gridManager=gridManager;const e=this;gridManager.cards.on("pointerdown.drag",function(event){e._pointerDown(this,event)}).on("pointermove.drag",event=>this._pointerMove(event)).on("pointerup.drag",event=>this._pointerUp(event)).on("pointercancel.drag",event=>this._pointerUp(event,!1)).on("dragstart.drag",event=>event.preventDefault()).on("contextmenu.drag",event=>{this._drag&&event.preventDefault()}),gridManager.cards.each(function(){this.addEventListener("touchmove",event=>{e._drag?.lifted&&event.preventDefault()},{passive:!1})})}_pointerDown(card,event){var e,t;!this._drag&&this._gridManager.settled&&event.isPrimary&&0===event.button&&(e=this._gridManager.cards.nodes().indexOf(card),t=this._canvasPoint(event),this._drag={card:card,pointerId:event.pointerId,slot:e,target:e,start:t,grab:t.sub(this._gridManager.cardPositions[e].position),point:t,last:t,tilt:0,lifted:!1,timer:"touch"===event.pointerType?setTimeout(()=>this._lift(),CardDragger.holdDuration):null})}_pointerMove(event){var e=this._drag;if(e&&event.pointerId===e.pointerId){if(e.point=this._canvasPoint(event),!e.lifted){if(e.point.distanceTo(e.start)<CardDragger.dragThreshold)return;if(null!==e.timer)return void this._drop(!1);this._lift()}event=this._gridManager.cardPositions;const t=e.point.sub(e.grab).add(event[e.slot].size.div(2));event=d3.minIndex(event,params=>params.position.add(params.size.div(2)).distanceTo(t));event!==e.target&&(e.target=event,this._reflowTo(event))}}_pointerUp(event,reorder=!0){const e=this._drag;if(e&&event.pointerId===e.pointerId){if(e.lifted){const t=e=>{e.preventDefault(),e.stopImmediatePropagation()};e.card.addEventListener("click",t,{capture:!0}),setTimeout(()=>e.card.removeEventListener("click",t,{capture:!0}))}this._drop(reorder)}}_lift(){var e=this._drag;clearTimeout(e.timer),e.timer=null,this._gridManager.settled?(e.lifted=!0,e.card.isConnected&&e.card.setPointerCapture(e.pointerId),d3.select(e.card).classed(CardDragger.draggingClass,!0),this._frame(e)):this._drop(!1)}_frame(drag){var e;this._drag===drag&&(e=MotionPolicy.shared.reduced?0:Math.max(-CardDragger.maxTilt,Math.min(CardDragger.maxTilt,(drag.point.x-drag.last.x)*CardDragger.tiltPerPixel)),drag.tilt+=(e-drag.tilt)*CardDragger.tiltEasing,drag.last=drag.point,new CardAnim(d3.select(drag.card),new AnimParams(drag.point.sub(drag.grab),null,drag.tilt,CardDragger.liftScale,null,null,CardDragger.liftZIndex),null,"linear",0).animate(),requestAnimationFrame(()=>this._frame(drag)))}_orderFor(slot,target){var e=this._gridManager.order;return e.splice(target,0,...e.splice(slot,1)),e}_reflowTo(target){const e=this._drag;var t=this._gridManager.cards.nodes();const a=t.filter(card=>card!==e.card),r=(a.splice(target,0,e.card),this._gridManager.cardPositions);target=t.filter(card=>card!==e.card);this._reflow?.cancel(),this._reflow=new CardAnim(d3.selectAll(target),null,target.map(card=>r[a.indexOf(card)]),"ease-out",CardDragger.reflowDuration).animate()}async _drop(reorder){var e=this._drag;clearTimeout(e.timer),this._drag=null,e.lifted&&(d3.select(e.card).classed(CardDragger.draggingClass,!1),this._reflow?.cancel(),this._reflow=null,reorder&&e.target!==e.slot?await this._gridManager.reorder(this._orderFor(e.slot,e.target)):await new CardAnim(this._gridManager.cards,null,this._gridManager.cardPositions,"ease-out",CardDragger.reflowDuration).play(),new CardAnim(d3.select(e.card),null,new AnimParams(null,null,null,1,null,null,0),"ease-out",CardDragger.reflowDuration).animate())}_canvasPoint(event){var e=this._gridManager.canvas.node(),t=e.getBoundingClientRect();return new Vec(event.clientX-t.left+e.scrollLeft,event.clientY-t.top+e.scrollTop)}}class CardTilt{static maxTilt=10;static followDuration=100;static returnSpring=new Spring(300,18);static tiltedClass="tilted";_gridManager;_tilted=null;constructor(gridManager){(this._gridManager=gridManager).cards.select(".card-face").append("div").classed("card-glare",!0).attr("aria-hidden","true");const e=this;gridManager.cards.on("pointermove.tilt",function(event){e._pointerMove(this,event)}).on("pointerleave.tilt",()=>this._release()),Capabilities.shared.addListener(()=>{this.enabled||this._release()}),MotionPolicy.shared.addListener(()=>{this.enabled||this._release()})}get enabled(){return Capabilities.shared.has("hoverEffects")&&!MotionPolicy.shared.reduced}_pointerMove(card,event){var e;this.enabled&&"touch"!==event.pointerType&&this._gridManager.settled&&!card.classList.contains(CardDragger.draggingClass)?(e=card.getBoundingClientRect(),event=new Vec((event.clientX-e.left)/e.width,(event.clientY-e.top)/e.height).clamp(new Vec(0),new Vec(1)),e=card.querySelector(".card-inner"),this._tilted!==e&&this._release(),this._tilted=e,d3.select(e).classed(CardTilt.tiltedClass,!0).style("transition","transform").style("transition-duration",CardTilt.followDuration+"ms").style("transition-timing-function","ease-out").style("transform",`perspective(${CardAnim.perspective}) `+`rotateX(${2*(.5-event.y)*CardTilt.maxTilt}deg) rotateY(${2*(event.x-.5)*CardTilt.maxTilt}deg)`).style("--glare-x",100*event.x+"%").style("--glare-y",100*event.y+"%")):this._release()}_release(){this._tilted&&(d3.select(this._tilted).classed(CardTilt.tiltedClass,!1).style("transition","transform").style("transition-duration",(MotionPolicy.shared.reduced?0:CardTilt.returnSpring.duration)+"ms").style("transition-timing-function",CardTilt.returnSpring).style("transform",null),this._tilted=null)}}class CardNavigator{static skipInactive=!1;static crossAxisWeight=2;static directions={ArrowLeft:new Vec(-1,0),ArrowRight:new Vec(1,0),ArrowUp:new Vec(0,-1),ArrowDown:new Vec(0,1)};_gridManager;constructor(gridManager){this._gridManager=gridManager,this._setTabStop(this._slots()[0]??0);const e=this;gridManager.cards.select(".card-inner").on("focus.navigate",function(){e._setTabStop(e._slotOf(this))}).on("keydown.navigate",function(event){e._keyDown(this,event)})}focus(slot){this._setTabStop(slot),this._gridManager.cards.nodes()[slot].querySelector(".card-inner").focus()}_keyDown(inner,event){if(!(event.altKey||event.ctrlKey||event.metaKey||null!==this._gridManager.focusedCard)){var inner=this._slotOf(inner),t=this._slots();let e;if("Home"===event.key)e=t[0];else if("End"===event.key)e=t[t.length-1];else{if(!CardNavigator.directions[event.key])return;e=this._neighbour(inner,CardNavigator.directions[event.key],t)}event.preventDefault(),void 0!==e&&e!==inner&&this.focus(e)}}_neighbour(slot,direction,slots){var e=this._gridManager.cardPositions,t=params=>params.position.add(params.size.div(2)),a=t(e[slot]),r=Math.abs(e[slot].size.x*direction.x+e[slot].size.y*direction.y)/2;let i,s=1/0;for(const l of slots){var n=t(e[l]).sub(a),o=n.x*direction.x+n.y*direction.y,n=Math.abs(n.x*direction.y-n.y*direction.x),d=o+CardNavigator.crossAxisWeight*n;r<o&&n<=o&&d<s&&([i,s]=[l,d])}return i}_slots(){const e=this._gridManager.cards.select(".card-inner").nodes();return d3.range(e.length).filter(i=>!CardNavigator.skipInactive||"true"!==e[i].getAttribute("aria-disabled"))}_slotOf(inner){return this._gridManager.cards.nodes().indexOf(inner.parentNode)}_setTabStop(slot){this._gridManager.cards.select(".card-inner").attr("tabindex",(d,i)=>i===slot?0:-1)}}class PopupManager extends EventEmitter{static states=Object.freeze({CLOSED:"CLOSED",OPEN:"OPEN"});static events=Object.freeze({POPUP_OPEN:"popupopen",POPUP_CLOSE:"popupclose"});static animationDuration=500;static slideSpring=new Spring(300,30);static backgroundBlur=4;static overscrollCloseAmount=100;_gridManager;_overscrollDetector;_canvas;_popup;_popupClose;_currentState;_nextState;_nextContents=null;_nextId=null;_currentId=null;_transition=null;_focusBeforeOpening=null;constructor(canvas,popup,popupClose,gridManager){super(),this._canvas=canvas,this._popup=popup,this._popupClose=popupClose,this._gridManager=gridManager,this._currentState=this._nextState=PopupManager.states.CLOSED,this._overscrollDetector=new OverscrollDetector(this._canvas,overscroll=>{Capabilities.shared.has("overscrollClose")&&this._currentState===PopupManager.states.OPEN&&overscroll.y<0&&this.closePopup()},new Vec(1/0,PopupManager.overscrollCloseAmount)),this._popupClose.on("click",()=>this.closePopup()),window.addEventListener("keyup",e=>{"Escape"===e.key&&this.closePopup()})}openPopup(contents,id=null){this._nextContents=contents,this._nextId=id,this._nextState=PopupManager.states.OPEN,this._transitionPopup()}closePopup(){this._nextState=PopupManager.states.CLOSED,this._transitionPopup()}async _transitionPopup(){if(this._nextContents){var e=this._currentState===PopupManager.states.OPEN&&this._nextState===PopupManager.states.OPEN;for(e&&this._emit(PopupManager.events.POPUP_CLOSE,{id:this._currentId});this._popup.node().firstChild;)this._popup.node().removeChild(this._popup.node().lastChild);this._popup.node().appendChild(this._nextContents),this._nextContents=null,this._currentId=this._nextId,e&&this._emit(PopupManager.events.POPUP_OPEN,{id:this._currentId})}if(this._nextState!==this._currentState){const t=MotionPolicy.shared.reduced,a=t?0:PopupManager.animationDuration;t?("hidden"===this._canvas.style("visibility")&&this._canvas.style("transition","none").style("opacity","0"),setTimeout(()=>this._canvas.style("visibility","visible").style("transition","opacity").style("transition-duration",MotionPolicy.crossFadeDuration+"ms").style("transition-timing-function","linear").style("top","0").style("opacity",this._nextState===PopupManager.states.OPEN?"1":"0"))):setTimeout(()=>this._canvas.style("visibility","visible").style("opacity",null).style("transition","top").style("transition-duration",PopupManager.slideSpring.duration+"ms").style("transition-timing-function",PopupManager.slideSpring).style("top",this._nextState===PopupManager.states.OPEN?"0":"100%")),setTimeout(()=>this._popupClose.style("transition","transform").style("transition-duration",a+"ms").style("transition-delay",(this._nextState===PopupManager.states.OPEN?a/2:0)+"ms").style("transform",this._nextState===PopupManager.states.OPEN?"translate(0,-100%)":"translate(0,0)")),this._nextState===PopupManager.states.CLOSED?(this._gridManager.showCards(),this._canvas.style("overflow","hidden").property("inert",!0),this._gridManager.canvas.property("inert",!1),setTimeout(()=>{var e=new Vec(window.scrollX,window.scrollY);this._focusBeforeOpening?.focus(),window.scroll(e.x,e.y)})):(this._focusBeforeOpening=document.activeElement,this._gridManager.hideCards(),document.scrollingElement.style.overflowY="hidden",this._canvas.property("inert",!1),this._gridManager.canvas.property("inert",!0),setTimeout(()=>this._popupClose.node().focus())),0<this._canvas.node().scrollTop&&this._canvas.node().scrollTo(0,0),setTimeout(()=>this._gridManager.canvas.style("transition","filter").style("transition-duration",a+"ms").style("filter","blur("+(this._nextState===PopupManager.states.CLOSED||t?0:PopupManager.backgroundBlur)+"px)")),this._currentState=this._nextState,this._emit(this._currentState===PopupManager.states.OPEN?PopupManager.events.POPUP_OPEN:PopupManager.events.POPUP_CLOSE,{id:this._currentId}),this._transition?.cancel();e=t?MotionPolicy.crossFadeDuration:Math.max(PopupManager.animationDuration,PopupManager.slideSpring.duration);await(this._transition=CardAnim.Delay(this._canvas,"linear",e).animate()).finished&&(this._transition=null,this._currentState===PopupManager.states.CLOSED?(this._canvas.style("visibility","hidden").style("transition","none").style("top","100%"),document.scrollingElement.style.overflowY="auto"):this._canvas.style("overflow","auto"))}}}function setupCountdown(target,days,hours,minutes,seconds,padNumbers=!1){const t=Date.parse(target);let a=null;target=()=>{var e=Math.max(t-Date.now(),0);0===e&&a?(clearInterval(a),setTimeout(()=>location.reload(),1e3)):(e/=1e3,seconds.text(String(~~e%60).padStart(padNumbers?2:1,"0")),e/=60,minutes.text(String(~~e%60).padStart(padNumbers?2:1,"0")),e/=60,hours.text(String(~~e%24).padStart(padNumbers?2:1,"0")),e/=24,days.text(String(~~e).padStart(padNumbers?2:1,"0")))};return target(),a=t>Date.now()?setInterval(target,1e3):a}
\ No newline at end of file